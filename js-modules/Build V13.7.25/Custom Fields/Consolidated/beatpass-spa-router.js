@@ -41,6 +41,7 @@
         if (pathname.includes('/album/')) return 'album';
         if (pathname.includes('/genre/')) return 'genre';
         if (pathname.includes('/discover') || pathname === '/') return 'discover';
+        if (pathname.includes('/pricing')) return 'pricing';
         if (pathname.includes('/backstage')) return 'backstage';
         
         return 'other';
@@ -538,6 +539,12 @@
             }
         });
 
+        // Listen for modules the loader fetched lazily for the new page type
+        window.addEventListener('beatpass:modules-loaded', (event) => {
+            if (DEBUG) console.log('🔄 Lazy modules loaded:', event.detail?.modules);
+            setTimeout(() => handleNavigation(true), 100);
+        });
+
         isInitialized = true;
         if (DEBUG) console.log(`✅ ${MODULE_NAME} initialized successfully`);
     }
@@ -63,10 +63,13 @@
             return await window.VerifiedProducersInitManager.apiManager.updateProducerVerification(producerName, isVerified);
         }
         
-        // Fallback to original API implementation
-        const url = `https://open.beatpass.ca/updateVerifiedProducers.php?producerName=${encodeURIComponent(producerName)}&verifiedStatus=${isVerified}`;
+        // The handler only accepts POSTs from admins; the loader adds their session token
         try {
-            const res = await fetch(url, { method: "GET" });
+            const res = await fetch("https://open.beatpass.ca/updateVerifiedProducers.php", {
+                method: "POST",
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                body: new URLSearchParams({ producerName, verifiedStatus: String(isVerified) })
+            });
             return res.ok;
         } catch { return false; }
     }
@@ -76,6 +76,8 @@
         });
     }
 
+    // Same map as BP.tempo.GENRE_BASES (beatpass-core.js, where it also drives BPM hints). This file
+    // is loaded outside the manifest and may run before core, so it keeps its own copy as the fallback.
     const genreBaseMap = {
         "DNB / 2-Step": "DNB",
         "Exclusive": "Exclusive",
@@ -91,6 +93,11 @@
         "Old School / Boom Bap": "OLD SCHOOL"
     };
 
+    function genreBase(genre) {
+        if (window.BP && window.BP.tempo) return window.BP.tempo.genreBase(genre);
+        return genreBaseMap[genre] || genre;
+    }
+
     const baseOrder = ["AFRO", "DNB", "DRILL", "Exclusive", "HOUSE", "HYPER", "LOFI", "NEWJAZZ", "POP HIPHOP", "TRAP", "RNB", "OLD SCHOOL"];
 
     const coverArtLinks = {
@@ -273,7 +280,7 @@
         let selected = items.slice(0, 2).map(i => i.textContent.trim());
         if (DEBUG) console.log("[CoverArtUpdater] Selected genres:", selected);
 
-        let baseNames = selected.map(g => genreBaseMap[g] || g);
+        let baseNames = selected.map(genreBase);
         if (DEBUG) console.log("[CoverArtUpdater] Base names:", baseNames);
 
         let newUrl = "";
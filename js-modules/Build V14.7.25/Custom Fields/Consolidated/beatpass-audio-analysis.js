@@ -0,0 +1,645 @@
+// ============================================================
+// BeatPass Audio Analysis - Standalone IIFE Module
+// Estimates BPM and key from the audio file picked on the upload page and prefills the custom fields
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants and Configuration
+    // ---------------------------
+    
+    // decodeAudioData decodes the whole file into float samples (about 21 MB a minute of stereo),
+    // so longer or larger files are left to the producer
+    const MAX_FILE_BYTES = 100 * 1024 * 1024;
+    const MAX_DECODE_SECONDS = 12 * 60;
+    const PROBE_TIMEOUT = 5000;               // Waiting for the file's duration from its metadata
+    const ANALYSIS_SECONDS = 60;              // Taken from the middle of the track
+    const DECODE_SAMPLE_RATE = 44100;
+    
+    // Tempo: onset envelope sampled ENVELOPE_RATE times a second, autocorrelated over
+    // the lags of BPM_MIN..BPM_MAX and weighted towards TEMPO_PRIOR_BPM
+    const ENVELOPE_RATE = 200;
+    const TEMPO_PRIOR_BPM = 120;
+    const TEMPO_PRIOR_OCTAVES = 1;
+    const ONSET_SMOOTHING = 2; // Frames either side of each onset
+    
+    // Key: chroma from FFT_SIZE frames between MIN_FREQ and MAX_FREQ
+    const FFT_SIZE = 8192;
+    const MIN_FREQ = 65;   // C2
+    const MAX_FREQ = 2100; // C7
+    
+    // Krumhansl-Kessler key profiles, tonic first
+    const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+    const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+    
+    const AUDIO_EXTENSIONS = /\.(mp3|wav|wave|aiff?|flac|ogg|oga|m4a|aac|webm)$/i;
+    const PANEL_ID = 'bp-audio-analysis';
+    
+    function bpmRange() {
+        const validator = window.BeatPassMetadataValidator;
+        return validator ? [validator.BPM_MIN, validator.BPM_MAX] : [40, 300];
+    }
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    // The file being analyzed or last analyzed on this page: { file, promise, buffer, result },
+    // where buffer only holds the analyzed ANALYSIS_SECONDS
+    let current = null;
+    let listening = false;
+    
+    // Values this module put into the fields; anything else was typed by the producer
+    const prefilled = { bpm: null, key: null };
+    
+    const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+    const clamp01 = value => Math.max(0, Math.min(1, value));
+    
+    // ---------------------------
+    // Decoding
+    // ---------------------------
+    
+    function isAudioFile(file) {
+        return !!file && ((file.type && file.type.startsWith('audio/')) || AUDIO_EXTENSIONS.test(file.name || ''));
+    }
+    
+    // Duration in seconds from the file's metadata, without decoding it; null when unknown
+    function probeDuration(file) {
+        return new Promise(resolve => {
+            const audio = document.createElement('audio');
+            const url = URL.createObjectURL(file);
+            let timer = null;
+            const done = duration => {
+                clearTimeout(timer);
+                audio.removeAttribute('src');
+                URL.revokeObjectURL(url);
+                resolve(Number.isFinite(duration) ? duration : null);
+            };
+            timer = setTimeout(() => done(null), PROBE_TIMEOUT);
+            audio.preload = 'metadata';
+            audio.onloadedmetadata = () => done(audio.duration);
+            audio.onerror = () => done(null);
+            audio.src = url;
+        });
+    }
+    
+    // Decodes the file and keeps only the ANALYSIS_SECONDS from its middle, as a buffer of their
+    // own, so the fully decoded file can be released: { buffer, duration } with the full duration
+    async function decodeFile(file) {
+        const AudioCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!AudioCtx) throw new Error('Web Audio is not available in this browser');
+        
+        // An offline context decodes without opening an output device and resamples to one rate
+        const context = new AudioCtx(1, 1, DECODE_SAMPLE_RATE);
+        let data = await file.arrayBuffer();
+        let decoded = await new Promise((resolve, reject) => {
+            const pending = context.decodeAudioData(data, resolve, reject);
+            if (pending && pending.then) pending.then(resolve, reject);
+        });
+        data = null;
+        
+        const length = Math.min(decoded.length, Math.round(ANALYSIS_SECONDS * decoded.sampleRate));
+        const start = Math.floor((decoded.length - length) / 2);
+        const slice = context.createBuffer(decoded.numberOfChannels, length, decoded.sampleRate);
+        for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+            slice.getChannelData(channel).set(decoded.getChannelData(channel).subarray(start, start + length));
+        }
+        const duration = decoded.duration;
+        decoded = null;
+        return { buffer: slice, duration };
+    }
+    
+    // Mono mix of up to ANALYSIS_SECONDS from the middle of the buffer
+    function analysisWindow(buffer) {
+        const length = Math.min(buffer.length, Math.round(ANALYSIS_SECONDS * buffer.sampleRate));
+        const start = Math.floor((buffer.length - length) / 2);
+        const mono = new Float32Array(length);
+        
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) mono[i] += data[start + i] / buffer.numberOfChannels;
+        }
+        return mono;
+    }
+    
+    // ---------------------------
+    // Tempo Detection
+    // ---------------------------
+    
+    // Half-wave rectified rise in compressed energy per envelope frame. The energy is taken
+    // from the first difference of the signal, which favours drums over sustained tones, and
+    // the result is smoothed so beats that fall between frames still line up.
+    function envelopeHop(sampleRate) {
+        return Math.max(1, Math.round(sampleRate / ENVELOPE_RATE));
+    }
+    
+    function onsetEnvelope(samples, sampleRate) {
+        const hop = envelopeHop(sampleRate);
+        const frames = Math.floor(samples.length / hop) - 1;
+        if (frames < 2) return new Float32Array(0);
+        
+        const energy = new Float32Array(frames);
+        let maxEnergy = 0;
+        for (let f = 0; f < frames; f++) {
+            let sum = 0;
+            for (let i = Math.max(1, f * hop), end = f * hop + 2 * hop; i < end; i++) {
+                const diff = samples[i] - samples[i - 1];
+                sum += diff * diff;
+            }
+            energy[f] = sum;
+            maxEnergy = Math.max(maxEnergy, sum);
+        }
+        if (maxEnergy === 0) return new Float32Array(0);
+        for (let f = 0; f < frames; f++) energy[f] = Math.log1p(1000 * energy[f] / maxEnergy);
+        
+        const rise = new Float32Array(frames);
+        for (let f = 1; f < frames; f++) rise[f] = Math.max(0, energy[f] - energy[f - 1]);
+        
+        const onset = new Float32Array(frames);
+        let mean = 0;
+        for (let f = 0; f < frames; f++) {
+            for (let k = -ONSET_SMOOTHING; k <= ONSET_SMOOTHING; k++) {
+                if (f + k >= 0 && f + k < frames) onset[f] += rise[f + k] * (ONSET_SMOOTHING + 1 - Math.abs(k));
+            }
+            mean += onset[f] / frames;
+        }
+        for (let f = 0; f < frames; f++) onset[f] -= mean;
+        return onset;
+    }
+    
+    function autocorrelate(signal, lag) {
+        let sum = 0;
+        for (let i = 0; i + lag < signal.length; i++) sum += signal[i] * signal[i + lag];
+        return sum / (signal.length - lag);
+    }
+    
+    // { bpm, confidence, candidates: [{ bpm, relation: 'detected'|'half'|'double', confidence }] } or null.
+    // Confidence is how far the winning period stands above the average correlation, 0..1.
+    function detectTempo(samples, sampleRate) {
+        const onset = onsetEnvelope(samples, sampleRate);
+        const frameRate = sampleRate / envelopeHop(sampleRate); // ENVELOPE_RATE after rounding the hop
+        const [bpmMin, bpmMax] = bpmRange();
+        const minLag = Math.floor(60 * frameRate / bpmMax);
+        const maxLag = Math.ceil(60 * frameRate / bpmMin);
+        if (onset.length < maxLag * 4) return null; // Too short, or silence
+        
+        const zeroLag = autocorrelate(onset, 0);
+        if (zeroLag <= 0) return null; // Silence
+        
+        const correlation = new Float32Array(maxLag + 2);
+        let mean = 0;
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) correlation[lag] = autocorrelate(onset, lag);
+        for (let lag = minLag; lag <= maxLag; lag++) mean += correlation[lag] / (maxLag - minLag + 1);
+        
+        // Strongest local peak after the tempo prior
+        const prior = bpm => Math.exp(-0.5 * Math.pow(Math.log2(bpm / TEMPO_PRIOR_BPM) / TEMPO_PRIOR_OCTAVES, 2));
+        let bestLag = -1;
+        let bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (correlation[lag] < correlation[lag - 1] || correlation[lag] < correlation[lag + 1]) continue;
+            const score = correlation[lag] * prior(60 * frameRate / lag);
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag < 0 || correlation[bestLag] <= mean) return null;
+        
+        // Parabolic interpolation between neighbouring lags for sub-frame precision
+        const [a, b, c] = [correlation[bestLag - 1], correlation[bestLag], correlation[bestLag + 1]];
+        const denominator = a - 2 * b + c;
+        const offset = denominator ? 0.5 * (a - c) / denominator : 0;
+        const bpm = 60 * frameRate / (bestLag + Math.max(-0.5, Math.min(0.5, offset)));
+        
+        const strength = lag => {
+            const rounded = Math.round(lag);
+            if (rounded < minLag || rounded > maxLag) return 0;
+            const peak = Math.max(correlation[rounded - 1], correlation[rounded], correlation[rounded + 1]);
+            return clamp01((peak - mean) / (zeroLag - mean));
+        };
+        
+        const confidence = strength(bestLag);
+        const candidates = [
+            { bpm, relation: 'detected' },
+            { bpm: bpm / 2, relation: 'half' },
+            { bpm: bpm * 2, relation: 'double' }
+        ]
+            .filter(candidate => candidate.bpm >= bpmMin && candidate.bpm <= bpmMax)
+            .map(candidate => ({
+                bpm: Math.round(candidate.bpm),
+                relation: candidate.relation,
+                confidence: candidate.relation === 'detected' ? confidence : strength(60 * frameRate / candidate.bpm)
+            }));
+        
+        return { bpm: Math.round(bpm), confidence, candidates };
+    }
+    
+    // Seconds into the preview at which the first beat of this tempo falls, from the onset
+    // envelope folded over one beat period; lets a click track line up with the audio
+    function beatPhase(buffer, bpm) {
+        const onset = onsetEnvelope(analysisWindow(buffer), buffer.sampleRate);
+        const frameRate = buffer.sampleRate / envelopeHop(buffer.sampleRate);
+        const period = 60 * frameRate / bpm;
+        if (!onset.length || !(period > 0)) return 0;
+        
+        const folded = new Float32Array(Math.ceil(period));
+        for (let f = 0; f < onset.length; f++) folded[Math.floor(f % period)] += onset[f];
+        
+        let best = 0;
+        for (let i = 1; i < folded.length; i++) if (folded[i] > folded[best]) best = i;
+        // A rise shows up one frame before the beat, when the two-hop energy window first reaches it
+        return ((best + 1) % folded.length) / frameRate;
+    }
+    
+    // Where the analysis window, and so the preview, starts in the buffer, in seconds
+    function previewStart(buffer) {
+        const length = Math.min(buffer.length, Math.round(ANALYSIS_SECONDS * buffer.sampleRate));
+        return Math.floor((buffer.length - length) / 2) / buffer.sampleRate;
+    }
+    
+    // ---------------------------
+    // Key Detection
+    // ---------------------------
+    
+    // In-place radix-2 FFT; re and im have a power-of-two length
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const evenIndex = start + k;
+                    const oddIndex = evenIndex + size / 2;
+                    const oddRe = re[oddIndex] * wRe - im[oddIndex] * wIm;
+                    const oddIm = re[oddIndex] * wIm + im[oddIndex] * wRe;
+                    re[oddIndex] = re[evenIndex] - oddRe;
+                    im[oddIndex] = im[evenIndex] - oddIm;
+                    re[evenIndex] += oddRe;
+                    im[evenIndex] += oddIm;
+                    const nextRe = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = nextRe;
+                }
+            }
+        }
+    }
+    
+    // Pitch-class energy, each frame normalized so loud sections do not dominate
+    async function chromagram(samples, sampleRate) {
+        const binPitchClass = new Int8Array(FFT_SIZE / 2).fill(-1);
+        for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+            const freq = bin * sampleRate / FFT_SIZE;
+            if (freq < MIN_FREQ || freq > MAX_FREQ) continue;
+            binPitchClass[bin] = ((Math.round(12 * Math.log2(freq / 440)) + 69) % 12 + 12) % 12;
+        }
+        
+        const hann = new Float32Array(FFT_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1)));
+        const re = new Float32Array(FFT_SIZE);
+        const im = new Float32Array(FFT_SIZE);
+        const chroma = new Array(12).fill(0);
+        
+        for (let start = 0, frame = 0; start + FFT_SIZE <= samples.length; start += FFT_SIZE, frame++) {
+            for (let i = 0; i < FFT_SIZE; i++) {
+                re[i] = samples[start + i] * hann[i];
+                im[i] = 0;
+            }
+            fft(re, im);
+            
+            const frameChroma = new Array(12).fill(0);
+            for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+                if (binPitchClass[bin] >= 0) frameChroma[binPitchClass[bin]] += Math.hypot(re[bin], im[bin]);
+            }
+            const peak = Math.max(...frameChroma);
+            if (peak > 0) frameChroma.forEach((value, pc) => { chroma[pc] += value / peak; });
+            
+            // Keep the page responsive on long windows
+            if (frame % 32 === 31) await nextTick();
+        }
+        return chroma;
+    }
+    
+    function pearson(x, y) {
+        const meanX = x.reduce((sum, v) => sum + v, 0) / x.length;
+        const meanY = y.reduce((sum, v) => sum + v, 0) / y.length;
+        let numerator = 0;
+        let varX = 0;
+        let varY = 0;
+        for (let i = 0; i < x.length; i++) {
+            numerator += (x[i] - meanX) * (y[i] - meanY);
+            varX += (x[i] - meanX) ** 2;
+            varY += (y[i] - meanY) ** 2;
+        }
+        return varX && varY ? numerator / Math.sqrt(varX * varY) : 0;
+    }
+    
+    // { key_name, scale, confidence, candidates: [{ key_name, scale, confidence }] } in stored form, or null.
+    // Confidence is the profile fit, discounted when the runner-up fits almost as well.
+    async function detectKey(samples, sampleRate) {
+        const chroma = await chromagram(samples, sampleRate);
+        if (!chroma.some(value => value > 0)) return null;
+        
+        const scores = [];
+        for (let tonic = 0; tonic < 12; tonic++) {
+            [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+                const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+                scores.push({ pitchClass: tonic, mode, score: pearson(chroma, rotated) });
+            });
+        }
+        scores.sort((a, b) => b.score - a.score);
+        
+        const toCandidate = (entry, runnerUp) => ({
+            ...window.BP.keys.toStored(entry),
+            confidence: clamp01(entry.score) * clamp01(0.5 + (entry.score - runnerUp.score) / 0.2)
+        });
+        const candidates = scores.slice(0, 3).map((entry, i) => toCandidate(entry, scores[i + 1]));
+        return { ...candidates[0], candidates };
+    }
+    
+    // ---------------------------
+    // Analysis
+    // ---------------------------
+    
+    // Resolves with { bpm: detectTempo result, key: detectKey result, duration }
+    async function analyzeBuffer(buffer) {
+        const samples = analysisWindow(buffer);
+        await nextTick();
+        const bpm = detectTempo(samples, buffer.sampleRate);
+        await nextTick();
+        const key = await detectKey(samples, buffer.sampleRate);
+        return { bpm, key, duration: buffer.duration };
+    }
+    
+    // Decodes and analyzes once per file; picking the same file again reuses the result
+    function analyzeFile(file) {
+        if (current && current.file === file) return current.promise;
+        
+        const entry = { file, buffer: null, result: null };
+        entry.promise = (async () => {
+            if (file.size > MAX_FILE_BYTES) throw new Error('File is too large to analyze in the browser');
+            const length = await probeDuration(file);
+            if (length !== null && length > MAX_DECODE_SECONDS) {
+                throw new Error('File is too long to analyze in the browser');
+            }
+            
+            const started = performance.now();
+            const { buffer, duration } = await decodeFile(file);
+            entry.buffer = buffer;
+            entry.result = { ...(await analyzeBuffer(buffer)), duration };
+            if (DEBUG) console.log(`🎚️ [BP Audio] ${file.name} analyzed in ${Math.round(performance.now() - started)}ms`, entry.result);
+            return entry.result;
+        })();
+        current = entry;
+        return entry.promise;
+    }
+    
+    // ---------------------------
+    // Field Prefill
+    // ---------------------------
+    
+    function applyBPM(bpm) {
+        const input = document.getElementById('bpm');
+        if (!input) return;
+        input.value = String(bpm);
+        prefilled.bpm = input.value;
+        // The BPM field validates, enables submit and announces the change on input
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    function applyKey(keyName, scale) {
+        const keyInput = document.getElementById('key_name');
+        const scaleInput = document.getElementById('scale');
+        if (!keyInput || !scaleInput) return;
+        keyInput.value = keyName;
+        scaleInput.value = scale;
+        prefilled.key = `${keyName}|${scale}`;
+        
+        keyInput.dispatchEvent(new Event('change', { bubbles: true }));
+        if (window.enableSubmitButton) window.enableSubmitButton();
+        if (window.BP.emit) window.BP.emit('metadata:changed', { field: 'key_name' });
+    }
+    
+    // Only empty fields, or fields still holding an earlier detection, are filled in
+    function prefillFields(result) {
+        const bpmInput = document.getElementById('bpm');
+        if (result.bpm && bpmInput && (!bpmInput.value || bpmInput.value === prefilled.bpm)) {
+            applyBPM(result.bpm.bpm);
+        }
+        
+        const keyInput = document.getElementById('key_name');
+        const scaleInput = document.getElementById('scale');
+        const typedKey = keyInput && scaleInput ? `${keyInput.value}|${scaleInput.value}` : null;
+        if (result.key && typedKey !== null && (typedKey === '|' || typedKey === prefilled.key)) {
+            applyKey(result.key.key_name, result.key.scale);
+        }
+    }
+    
+    // ---------------------------
+    // Results Panel
+    // ---------------------------
+    
+    const percent = confidence => `${Math.round(confidence * 100)}%`;
+    
+    function createChip(text, title, active, onClick) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'px-10 py-4 rounded-full border text-xs transition-colors ' +
+            (active ? 'border-primary text-primary' : 'border-divider text-muted hover:bg-hover');
+        chip.textContent = text;
+        chip.title = title;
+        chip.setAttribute('aria-pressed', String(active));
+        chip.addEventListener('click', onClick);
+        return chip;
+    }
+    
+    function createRow(label, chips) {
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-6 mt-8';
+        const name = document.createElement('span');
+        name.className = 'text-xs text-muted w-40';
+        name.textContent = label;
+        row.appendChild(name);
+        chips.forEach(chip => row.appendChild(chip));
+        return row;
+    }
+    
+    function ensurePanel() {
+        let panel = document.getElementById(PANEL_ID);
+        if (panel) return panel;
+        
+        const container = document.getElementById('custom-fields-container');
+        if (!container) return null;
+        
+        panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.className = 'mb-24 p-12 rounded-panel border border-divider text-sm';
+        panel.setAttribute('aria-live', 'polite');
+        
+        // Directly under the Key / Scale / BPM row
+        const fieldsRow = document.getElementById('bpm') && document.getElementById('bpm').closest('.grid');
+        if (fieldsRow && fieldsRow.parentNode === container) {
+            fieldsRow.insertAdjacentElement('afterend', panel);
+        } else {
+            container.prepend(panel);
+        }
+        return panel;
+    }
+    
+    function renderStatus(message) {
+        const panel = ensurePanel();
+        if (!panel) return;
+        panel.innerHTML = '';
+        const status = document.createElement('div');
+        status.className = 'text-xs text-muted';
+        status.textContent = message;
+        panel.appendChild(status);
+    }
+    
+    function renderResult(result) {
+        const panel = ensurePanel();
+        if (!panel) return;
+        panel.innerHTML = '';
+        
+        const heading = document.createElement('div');
+        heading.className = 'text-xs text-muted';
+        heading.textContent = 'Detected from your audio - pick another value or type over it if it sounds off';
+        panel.appendChild(heading);
+        
+        const bpmValue = document.getElementById('bpm')?.value || '';
+        if (result.bpm) {
+            const relationLabels = { detected: '', half: ' (half-time)', double: ' (double-time)' };
+            panel.appendChild(createRow('BPM', result.bpm.candidates.map(candidate => createChip(
+                `${candidate.bpm}${relationLabels[candidate.relation]} · ${percent(candidate.confidence)}`,
+                `Use ${candidate.bpm} BPM`,
+                bpmValue === String(candidate.bpm),
+                () => { applyBPM(candidate.bpm); renderResult(result); }
+            ))));
+        }
+        
+        const keyValue = `${document.getElementById('key_name')?.value || ''}|${document.getElementById('scale')?.value || ''}`;
+        if (result.key) {
+            panel.appendChild(createRow('Key', result.key.candidates.map(candidate => {
+                const codes = window.BP.keys.codes(candidate.key_name, candidate.scale);
+                const label = window.BP.keys.label(candidate.key_name, candidate.scale);
+                return createChip(
+                    `${label}${codes ? ` · ${codes.camelot}` : ''} · ${percent(candidate.confidence)}`,
+                    `Use ${label}`,
+                    keyValue === `${candidate.key_name}|${candidate.scale}`,
+                    () => { applyKey(candidate.key_name, candidate.scale); renderResult(result); }
+                );
+            })));
+        }
+        
+        if (!result.bpm && !result.key) renderStatus('No clear tempo or key found in this file');
+    }
+    
+    // ---------------------------
+    // File Selection
+    // ---------------------------
+    
+    async function handleFile(file) {
+        if (!isAudioFile(file) || !window.BP.routes.is('upload')) return;
+        
+        const signal = window.BP.modules.signal();
+        renderStatus('Analyzing audio for BPM and key…');
+        
+        try {
+            const result = await analyzeFile(file);
+            if (signal.aborted || !current || current.file !== file) return;
+            
+            // The fields are injected a little after the host form; wait for them
+            const ready = await window.BP.modules.waitFor(() => document.getElementById('bpm'), { attempts: 10, interval: 500 });
+            if (!ready || signal.aborted) return;
+            
+            prefillFields(result);
+            renderResult(result);
+            window.BP.emit('audio:analyzed', {
+                fileName: file.name,
+                bpm: result.bpm ? result.bpm.bpm : null,
+                keyName: result.key ? result.key.key_name : null,
+                scale: result.key ? result.key.scale : null
+            });
+        } catch (error) {
+            if (signal.aborted) return;
+            // Unsupported codecs and oversized files are expected; the producer types the values instead
+            console.warn('[BP Audio] Could not analyze', file.name, error);
+            renderStatus('Could not analyze this file - enter BPM and key by hand');
+        }
+    }
+    
+    // The host recreates its file input, so selections and drops are caught at the document
+    function onFileChange(event) {
+        const target = event.target;
+        if (target && target.matches && target.matches('input[type="file"]') && target.files && target.files.length) {
+            handleFile(Array.from(target.files).find(isAudioFile));
+        }
+    }
+    
+    function onDrop(event) {
+        const files = event.dataTransfer && event.dataTransfer.files;
+        if (files && files.length) handleFile(Array.from(files).find(isAudioFile));
+    }
+    
+    // ---------------------------
+    // Module Lifecycle
+    // ---------------------------
+    
+    function initAudioAnalysis() {
+        if (listening) return;
+        document.addEventListener('change', onFileChange, true);
+        document.addEventListener('drop', onDrop, true);
+        listening = true;
+    }
+    
+    function destroyAudioAnalysis() {
+        document.removeEventListener('change', onFileChange, true);
+        document.removeEventListener('drop', onDrop, true);
+        listening = false;
+        current = null;
+        prefilled.bpm = null;
+        prefilled.key = null;
+        const panel = document.getElementById(PANEL_ID);
+        if (panel) panel.remove();
+    }
+    
+    if (window.BP && window.BP.modules) {
+        window.BP.modules.register({
+            name: 'audio-analysis',
+            match: route => route.pageType === 'upload',
+            init: initAudioAnalysis,
+            destroy: destroyAudioAnalysis
+        });
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.audioAnalysis = {
+        analyzeFile,
+        analyzeBuffer,
+        detectTempo,
+        detectKey,
+        beatPhase,
+        previewStart,
+        // The analyzed slice of the current upload, for previews: { file, buffer, result } or null
+        current: () => (current && current.buffer ? { file: current.file, buffer: current.buffer, result: current.result } : null)
+    };
+
+})();
@@ -1,303 +1,3044 @@
 // ============================================================
-// BeatPass Utilities - Standalone IIFE Module
-// Zero dependencies, self-contained utility functions
+// BeatPass Event Bus - Standalone IIFE Module
+// Typed publish/subscribe between modules, exposed on window.BP
 // ============================================================
 (function() {
     'use strict';
     
     const DEBUG = false; // Disabled to reduce console noise
     
+    // Keep listeners if the module is evaluated twice
+    if (window.BP && window.BP.events) return;
+    
     // ---------------------------
-    // Core Utility Functions
+    // Event Definitions
     // ---------------------------
     
-    function debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    // Payload fields per event. Types are typeof names joined with "|";
+    // "null" allows null, "any" allows anything and a trailing "?" marks the field optional.
+    const EVENT_TYPES = {
+        // SPA navigation settled on a new path
+        'route:changed': {
+            path: 'string',
+            pageType: 'string',
+            previousPath: 'string|null',
+            previousPageType: 'string|null'
+        },
+        // The track shown on a track or edit page changed
+        'track:changed': {
+            trackId: 'string|null',
+            previousTrackId: 'string|null',
+            pageType: 'string'
+        },
+        // A custom field was edited on the upload or edit form
+        'metadata:changed': {
+            field: 'string',
+            value: 'any?'
+        },
+        // Custom track data was stored by key_bpm_handler
+        'metadata:saved': {
+            trackId: 'string|number',
+            data: 'object'
+        },
+        // A custom metadata save changed state: queued, saving, saved, failed or denied
+        'sync:status': {
+            trackId: 'string',
+            status: 'string',
+            error: 'string|null',
+            pending: 'number'
+        },
+        // A BeatPassID fingerprint was generated and stored
+        'fingerprint:completed': {
+            trackId: 'string|number',
+            fingerprintHash: 'string'
+        },
+        // BPM and key were estimated from the audio file picked on the upload page
+        'audio:analyzed': {
+            fileName: 'string',
+            bpm: 'number|null',
+            keyName: 'string|null',
+            scale: 'string|null'
+        },
+        // The host player started, paused or switched tracks
+        'player:state': {
+            playing: 'boolean|null',
+            title: 'string|null',
+            artist: 'string|null',
+            image: 'string|null?'
+        }
+    };
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    const listeners = new Map(Object.keys(EVENT_TYPES).map(name => [name, new Set()]));
+    const lastPayloads = new Map();
+    
+    // ---------------------------
+    // Payload Validation
+    // ---------------------------
+    
+    function matchesType(value, spec) {
+        return spec.split('|').some(type => {
+            if (type === 'any') return true;
+            if (type === 'null') return value === null;
+            if (type === 'object') return value !== null && typeof value === 'object';
+            return typeof value === type;
+        });
     }
-
-    // Optimized element waiting using MutationObserver with specific target
-    function waitForElement(selector, timeout = 10000, targetNode = document.body) {
-        return new Promise((resolve, reject) => {
-            const element = targetNode.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const startObserving = () => {
-                const observeTarget = targetNode || document.body || document.documentElement;
-                if (!observeTarget) {
-                    console.warn('[BeatPassCore] DOM not ready for waitForElement observer, retrying...');
-                    setTimeout(startObserving, 100);
-                    return;
-                }
-                
-                const observer = new MutationObserver((mutations, obs) => {
-                    // Only check mutations that actually added nodes
-                    for (const mutation of mutations) {
-                        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                            const element = observeTarget.querySelector(selector);
-                            if (element) {
-                                obs.disconnect();
-                                resolve(element);
-                                return;
-                            }
-                        }
-                    }
-                });
-
-                observer.observe(observeTarget, { 
-                    childList: true, 
-                    subtree: true,
-                    // Optimize by not observing attributes
-                    attributes: false,
-                    characterData: false
-                });
-
-                setTimeout(() => {
-                    observer.disconnect();
-                    reject(new Error(`Element ${selector} not found within ${timeout}ms`));
-                }, timeout);
-            };
+    
+    function validatePayload(name, payload) {
+        if (payload === null || typeof payload !== 'object') {
+            return ['payload must be an object'];
+        }
+        
+        const problems = [];
+        Object.entries(EVENT_TYPES[name]).forEach(([field, spec]) => {
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
             
-            startObserving();
+            if (!(field in payload) || payload[field] === undefined) {
+                if (!optional) problems.push(`missing "${field}"`);
+            } else if (!matchesType(payload[field], type)) {
+                problems.push(`"${field}" should be ${type}`);
+            }
         });
+        return problems;
     }
-
-    function styleSaveButton(button) {
-        if (!button) return;
-        // Add any custom styling for the save button if needed
-        button.style.transition = 'all 0.3s ease';
+    
+    function assertKnownEvent(name) {
+        if (!listeners.has(name)) {
+            throw new Error(`[BP Events] Unknown event "${name}"`);
+        }
     }
-
+    
     // ---------------------------
-    // Page Type Checkers
+    // Publish / Subscribe
     // ---------------------------
     
-    function isUploadPage() {
-        return window.location.pathname.includes('/backstage/upload');
+    // Returns an unsubscribe function. With { replay: true } the handler also receives
+    // the last payload of the event, for modules that load after it was emitted.
+    function on(name, handler, options = {}) {
+        assertKnownEvent(name);
+        listeners.get(name).add(handler);
+        
+        if (options.replay && lastPayloads.has(name)) {
+            invoke(name, handler, lastPayloads.get(name));
+        }
+        return () => off(name, handler);
     }
     
-    function isEditPage() {
-        return window.location.pathname.includes('/backstage/tracks/') &&
-               window.location.pathname.includes('/edit');
+    function once(name, handler) {
+        const unsubscribe = on(name, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
     }
     
-    function isTrackPage() {
-        return window.location.pathname.includes('/track/');
+    function off(name, handler) {
+        assertKnownEvent(name);
+        listeners.get(name).delete(handler);
     }
     
-    function isConfirmationPage() {
-        if (isUploadPage()) {
-            const formPresent = document.querySelector('form');
-            const anchor = document.querySelector('a[href*="/track/"]');
-            const readonly = document.querySelector('input[readonly][value*="/track/"]');
-            if (!formPresent && (anchor || readonly)) return true;
-            if (document.body.innerText.includes("Upload complete.")) return true;
-            return false;
+    // A failing subscriber never stops the others
+    function invoke(name, handler, payload) {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`[BP Events] Handler for "${name}" failed:`, error);
+            if (window.BP.errors) window.BP.errors.capture(error, { kind: 'event', operation: name });
         }
-        return isTrackPage();
     }
-
+    
+    function emit(name, payload = {}) {
+        assertKnownEvent(name);
+        
+        const problems = validatePayload(name, payload);
+        if (problems.length > 0) {
+            console.warn(`[BP Events] Invalid "${name}" payload: ${problems.join(', ')}`, payload);
+        }
+        
+        if (DEBUG) console.log(`📣 [BP Events] ${name}`, payload);
+        lastPayloads.set(name, payload);
+        [...listeners.get(name)].forEach(handler => invoke(name, handler, payload));
+    }
+    
     // ---------------------------
-    // Track Data Extractors
+    // Global API Exposure
     // ---------------------------
     
-    function getTrackId() {
-        const m = window.location.pathname.match(/\/backstage\/tracks\/(\d+)\/edit/);
-        return m ? m[1] : null;
+    const BeatPassEventBus = {
+        on,
+        once,
+        off,
+        emit,
+        last: (name) => lastPayloads.get(name),
+        types: EVENT_TYPES,
+        listenerCount: (name) => (listeners.get(name) || new Set()).size
+    };
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.events = BeatPassEventBus;
+    window.BP.on = on;
+    window.BP.once = once;
+    window.BP.off = off;
+    window.BP.emit = emit;
+    
+    if (DEBUG) console.log('[BeatPassEventBus] Event bus ready:', Object.keys(EVENT_TYPES));
+    
+})();
+// ============================================================
+// BeatPass Selector Registry - Standalone IIFE Module
+// One place for host-app DOM selectors, with ordered fallbacks and BP.selfTest()
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // Bump when the selectors are updated for a new host app release
+    const REGISTRY_VERSION = '14.7.25';
+    
+    // ---------------------------
+    // Selector Definitions
+    // ---------------------------
+    
+    // Each logical element lists its candidates in order of preference. "within" scopes the
+    // lookup to another registered element, "pages" limits BP.selfTest() to pages where the
+    // element should exist and "optional" marks elements whose absence is a valid state.
+    const SELECTORS = {
+        'player.container': {
+            description: 'Main player bar',
+            candidates: ['.flex.items-center.gap-14', '.dashboard-grid-footer .flex.items-center'],
+            pages: ['*'],
+            usedBy: ['queue']
+        },
+        'player.title': {
+            description: 'Title of the playing track in the player bar',
+            within: 'player.container',
+            candidates: ['a.hover\\:underline.overflow-x-hidden.overflow-ellipsis.text-sm', 'a[href^="/track/"]'],
+            pages: ['*'],
+            optional: true, // Only rendered once something has been queued
+            usedBy: ['queue']
+        },
+        'player.artist': {
+            description: 'Artist of the playing track in the player bar',
+            within: 'player.container',
+            candidates: ['.text-xs.text-muted a', 'a[href^="/artist/"]'],
+            pages: ['*'],
+            optional: true,
+            usedBy: ['queue']
+        },
+        'player.cover': {
+            description: 'Cover image of the playing track in the player bar',
+            within: 'player.container',
+            candidates: ['img[data-cd-spin="true"]', 'img[src*="track_image"]'],
+            pages: ['*'],
+            optional: true,
+            usedBy: ['queue']
+        },
+        'artist.header': {
+            description: 'Artist name heading on artist profiles',
+            candidates: ['h1.text-2xl.md\\:text-4xl.font-semibold.mb-14.text-center.md\\:text-start', 'main h1.font-semibold'],
+            pages: ['artist'],
+            usedBy: ['verified']
+        },
+        'artist.verifiedMark': {
+            description: 'Host "verified" pill on artist profile images',
+            candidates: ['div.absolute.bottom-24.left-0.right-0.mx-auto.flex.w-max.max-w-full.items-center.gap-6.rounded-full.bg-black\\/60.px-8.py-4.text-sm.text-white'],
+            pages: ['artist'],
+            optional: true, // Only present for verified artists
+            usedBy: ['verified']
+        },
+        'track.artistLink': {
+            description: 'Artist links under track titles in lists and headers',
+            candidates: ['div.flex.items-center.gap-6.text-sm.text-muted > div.overflow-x-hidden.overflow-ellipsis > a[href^="/artist/"]'],
+            pages: ['track'],
+            usedBy: ['verified', 'fingerprinting']
+        },
+        'track.infoRow': {
+            description: 'Track page row holding release date and duration',
+            candidates: [
+                '.text-muted.mt-18.md\\:mt-26.text-sm.w-max.mx-auto.md\\:mx-0 .flex.items-center.gap-4.text-sm.text-muted',
+                '.flex.items-center.gap-4.text-sm.text-muted',
+                '.text-sm.text-muted .flex.items-center.gap-4'
+            ],
+            pages: ['track'],
+            usedBy: ['fingerprinting', 'router']
+        },
+        'table.trackLink': {
+            description: 'Title link to /track/:id inside a track table row',
+            candidates: ['[aria-colindex="2"] a[href^="/track/"]', '[aria-colindex="1"] a[href^="/track/"]', 'a[href^="/track/"]'],
+            pages: ['playlist', 'album'],
+            optional: true, // Only rendered once the table has rows
+            usedBy: ['features']
+        },
+        'form.tagsInput': {
+            description: 'Tags chip input on the upload and edit forms',
+            candidates: ['input[name="tags"]'],
+            pages: ['upload', 'edit'],
+            usedBy: ['features', 'ui-components']
+        },
+        'form.artistsInput': {
+            description: 'Artists chip input on the upload and edit forms',
+            candidates: ['input[name="artists"]'],
+            pages: ['upload', 'edit'],
+            usedBy: ['features']
+        },
+        'form.genresInput': {
+            description: 'Genres chip input on the upload and edit forms',
+            candidates: ['input[name="genres"]'],
+            pages: ['upload', 'edit'],
+            usedBy: ['core', 'coverart']
+        },
+        'form.description': {
+            description: 'Description textarea on the upload and edit forms',
+            candidates: ['textarea[name="description"]'],
+            pages: ['upload', 'edit'],
+            usedBy: ['core']
+        },
+        'form.artwork': {
+            description: 'Cover art drop zone on the upload and edit forms',
+            candidates: ['.w-full.md\\:w-224.aspect-square.rounded.group'],
+            pages: ['upload', 'edit'],
+            usedBy: ['core']
+        },
+        'form.playbackUrl': {
+            description: 'Playback URL input on the edit form',
+            candidates: ['input[name="src"]', 'input[type="text"][name="src"]', 'input[type="url"][name="src"]'],
+            pages: ['edit'],
+            usedBy: ['features', 'fingerprinting']
+        }
+    };
+    
+    // Logical elements that were only found through a fallback candidate
+    const fallbackHits = new Map();
+    
+    // ---------------------------
+    // Lookup
+    // ---------------------------
+    
+    function getDefinition(name) {
+        const definition = SELECTORS[name];
+        if (!definition) throw new Error(`[BP Selectors] Unknown selector "${name}"`);
+        return definition;
     }
     
-    function getCurrentTrackId() {
-        // Try multiple methods to get track ID
-        const urlParams = new URLSearchParams(window.location.search);
-        const trackId = urlParams.get('track_id') || urlParams.get('id');
-        
-        if (trackId) return trackId;
-        
-        // For track view pages like /track/3420/linked
-        const trackViewMatch = window.location.pathname.match(/\/track\/(\d+)/);
-        if (trackViewMatch) {
-            return trackViewMatch[1];
+    // An explicit root is used as-is; otherwise nested elements are searched in their parent
+    function getRoots(definition, root) {
+        if (root) return [root];
+        if (!definition.within) return [document];
+        return queryAll(definition.within);
+    }
+    
+    function recordMatch(name, index) {
+        if (index > 0 && !fallbackHits.has(name)) {
+            fallbackHits.set(name, index);
+            if (DEBUG) console.warn(`[BP Selectors] "${name}" matched fallback #${index}: ${SELECTORS[name].candidates[index]}`);
         }
+    }
+    
+    // First element matching the earliest candidate that matches anything
+    function query(name, root) {
+        const definition = getDefinition(name);
+        const roots = getRoots(definition, root);
         
-        // For edit pages, use the existing getTrackId function
-        const editPageId = getTrackId();
-        if (editPageId) return editPageId;
-        
-        // Try to find in form data
-        const trackIdInput = document.querySelector('input[name="track_id"]');
-        if (trackIdInput && trackIdInput.value) return trackIdInput.value;
-        
+        for (let i = 0; i < definition.candidates.length; i++) {
+            for (const scope of roots) {
+                const element = scope.querySelector(definition.candidates[i]);
+                if (element) {
+                    recordMatch(name, i);
+                    return element;
+                }
+            }
+        }
         return null;
     }
     
-    function getTrackName() {
-        // Try multiple selectors to find track name input
-        const inp = document.querySelector('input[name="name"]') || 
-                   document.querySelector('input[type="text"][name="name"]') ||
-                   document.querySelector('input[placeholder*="track"]') ||
-                   document.querySelector('input[placeholder*="Track"]') ||
-                   document.querySelector('input[placeholder*="name"]') ||
-                   document.querySelector('input[placeholder*="Name"]');
+    // All elements matching the earliest candidate that matches anything
+    function queryAll(name, root) {
+        const definition = getDefinition(name);
+        const roots = getRoots(definition, root);
         
-        const trackName = inp ? inp.value.trim() : '';
-        if (DEBUG) console.log("🏷️ getTrackName() found:", trackName);
-        return trackName;
+        for (let i = 0; i < definition.candidates.length; i++) {
+            const elements = roots.flatMap(scope => Array.from(scope.querySelectorAll(definition.candidates[i])));
+            if (elements.length > 0) {
+                recordMatch(name, i);
+                return elements;
+            }
+        }
+        return [];
     }
     
-    function getDuration() {
-        const inp = document.querySelector('input[name="duration"]');
-        return inp ? parseInt(inp.value.trim(), 10) || null : null;
+    // Modules can add their own logical elements so they are covered by BP.selfTest()
+    function register(name, definition) {
+        if (!definition || !Array.isArray(definition.candidates) || definition.candidates.length === 0) {
+            throw new Error(`[BP Selectors] "${name}" needs at least one candidate`);
+        }
+        SELECTORS[name] = { pages: ['*'], usedBy: [], ...definition };
     }
-
+    
     // ---------------------------
-    // Form Button Controllers
+    // Self-Diagnostics
     // ---------------------------
     
-    function disableSubmitButton() {
-        const form = document.querySelector('form');
-        if (!form) return;
-        const btn = form.querySelector('button[type="submit"]');
-        if (btn) btn.disabled = true;
+    function getPageType() {
+        if (window.BP && window.BP.getPageType) return window.BP.getPageType();
+        return window.getPageType ? window.getPageType() : 'other';
     }
     
-    function enableSubmitButton() {
-        const form = document.querySelector('form');
-        if (!form) return;
-        const btn = form.querySelector('button[type="submit"]');
-        if (btn) btn.disabled = false;
+    // Checks every selector expected on the current page and reports which integrations
+    // depend on the ones that no longer match, e.g. after a host app update
+    function selfTest({ log = true } = {}) {
+        const pageType = getPageType();
+        
+        const results = Object.entries(SELECTORS).map(([name, definition]) => {
+            const pages = definition.pages || ['*'];
+            const result = { name, status: 'skipped', candidate: null, usedBy: definition.usedBy || [] };
+            if (!pages.includes('*') && !pages.includes(pageType)) return result;
+            
+            const roots = getRoots(definition);
+            if (roots.length === 0) {
+                result.status = definition.optional ? 'absent' : 'missing';
+                result.candidate = `(no ${definition.within})`;
+                return result;
+            }
+            
+            const index = definition.candidates.findIndex(selector => roots.some(scope => scope.querySelector(selector)));
+            if (index === 0) {
+                result.status = 'ok';
+            } else if (index > 0) {
+                result.status = 'fallback';
+            } else {
+                result.status = definition.optional ? 'absent' : 'missing';
+            }
+            result.candidate = index >= 0 ? definition.candidates[index] : null;
+            return result;
+        });
+        
+        const broken = results.filter(result => result.status === 'missing');
+        const report = {
+            version: REGISTRY_VERSION,
+            pageType,
+            ok: broken.length === 0,
+            results,
+            brokenIntegrations: [...new Set(broken.flatMap(result => result.usedBy))]
+        };
+        
+        if (log) {
+            console.log(`[BP Selectors] Self-test v${REGISTRY_VERSION} on "${pageType}": ` +
+                        (report.ok ? 'all selectors matched' : `broken: ${report.brokenIntegrations.join(', ')}`));
+            console.table(results.filter(result => result.status !== 'skipped')
+                .map(({ name, status, candidate, usedBy }) => ({ name, status, candidate, usedBy: usedBy.join(', ') })));
+        }
+        return report;
     }
-
+    
     // ---------------------------
-    // Animation Styles Injector
+    // Global API Exposure
     // ---------------------------
     
-    function ensureAnimationStyles() {
-        if (document.getElementById('beatpass-smooth-animations')) return;
+    const BeatPassSelectors = {
+        version: REGISTRY_VERSION,
+        query,
+        queryAll,
+        register,
+        get: (name) => SELECTORS[name] || null,
+        list: () => Object.keys(SELECTORS),
+        getFallbackHits: () => Object.fromEntries(fallbackHits),
+        selfTest
+    };
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.selectors = BeatPassSelectors;
+    window.BP.selfTest = selfTest;
+    
+})();
+// ============================================================
+// BeatPass Route Table - Standalone IIFE Module
+// Named host-app routes with parameters, exposed as BP.route and BP.routes
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    if (window.BP && window.BP.routes) return;
+    
+    // ---------------------------
+    // Route Definitions
+    // ---------------------------
+    
+    // ":name" captures one path segment, ":name?" an optional one and a trailing "*" any
+    // remaining segments. Route names double as the page types used by the module manifest.
+    const ROUTES = [
+        { name: 'discover', pattern: '/' },
+        { name: 'discover', pattern: '/discover/*' },
+        { name: 'upload', pattern: '/backstage/upload' },
+        { name: 'edit', pattern: '/backstage/tracks/:id/edit' },
+        { name: 'confirmation', pattern: '/backstage/tracks/:id/confirmation' },
+        { name: 'backstage', pattern: '/backstage/*' },
+        { name: 'track', pattern: '/track/:id/:slug?/*' },
+        { name: 'artist', pattern: '/artist/:id/:slug?/*' },
+        { name: 'playlist', pattern: '/playlist/:id/:slug?/*' },
+        { name: 'album', pattern: '/album/:id/*' },
+        { name: 'genre', pattern: '/genre/:genre/*' },
+        { name: 'pricing', pattern: '/pricing' }
+    ];
+    const FALLBACK_ROUTE = 'other';
+    
+    // ---------------------------
+    // Pattern Matching
+    // ---------------------------
+    
+    function compile(route) {
+        const segments = route.pattern.split('/').filter(Boolean);
+        const wildcard = segments[segments.length - 1] === '*';
+        if (wildcard) segments.pop();
+        return { ...route, segments, wildcard };
+    }
+    
+    const compiledRoutes = ROUTES.map(compile);
+    
+    function decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    }
+    
+    // Returns the captured params, or null when the path does not fit the pattern
+    function matchSegments(route, parts) {
+        const params = {};
+        let index = 0;
         
-        const style = document.createElement('style');
-        style.id = 'beatpass-smooth-animations';
-        style.textContent = `
-            /* BeatPass Smooth Injection Animations */
-            .beatpass-fade-in {
-                animation: beatpass-fadeIn 0.4s ease-out;
+        for (const segment of route.segments) {
+            const part = parts[index];
+            if (segment.startsWith(':')) {
+                const optional = segment.endsWith('?');
+                const key = segment.slice(1, optional ? -1 : undefined);
+                if (part === undefined) {
+                    if (!optional) return null;
+                    params[key] = null;
+                    continue;
+                }
+                params[key] = decodeSegment(part);
+            } else if (part !== segment) {
+                return null;
             }
-            
+            index++;
+        }
+        
+        return index === parts.length || route.wildcard ? params : null;
+    }
+    
+    function match(pathname) {
+        const parts = String(pathname || '/').split('/').filter(Boolean);
+        for (const route of compiledRoutes) {
+            const params = matchSegments(route, parts);
+            if (params) return { name: route.name, pattern: route.pattern, params };
+        }
+        return { name: FALLBACK_ROUTE, pattern: null, params: {} };
+    }
+    
+    // ---------------------------
+    // Current Route
+    // ---------------------------
+    
+    let cachedHref = null;
+    let cachedRoute = null;
+    
+    // Resolves a URL (the current location by default) into { name, params, query, path }
+    function resolve(url) {
+        const target = new URL(url || window.location.href, window.location.href);
+        const matched = match(target.pathname);
+        return Object.freeze({
+            name: matched.name,
+            pattern: matched.pattern,
+            params: Object.freeze(matched.params),
+            query: Object.freeze(Object.fromEntries(target.searchParams)),
+            path: target.pathname
+        });
+    }
+    
+    function current() {
+        if (window.location.href !== cachedHref) {
+            cachedHref = window.location.href;
+            cachedRoute = resolve(cachedHref);
+            if (DEBUG) console.log('🧭 [BP Routes] Resolved', cachedRoute);
+        }
+        return cachedRoute;
+    }
+    
+    function is(...names) {
+        return names.includes(current().name);
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    const BeatPassRoutes = {
+        match,
+        resolve,
+        current,
+        is,
+        list: () => ROUTES.map(route => ({ ...route }))
+    };
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.routes = BeatPassRoutes;
+    // Always reflects the current location, e.g. BP.route.params.id on /track/:id/:slug?
+    Object.defineProperty(window.BP, 'route', { get: current, configurable: true });
+    
+})();
+// ============================================================
+// BeatPass Module Lifecycle - Standalone IIFE Module
+// Route-scoped init/destroy for feature modules, driven by the SPA router
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // Keep registrations if the module is evaluated twice
+    if (window.BP && window.BP.modules) return;
+    
+    const MAX_ERRORS_PER_MODULE = 10;
+    const PHASES = ['init', 'onRouteChange', 'destroy'];
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    const registry = new Map();
+    let currentRoute = null;
+    let routeVersion = 0;
+    
+    // Aborted when the user leaves the path it was created for. Requests started
+    // before the first route is applied belong to the page that loaded the build.
+    let routeController = new AbortController();
+    let signalPath = window.location.pathname;
+    
+    // ---------------------------
+    // Module Records
+    // ---------------------------
+    
+    // Definitions follow { name, flag?, match(route), init(ctx), destroy?(), onRouteChange?(ctx) }.
+    // "flag" names the BP.flags entry that gates the module and defaults to the module name.
+    function validateDefinition(definition) {
+        if (!definition || typeof definition !== 'object') return 'definition must be an object';
+        if (typeof definition.name !== 'string' || !definition.name) return '"name" must be a non-empty string';
+        if (typeof definition.match !== 'function') return '"match" must be a function';
+        if (typeof definition.init !== 'function') return '"init" must be a function';
+        for (const hook of ['destroy', 'onRouteChange']) {
+            if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+                return `"${hook}" must be a function`;
+            }
+        }
+        return null;
+    }
+    
+    function createRecord(definition) {
+        return {
+            definition,
+            active: false,
+            timings: Object.fromEntries(PHASES.map(phase => [phase, { count: 0, lastMs: null, totalMs: 0 }])),
+            errors: []
+        };
+    }
+    
+    function recordError(record, phase, error, route) {
+        record.errors.push({
+            phase,
+            message: error && error.message ? error.message : String(error),
+            stack: error && error.stack ? error.stack : null,
+            path: route ? route.path : null,
+            time: Date.now()
+        });
+        if (record.errors.length > MAX_ERRORS_PER_MODULE) record.errors.shift();
+        console.error(`[BP Modules] ${record.definition.name} ${phase} failed:`, error);
+        
+        if (window.BP.errors) {
+            window.BP.errors.capture(error, { module: record.definition.name, kind: 'lifecycle', operation: phase });
+        }
+    }
+    
+    function isFlagEnabled(record) {
+        const flag = record.definition.flag || record.definition.name;
+        return !window.BP.flags || window.BP.flags.isEnabled(flag);
+    }
+    
+    function isInScope(record, route) {
+        if (!isFlagEnabled(record)) return false;
+        try {
+            return !!record.definition.match(route);
+        } catch (error) {
+            recordError(record, 'match', error, route);
+            return false;
+        }
+    }
+    
+    // ---------------------------
+    // Route Context
+    // ---------------------------
+    
+    // Polls check() until it returns truthy. Resolves false when the attempts run out or
+    // the route the context belongs to is no longer current, so stale inits can bail out.
+    function waitFor(check, options = {}, isCurrent = () => true) {
+        const { attempts = 6, interval = 600, delay = 0 } = options;
+        
+        return new Promise(resolve => {
+            let attempt = 0;
+            const poll = () => {
+                if (!isCurrent()) return resolve(false);
+                attempt++;
+                
+                let ready = false;
+                try {
+                    ready = !!check();
+                } catch (error) {
+                    ready = false;
+                }
+                
+                if (ready) return resolve(true);
+                if (attempt >= attempts) return resolve(false);
+                setTimeout(poll, interval);
+            };
+            setTimeout(poll, delay);
+        });
+    }
+    
+    function createContext(route, version) {
+        const isCurrent = () => version === routeVersion;
+        return {
+            ...route,
+            signal: routeController.signal,
+            isCurrent,
+            waitFor: (check, options) => waitFor(check, options, isCurrent)
+        };
+    }
+    
+    // ---------------------------
+    // Route Cancellation
+    // ---------------------------
+    
+    // Cancels every request started on the previous path. Re-applying the same path
+    // (the initial route, forced re-inits) keeps its requests running. The router calls
+    // this as soon as the URL changes, before the new route is applied.
+    function renewSignal(path) {
+        if (path === signalPath) return;
+        
+        routeController.abort();
+        routeController = new AbortController();
+        signalPath = path;
+        if (DEBUG) console.log(`🛑 [BP Modules] Aborted requests for previous route, new signal for ${path}`);
+    }
+    
+    function anySignal(signals) {
+        if (typeof AbortSignal.any === 'function') return AbortSignal.any(signals);
+        
+        const controller = new AbortController();
+        signals.forEach(signal => {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', () => controller.abort(), { once: true });
+        });
+        return controller.signal;
+    }
+    
+    // fetch() with the current route's signal. A caller signal is combined with it,
+    // so either one aborts the request.
+    function routeFetch(url, options = {}) {
+        const signal = options.signal
+            ? anySignal([options.signal, routeController.signal])
+            : routeController.signal;
+        return window.BP.transport.fetch(url, { ...options, signal });
+    }
+    
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+    
+    // ---------------------------
+    // Lifecycle Execution
+    // ---------------------------
+    
+    // Runs one hook with timing and error capture; a failing module never stops the others
+    async function runPhase(record, phase, ctx) {
+        const hook = record.definition[phase];
+        if (typeof hook !== 'function') return true;
+        
+        const started = performance.now();
+        try {
+            await hook.call(record.definition, ctx);
+            return true;
+        } catch (error) {
+            // A hook awaiting a request of a route the user already left is not a failure
+            if (isAbortError(error) && ctx.signal.aborted) return false;
+            recordError(record, phase, error, ctx);
+            return false;
+        } finally {
+            const timing = record.timings[phase];
+            timing.lastMs = Math.round(performance.now() - started);
+            timing.totalMs += timing.lastMs;
+            timing.count++;
+            if (DEBUG) console.log(`⏱️ [BP Modules] ${record.definition.name} ${phase}: ${timing.lastMs}ms`);
+        }
+    }
+    
+    async function initRecord(record, ctx) {
+        record.active = true;
+        const ok = await runPhase(record, 'init', ctx);
+        // A failed init is retried the next time the module's route is entered
+        if (!ok) record.active = false;
+        return ok;
+    }
+    
+    async function destroyRecord(record, ctx) {
+        record.active = false;
+        return runPhase(record, 'destroy', ctx);
+    }
+    
+    // Tears down modules leaving scope first, then initializes entering modules and
+    // notifies the ones that stay. Resolves with the module names per transition.
+    async function applyRoute(route) {
+        renewSignal(route.path);
+        currentRoute = { ...route };
+        const ctx = createContext(currentRoute, ++routeVersion);
+        const transitions = { destroyed: [], initialized: [], updated: [] };
+        
+        const leaving = [];
+        const entering = [];
+        const staying = [];
+        registry.forEach(record => {
+            const inScope = isInScope(record, currentRoute);
+            if (record.active && !inScope) leaving.push(record);
+            else if (!record.active && inScope) entering.push(record);
+            else if (record.active) staying.push(record);
+        });
+        
+        if (DEBUG) console.log(`🧭 [BP Modules] ${currentRoute.path}:`, {
+            leaving: leaving.map(record => record.definition.name),
+            entering: entering.map(record => record.definition.name),
+            staying: staying.map(record => record.definition.name)
+        });
+        
+        await Promise.all(leaving.map(async record => {
+            await destroyRecord(record, ctx);
+            transitions.destroyed.push(record.definition.name);
+        }));
+        
+        await Promise.all([
+            ...entering.map(async record => {
+                if (await initRecord(record, ctx)) transitions.initialized.push(record.definition.name);
+            }),
+            ...staying.map(async record => {
+                if (await runPhase(record, 'onRouteChange', ctx)) transitions.updated.push(record.definition.name);
+            })
+        ]);
+        
+        return transitions;
+    }
+    
+    // ---------------------------
+    // Registration
+    // ---------------------------
+    
+    // Returns an unregister function. Modules registered after the first route was applied
+    // (lazy-loaded ones) are initialized right away when the current route matches.
+    function register(definition) {
+        const problem = validateDefinition(definition);
+        if (problem) {
+            throw new Error(`[BP Modules] Invalid module definition: ${problem}`);
+        }
+        
+        const { name } = definition;
+        if (registry.has(name)) {
+            if (DEBUG) console.warn(`[BP Modules] "${name}" is already registered, keeping the first definition`);
+            return () => unregister(name);
+        }
+        
+        const record = createRecord(definition);
+        registry.set(name, record);
+        if (DEBUG) console.log(`📦 [BP Modules] Registered ${name}`);
+        
+        if (currentRoute && isInScope(record, currentRoute)) {
+            initRecord(record, createContext(currentRoute, routeVersion));
+        }
+        return () => unregister(name);
+    }
+    
+    function unregister(name) {
+        const record = registry.get(name);
+        if (!record) return;
+        
+        registry.delete(name);
+        if (record.active && currentRoute) {
+            destroyRecord(record, createContext(currentRoute, routeVersion));
+        }
+    }
+    
+    // ---------------------------
+    // Diagnostics
+    // ---------------------------
+    
+    function getStats(name) {
+        const record = registry.get(name);
+        if (!record) return null;
+        
+        return {
+            name,
+            active: record.active,
+            timings: JSON.parse(JSON.stringify(record.timings)),
+            errors: record.errors.slice()
+        };
+    }
+    
+    function stats() {
+        return [...registry.keys()].map(getStats);
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    const BeatPassModules = {
+        register,
+        unregister,
+        applyRoute,
+        waitFor: (check, options) => waitFor(check, options),
+        getRoute: () => (currentRoute ? { ...currentRoute } : null),
+        signal: () => routeController.signal,
+        renewSignal,
+        fetch: routeFetch,
+        isAbortError,
+        isActive: (name) => !!(registry.get(name) && registry.get(name).active),
+        list: () => [...registry.keys()],
+        getStats,
+        stats
+    };
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.modules = BeatPassModules;
+    
+})();
+// ============================================================
+// BeatPass Utilities - Standalone IIFE Module
+// Zero dependencies, self-contained utility functions
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Core Utility Functions
+    // ---------------------------
+    
+    function debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    // Optimized element waiting using MutationObserver with specific target
+    function waitForElement(selector, timeout = 10000, targetNode = document.body) {
+        return new Promise((resolve, reject) => {
+            const element = targetNode.querySelector(selector);
+            if (element) {
+                resolve(element);
+                return;
+            }
+
+            const startObserving = () => {
+                const observeTarget = targetNode || document.body || document.documentElement;
+                if (!observeTarget) {
+                    console.warn('[BeatPassCore] DOM not ready for waitForElement observer, retrying...');
+                    setTimeout(startObserving, 100);
+                    return;
+                }
+                
+                const observer = new MutationObserver((mutations, obs) => {
+                    // Only check mutations that actually added nodes
+                    for (const mutation of mutations) {
+                        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+                            const element = observeTarget.querySelector(selector);
+                            if (element) {
+                                obs.disconnect();
+                                resolve(element);
+                                return;
+                            }
+                        }
+                    }
+                });
+
+                observer.observe(observeTarget, { 
+                    childList: true, 
+                    subtree: true,
+                    // Optimize by not observing attributes
+                    attributes: false,
+                    characterData: false
+                });
+
+                setTimeout(() => {
+                    observer.disconnect();
+                    reject(new Error(`Element ${selector} not found within ${timeout}ms`));
+                }, timeout);
+            };
+            
+            startObserving();
+        });
+    }
+
+    function styleSaveButton(button) {
+        if (!button) return;
+        // Add any custom styling for the save button if needed
+        button.style.transition = 'all 0.3s ease';
+    }
+
+    // ---------------------------
+    // Page Type Checkers
+    // ---------------------------
+    
+    function isUploadPage() {
+        return window.BP.routes.is('upload');
+    }
+    
+    function isEditPage() {
+        return window.BP.routes.is('edit');
+    }
+    
+    function isTrackPage() {
+        return window.BP.routes.is('track');
+    }
+    
+    // The host also shows the upload confirmation on the upload route itself, so content decides there
+    function isConfirmationPage() {
+        if (window.BP.routes.is('confirmation')) return true;
+        if (!isUploadPage()) return false;
+        
+        const formPresent = document.querySelector('form');
+        const anchor = document.querySelector('a[href*="/track/"]');
+        const readonly = document.querySelector('input[readonly][value*="/track/"]');
+        if (!formPresent && (anchor || readonly)) return true;
+        return document.body.innerText.includes("Upload complete.");
+    }
+
+    // ---------------------------
+    // Track Data Extractors
+    // ---------------------------
+    
+    function getTrackId() {
+        const route = window.BP.route;
+        return route.name === 'edit' ? route.params.id : null;
+    }
+    
+    function getCurrentTrackId() {
+        // Try multiple methods to get track ID
+        const urlParams = new URLSearchParams(window.location.search);
+        const trackId = urlParams.get('track_id') || urlParams.get('id');
+        
+        if (trackId) return trackId;
+        
+        // For track view pages like /track/3420/linked
+        const route = window.BP.route;
+        if (route.name === 'track') return route.params.id;
+        
+        // For edit pages, use the existing getTrackId function
+        const editPageId = getTrackId();
+        if (editPageId) return editPageId;
+        
+        // Try to find in form data
+        const trackIdInput = document.querySelector('input[name="track_id"]');
+        if (trackIdInput && trackIdInput.value) return trackIdInput.value;
+        
+        return null;
+    }
+    
+    function getTrackName() {
+        // Try multiple selectors to find track name input
+        const inp = document.querySelector('input[name="name"]') || 
+                   document.querySelector('input[type="text"][name="name"]') ||
+                   document.querySelector('input[placeholder*="track"]') ||
+                   document.querySelector('input[placeholder*="Track"]') ||
+                   document.querySelector('input[placeholder*="name"]') ||
+                   document.querySelector('input[placeholder*="Name"]');
+        
+        const trackName = inp ? inp.value.trim() : '';
+        if (DEBUG) console.log("🏷️ getTrackName() found:", trackName);
+        return trackName;
+    }
+    
+    function getDuration() {
+        const inp = document.querySelector('input[name="duration"]');
+        return inp ? parseInt(inp.value.trim(), 10) || null : null;
+    }
+
+    // ---------------------------
+    // Form Button Controllers
+    // ---------------------------
+    
+    function disableSubmitButton() {
+        const form = document.querySelector('form');
+        if (!form) return;
+        const btn = form.querySelector('button[type="submit"]');
+        if (btn) btn.disabled = true;
+    }
+    
+    function enableSubmitButton() {
+        const form = document.querySelector('form');
+        if (!form) return;
+        const btn = form.querySelector('button[type="submit"]');
+        if (btn) btn.disabled = false;
+    }
+
+    // ---------------------------
+    // Animation Styles Injector
+    // ---------------------------
+    
+    function ensureAnimationStyles() {
+        if (document.getElementById('beatpass-smooth-animations')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'beatpass-smooth-animations';
+        style.textContent = `
+            /* BeatPass Smooth Injection Animations */
+            .beatpass-fade-in {
+                animation: beatpass-fadeIn 0.4s ease-out;
+            }
+            
             .beatpass-slide-in {
                 animation: beatpass-slideIn 0.4s ease-out;
             }
             
-            .beatpass-scale-in {
-                animation: beatpass-scaleIn 0.3s ease-out;
+            .beatpass-scale-in {
+                animation: beatpass-scaleIn 0.3s ease-out;
+            }
+            
+            @keyframes beatpass-fadeIn {
+                from { opacity: 0; transform: translateY(10px); }
+                to { opacity: 1; transform: translateY(0); }
+            }
+            
+            @keyframes beatpass-slideIn {
+                from { opacity: 0; transform: translateX(-10px); }
+                to { opacity: 1; transform: translateX(0); }
+            }
+            
+            @keyframes beatpass-scaleIn {
+                from { opacity: 0; transform: scale(0.95); }
+                to { opacity: 1; transform: scale(1); }
+            }
+            
+            /* Smooth transitions for all injected elements */
+            #custom-fields-container,
+            #fingerprint-dashboard,
+            .custom-bpm-cell,
+            .custom-key, .custom-scale, .custom-camelot, .custom-bpm, .custom-separator {
+                transition: opacity 0.3s ease-out, transform 0.3s ease-out !important;
+            }
+            
+            /* Prevent layout shifts during injection */
+            .beatpass-injecting {
+                min-height: 1px;
+                visibility: hidden;
+            }
+            
+            .beatpass-injecting.ready {
+                visibility: visible;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BeatPassUtilities = {
+        // Core utilities
+        debounce,
+        waitForElement,
+        styleSaveButton,
+        
+        // Page detection
+        isUploadPage,
+        isEditPage,
+        isTrackPage,
+        isConfirmationPage,
+        
+        // Track data extraction
+        getTrackId,
+        getCurrentTrackId,
+        getTrackName,
+        getDuration,
+        
+        // Form controls
+        disableSubmitButton,
+        enableSubmitButton,
+        
+        // Styling
+        ensureAnimationStyles,
+        
+        // Auto-initialization
+        init: function() {
+            if (DEBUG) console.log('[BeatPassUtilities] Standalone utilities module loaded');
+            ensureAnimationStyles();
+        }
+    };
+
+    // ---------------------------
+    // Legacy Global Exposure
+    // ---------------------------
+    
+    // Expose individual functions to window for legacy compatibility
+    window.getTrackId = getTrackId;
+    window.getCurrentTrackId = getCurrentTrackId;
+    window.getTrackName = getTrackName;
+    window.getDuration = getDuration;
+    window.isUploadPage = isUploadPage;
+    window.isEditPage = isEditPage;
+    window.isTrackPage = isTrackPage;
+    window.isConfirmationPage = isConfirmationPage;
+    window.enableSubmitButton = enableSubmitButton;
+    window.disableSubmitButton = disableSubmitButton;
+    
+    // ---------------------------
+    // Auto-Initialization
+    // ---------------------------
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', window.BeatPassUtilities.init);
+    } else {
+        window.BeatPassUtilities.init();
+    }
+    
+})();
+// ============================================================
+// BeatPass Key Model - Standalone IIFE Module
+// Canonical pitch class + mode for any key spelling, with Camelot / Open Key codes and harmonic neighbours
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants
+    // ---------------------------
+    
+    // Canonical key_name per pitch class (0 = C); also the Key dropdown options
+    const KEY_NAMES = ['C', 'C# / D♭', 'D', 'D# / E♭', 'E', 'F', 'F# / G♭', 'G', 'G# / A♭', 'A', 'A# / B♭', 'B'];
+    
+    // Compact spellings for narrow places such as the BPM column
+    const SHORT_NAMES = ['C', 'C#', 'D', 'E♭', 'E', 'F', 'F#', 'G', 'A♭', 'A', 'B♭', 'B'];
+    
+    // Canonical scale per mode; also the Scale dropdown options
+    const SCALE_NAMES = { major: 'Major', minor: 'Minor' };
+    
+    const NATURALS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+    
+    const MODE_WORDS = {
+        maj: 'major',
+        major: 'major',
+        ionian: 'major',
+        min: 'minor',
+        minor: 'minor',
+        aeolian: 'minor',
+        'natural minor': 'minor',
+        'harmonic minor': 'minor',
+        'melodic minor': 'minor'
+    };
+    
+    // Letter, optional accidental, then whatever follows (mode or nothing)
+    const NOTE_PATTERN = /^([A-Ga-g])\s*([#b])?/;
+    
+    // ---------------------------
+    // Parsing
+    // ---------------------------
+    
+    // Folds ♯/♭ and spelled-out accidentals to # and b so one pattern covers every spelling
+    function cleanText(value) {
+        return String(value == null ? '' : value)
+            .replace(/[♯＃]/g, '#')
+            .replace(/♭/g, 'b')
+            .replace(/\s*-?\s*sharp\b/gi, '#')
+            .replace(/\s*-?\s*flat\b/gi, 'b')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    // 'major' | 'minor' | null. A lone "M" is major and a lone "m" or "-" is minor (Cm, CM, C-).
+    function parseMode(value) {
+        const text = cleanText(value);
+        if (!text) return null;
+        if (text === 'M') return 'major';
+    
+        const lower = text.toLowerCase();
+        if (lower === 'm' || lower === '-') return 'minor';
+        return MODE_WORDS[lower] || null;
+    }
+    
+    // { pitchClass, mode } from a key name alone; mode is null when the name does not carry one.
+    // Slash spellings ("C# / D♭") must name the same pitch twice.
+    function parseKeyName(value) {
+        const text = cleanText(value);
+        if (!text) return null;
+    
+        let pitchClass = null;
+        let mode = null;
+    
+        for (const part of text.split('/').map(s => s.trim())) {
+            const match = part.match(NOTE_PATTERN);
+            if (!match) return null;
+    
+            const offset = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+            const pc = (NATURALS[match[1].toLowerCase()] + offset + 12) % 12;
+            if (pitchClass !== null && pc !== pitchClass) return null;
+            pitchClass = pc;
+    
+            const rest = part.slice(match[0].length).trim();
+            if (rest) {
+                const partMode = parseMode(rest);
+                if (!partMode || (mode && partMode !== mode)) return null;
+                mode = partMode;
+            }
+        }
+    
+        return { pitchClass, mode };
+    }
+    
+    // { pitchClass, mode, conflict } or null when the key name cannot be read.
+    // The scale field wins over a mode written into the key name; conflict flags the disagreement.
+    function parse(keyName, scale) {
+        const key = parseKeyName(keyName);
+        if (!key) return null;
+    
+        const scaleMode = parseMode(scale);
+        return {
+            pitchClass: key.pitchClass,
+            mode: scaleMode || key.mode,
+            conflict: !!(scaleMode && key.mode && scaleMode !== key.mode)
+        };
+    }
+    
+    // ---------------------------
+    // Canonical Values and Labels
+    // ---------------------------
+    
+    // Stored form of a parsed key; what key_bpm_handler.php and the edit form hold
+    function toStored(parsed) {
+        return {
+            key_name: KEY_NAMES[parsed.pitchClass],
+            scale: parsed.mode ? SCALE_NAMES[parsed.mode] : ''
+        };
+    }
+    
+    // Canonical { key_name, scale }. Values that cannot be read are passed through untouched,
+    // so nothing a user typed is ever lost.
+    function normalize(keyName, scale) {
+        const parsed = parse(keyName, scale);
+        if (!parsed) return { key_name: keyName || '', scale: scale || '' };
+    
+        const stored = toStored(parsed);
+        if (!stored.scale) stored.scale = scale || '';
+        return stored;
+    }
+    
+    // Copy of a track record with key_name and scale in canonical form
+    function normalizeRecord(record) {
+        if (!record || typeof record !== 'object' || !record.key_name) return record;
+    
+        const { key_name, scale } = normalize(record.key_name, record.scale);
+        if (key_name === record.key_name && scale === record.scale) return record;
+        if (DEBUG) console.log(`🎼 [BP Keys] ${record.key_name} ${record.scale || ''} -> ${key_name} ${scale}`);
+        return { ...record, key_name, scale };
+    }
+    
+    // "C# / D♭ Minor", or "C#m" with { short: true }. Unreadable values are shown as stored.
+    function label(keyName, scale, { short = false } = {}) {
+        const parsed = parse(keyName, scale);
+        if (!parsed) return [keyName, scale].filter(Boolean).join(' ');
+    
+        if (short) return SHORT_NAMES[parsed.pitchClass] + (parsed.mode === 'minor' ? 'm' : '');
+        return [KEY_NAMES[parsed.pitchClass], parsed.mode ? SCALE_NAMES[parsed.mode] : scale].filter(Boolean).join(' ');
+    }
+    
+    // ---------------------------
+    // Camelot and Open Key
+    // ---------------------------
+    
+    // Position on the circle of fifths, 1-12. C major / A minor is 8B / 8A in Camelot, 1d / 1m in Open Key.
+    function camelotNumber(pitchClass, mode) {
+        const majorPitchClass = mode === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+        return ((majorPitchClass * 7) % 12 + 7) % 12 + 1;
+    }
+    
+    // Inverse of camelotNumber; 7 is its own inverse mod 12
+    function fromCamelotNumber(number, mode) {
+        const majorPitchClass = (((number - 8 + 12) % 12) * 7) % 12;
+        return { pitchClass: mode === 'minor' ? (majorPitchClass + 9) % 12 : majorPitchClass, mode };
+    }
+    
+    function codesOf(parsed) {
+        const number = camelotNumber(parsed.pitchClass, parsed.mode);
+        const openNumber = (number + 4) % 12 + 1;
+        return {
+            camelot: number + (parsed.mode === 'minor' ? 'A' : 'B'),
+            openKey: openNumber + (parsed.mode === 'minor' ? 'm' : 'd')
+        };
+    }
+    
+    // { camelot: '8A', openKey: '1m' }, or null without a readable key and mode
+    function codes(keyName, scale) {
+        const parsed = parse(keyName, scale);
+        return parsed && parsed.mode ? codesOf(parsed) : null;
+    }
+    
+    // { pitchClass, mode } from a Camelot ("8A", "12b") or Open Key ("1m", "10d") code
+    function fromCode(code) {
+        const match = String(code == null ? '' : code).trim().match(/^(1[0-2]|[1-9])\s*([abdm])$/i);
+        if (!match) return null;
+        
+        const number = parseInt(match[1], 10);
+        const letter = match[2].toLowerCase();
+        if (letter === 'a' || letter === 'b') return fromCamelotNumber(number, letter === 'a' ? 'minor' : 'major');
+        // Open Key n is Camelot n + 7
+        return fromCamelotNumber((number + 6) % 12 + 1, letter === 'm' ? 'minor' : 'major');
+    }
+    
+    // Keys that mix harmonically with the given one: the same key, one step either way
+    // round the wheel (same mode) and the relative major/minor. Entries are stored-form
+    // { key_name, scale, camelot, openKey, relation } with relation 'same' | 'up' | 'down' | 'relative'.
+    function compatible(keyName, scale) {
+        const parsed = parse(keyName, scale);
+        if (!parsed || !parsed.mode) return [];
+        
+        const number = camelotNumber(parsed.pitchClass, parsed.mode);
+        const otherMode = parsed.mode === 'minor' ? 'major' : 'minor';
+        return [
+            { relation: 'same', key: parsed },
+            { relation: 'up', key: fromCamelotNumber(number % 12 + 1, parsed.mode) },
+            { relation: 'down', key: fromCamelotNumber((number + 10) % 12 + 1, parsed.mode) },
+            { relation: 'relative', key: fromCamelotNumber(number, otherMode) }
+        ].map(({ relation, key }) => ({ ...toStored(key), ...codesOf(key), relation }));
+    }
+    
+    // Whether two { key_name, scale } records mix harmonically, for filters and recommendations
+    function isCompatible(a, b) {
+        const target = codes(b && b.key_name, b && b.scale);
+        return !!target && compatible(a && a.key_name, a && a.scale).some(entry => entry.camelot === target.camelot);
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.keys = {
+        KEY_OPTIONS: KEY_NAMES.slice(),
+        SCALE_OPTIONS: Object.values(SCALE_NAMES),
+        parse,
+        parseMode,
+        keyName: pitchClass => KEY_NAMES[pitchClass] || '',
+        scaleName: mode => SCALE_NAMES[mode] || '',
+        toStored,
+        normalize,
+        normalizeRecord,
+        label,
+        codes,
+        fromCode,
+        compatible,
+        isCompatible
+    };
+    
+})();
+// ============================================================
+// BeatPass Tempo Model - Standalone IIFE Module
+// BPM "feel" (normal / half / double), genre tempo ranges and matching on both interpretations
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants
+    // ---------------------------
+    
+    // Stored bpm_feel values and their labels. A 140 BPM drill beat with a half-time feel
+    // grooves at 70; a 70 BPM beat with a double-time feel plays like 140.
+    const FEEL_NAMES = { normal: 'Normal', half: 'Half-time', double: 'Double-time' };
+    const FEEL_FACTORS = { normal: 1, half: 0.5, double: 2 };
+    const FEEL_WORDS = {
+        normal: 'normal', straight: 'normal',
+        half: 'half', 'half-time': 'half', 'half time': 'half', halftime: 'half', '½': 'half',
+        double: 'double', 'double-time': 'double', 'double time': 'double', doubletime: 'double', '×2': 'double', x2: 'double'
+    };
+    
+    // Upload form genres and the base style each one stands for; the cover art updater picks
+    // artwork from the same bases and keeps a copy of this map for when it runs before core
+    const GENRE_BASES = {
+        'DNB / 2-Step': 'DNB',
+        'Exclusive': 'Exclusive',
+        'Drill / Grime': 'DRILL',
+        'Hip-Hop / Rap': 'TRAP',
+        'R&B / Soul': 'RNB',
+        'Pop / Hip-Hop': 'POP HIPHOP',
+        'New Jazz / Trap': 'NEWJAZZ',
+        'LO-FI / Ambient': 'LOFI',
+        'New Gen / Hyper': 'HYPER',
+        'Electronic & House': 'HOUSE',
+        'Afro / Dancehall': 'AFRO',
+        'Old School / Boom Bap': 'OLD SCHOOL'
+    };
+    
+    // Where each base is usually listed at a normal feel. Exclusive is not a style, so it has no range.
+    const BASE_TEMPOS = {
+        'DNB': { min: 130, max: 180 },
+        'DRILL': { min: 138, max: 150 },
+        'TRAP': { min: 120, max: 170 },
+        'RNB': { min: 60, max: 110 },
+        'POP HIPHOP': { min: 85, max: 130 },
+        'NEWJAZZ': { min: 140, max: 170 },
+        'LOFI': { min: 60, max: 95 },
+        'HYPER': { min: 145, max: 180 },
+        'HOUSE': { min: 115, max: 130 },
+        'AFRO': { min: 90, max: 125 },
+        'OLD SCHOOL': { min: 80, max: 100 }
+    };
+    
+    // A search for 70 BPM still finds a listed 141 with a half-time feel
+    const MATCH_TOLERANCE = 1;
+    
+    // ---------------------------
+    // Feel
+    // ---------------------------
+    
+    // 'normal' | 'half' | 'double'. Empty and unknown values are 'normal', which is what every
+    // track saved before bpm_feel existed is.
+    function normalizeFeel(value) {
+        const text = String(value == null ? '' : value).trim().toLowerCase();
+        return FEEL_WORDS[text] || 'normal';
+    }
+    
+    function toNumber(bpm) {
+        const number = typeof bpm === 'number' ? bpm : parseFloat(String(bpm == null ? '' : bpm).trim());
+        return number > 0 ? number : null;
+    }
+    
+    // The listed BPM and, for half/double feels, the tempo the beat grooves at: [140, 70]
+    function tempos(bpm, feel) {
+        const listed = toNumber(bpm);
+        if (!listed) return [];
+    
+        const factor = FEEL_FACTORS[normalizeFeel(feel)];
+        return factor === 1 ? [listed] : [listed, listed * factor];
+    }
+    
+    // "140 BPM", or "140 BPM (half-time)"
+    function label(bpm, feel) {
+        const listed = toNumber(bpm);
+        if (!listed) return '';
+    
+        const normalized = normalizeFeel(feel);
+        return normalized === 'normal' ? `${listed} BPM` : `${listed} BPM (${FEEL_NAMES[normalized].toLowerCase()})`;
+    }
+    
+    // Whether a { bpm, bpm_feel } record matches a BPM, or a { min, max } range, under either
+    // interpretation of its tempo
+    function matches(record, query) {
+        const values = tempos(record && record.bpm, record && record.bpm_feel);
+        const range = typeof query === 'object' && query !== null
+            ? { min: Number(query.min) || 0, max: Number(query.max) || Infinity }
+            : { min: Number(query) - MATCH_TOLERANCE, max: Number(query) + MATCH_TOLERANCE };
+        return values.some(value => value >= range.min && value <= range.max);
+    }
+    
+    // ---------------------------
+    // Genres
+    // ---------------------------
+    
+    function genreBase(genre) {
+        return GENRE_BASES[genre] || genre;
+    }
+    
+    // { min, max } usually seen for an upload form genre, or null when it has none
+    function genreRange(genre) {
+        return BASE_TEMPOS[genreBase(genre)] || null;
+    }
+    
+    // Genres currently selected on the upload / edit form, in the order they were picked
+    function selectedGenres() {
+        const input = window.BP.selectors.query('form.genresInput');
+        const group = input && input.closest('div[role="group"]');
+        const container = group && group.querySelector('div.flex.flex-wrap.items-center.gap-8');
+        if (!container) return [];
+    
+        return Array.from(container.children)
+            .map(item => item.textContent.trim())
+            .filter(Boolean);
+    }
+    
+    // Advice for a BPM that does not sit in any of the genres' usual ranges, or null when it
+    // does (or none of the genres has a range). suggestedFeel is set when the tempo is exactly
+    // a half or double reading of the genre's range: { genre, range, message, suggestedFeel }.
+    function genreHint(bpm, feel, genres) {
+        const listed = toNumber(bpm);
+        const ranged = (genres || []).map(genre => ({ genre, range: genreRange(genre) })).filter(entry => entry.range);
+        if (!listed || !ranged.length) return null;
+    
+        const values = tempos(listed, feel);
+        const inRange = (value, range) => value >= range.min && value <= range.max;
+        if (ranged.some(({ range }) => values.some(value => inRange(value, range)))) return null;
+    
+        const { genre, range } = ranged[0];
+        const span = `${range.min}–${range.max}`;
+        if (inRange(listed * 2, range)) {
+            return {
+                genre, range, suggestedFeel: 'double',
+                message: `${genre} is usually ${span} BPM - if this plays at ${listed * 2}, set the feel to Double-time`
+            };
+        }
+        if (inRange(listed / 2, range)) {
+            return {
+                genre, range, suggestedFeel: 'half',
+                message: `${genre} is usually ${span} BPM - if this grooves at ${listed / 2}, set the feel to Half-time`
+            };
+        }
+        if (DEBUG) console.log(`🥁 [BP Tempo] ${listed} BPM outside ${genre} (${span})`);
+        return { genre, range, suggestedFeel: null, message: `${listed} BPM is unusual for ${genre} (usually ${span} BPM)` };
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.tempo = {
+        FEEL_OPTIONS: Object.keys(FEEL_NAMES).map(value => ({ value, label: FEEL_NAMES[value] })),
+        GENRE_BASES: Object.freeze({ ...GENRE_BASES }),
+        normalizeFeel,
+        feelName: feel => FEEL_NAMES[normalizeFeel(feel)],
+        tempos,
+        label,
+        matches,
+        genreBase,
+        genreRange,
+        selectedGenres,
+        genreHint
+    };
+    
+})();
+// ============================================================
+// BeatPass Tag Taxonomy - Standalone IIFE Module
+// Tag normalization, synonyms from the maintained dictionary, the per-track cap and suggestions
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants
+    // ---------------------------
+    
+    // Same limits as bp_tags.php, which normalizes again on save
+    const MAX_TAGS = 10;
+    const MAX_TAG_LENGTH = 32;
+    
+    // json-modules/tag_synonyms.json: { "canonical tag": ["synonym", "misspelling", ...] }
+    const SYNONYMS_URL = 'https://open.beatpass.ca/tag_synonyms.json';
+    const POPULAR_LIMIT = 50;
+    const MAX_SUGGESTIONS = 8;
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    // Compact spelling -> canonical tag. Until the dictionary loads only casing and spacing
+    // are normalized; the handler still merges synonyms when the tags are saved.
+    let synonyms = new Map();
+    let dictionaryTags = [];
+    let popularTags = [];
+    let synonymsPromise = null;
+    let popularPromise = null;
+    
+    // ---------------------------
+    // Normalization
+    // ---------------------------
+    
+    // "  #Dark   Trap " -> "dark trap"
+    function clean(tag) {
+        return String(tag == null ? '' : tag)
+            .replace(/[,\s]+/g, ' ')
+            .trim()
+            .replace(/^#+/, '')
+            .trim()
+            .toLowerCase()
+            .slice(0, MAX_TAG_LENGTH)
+            .trim();
+    }
+    
+    // "hip-hop", "hip hop" and "hiphop" are one spelling
+    function compact(tag) {
+        return tag.replace(/[\s\-_.']+/g, '');
+    }
+    
+    // Canonical form of one tag, or '' when nothing is left of it
+    function normalize(tag) {
+        const cleaned = clean(tag);
+        return cleaned ? synonyms.get(compact(cleaned)) || cleaned : '';
+    }
+    
+    // Array or comma-separated string -> normalized tags without duplicates, at most MAX_TAGS
+    function normalizeList(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags == null ? '' : tags).split(',');
+        const result = [];
+        list.forEach(tag => {
+            const normalized = normalize(tag);
+            if (normalized && result.length < MAX_TAGS && !result.includes(normalized)) result.push(normalized);
+        });
+        return result;
+    }
+    
+    // The comma-separated form tags are stored in: "dark, trap"
+    function join(tags) {
+        return normalizeList(tags).join(', ');
+    }
+    
+    // ---------------------------
+    // Dictionary and Popular Tags
+    // ---------------------------
+    
+    function indexSynonyms(dictionary) {
+        const index = new Map();
+        Object.entries(dictionary || {}).forEach(([tag, variants]) => {
+            const canonical = clean(tag);
+            if (!canonical) return;
+        
+            [canonical, ...(Array.isArray(variants) ? variants : [])].forEach(variant => {
+                const key = compact(clean(variant));
+                if (key) index.set(key, canonical);
+            });
+        });
+        
+        synonyms = index;
+        dictionaryTags = [...new Set(index.values())];
+        if (DEBUG) console.log(`🏷️ [BP Tags] ${dictionaryTags.length} tags, ${index.size} spellings`);
+        return dictionary;
+    }
+    
+    async function fetchSynonyms() {
+        const response = await window.BP.transport.fetch(SYNONYMS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status} loading tag_synonyms.json`);
+        return response.json();
+    }
+    
+    // Resolves once the dictionary is in use. A failed load is reported and retried on the
+    // next call; normalization meanwhile carries on without synonyms.
+    function loadSynonyms() {
+        if (!synonymsPromise) {
+            synonymsPromise = window.BP.cache.swr('api', SYNONYMS_URL, fetchSynonyms, { onUpdate: indexSynonyms })
+                .then(indexSynonyms)
+                .catch(error => {
+                    synonymsPromise = null;
+                    window.BP.errors.capture(error, { module: 'core', kind: 'api', operation: 'loadTagSynonyms' });
+                });
+        }
+        return synonymsPromise;
+    }
+    
+    function setPopular(tags) {
+        popularTags = tags || [];
+        return popularTags;
+    }
+    
+    // Most used tags in the catalog, [{ tag, count }]; an empty list when they cannot be loaded
+    function loadPopular() {
+        if (!popularPromise) {
+            const fetcher = () => window.BP.api.getPopularTags(POPULAR_LIMIT);
+            popularPromise = window.BP.cache.swr('api', `popular-tags:${POPULAR_LIMIT}`, fetcher, { onUpdate: setPopular })
+                .then(setPopular)
+                .catch(error => {
+                    popularPromise = null;
+                    if (DEBUG) console.warn('[BP Tags] Popular tags unavailable:', error);
+                    return popularTags;
+                });
+        }
+        return popularPromise;
+    }
+    
+    // ---------------------------
+    // Suggestions
+    // ---------------------------
+    
+    // Tags to offer for what has been typed: a synonym's canonical tag first, then tags starting
+    // with the text, then tags containing it; popular tags ahead of dictionary-only ones within
+    // each group. An empty query offers the most popular tags. exclude holds the tags already on
+    // the track. Returns [{ tag, count }].
+    function suggest(query, { exclude = [], limit = MAX_SUGGESTIONS } = {}) {
+        const key = compact(clean(query));
+        const taken = new Set((Array.isArray(exclude) ? exclude : String(exclude).split(',')).map(normalize));
+        const counts = new Map(popularTags.map(({ tag, count }) => [tag, count]));
+        const synonym = key ? synonyms.get(key) : null;
+        
+        const rank = tag => {
+            if (!key) return 0;
+            if (tag === synonym) return 0;
+            const spelling = compact(tag);
+            if (spelling.startsWith(key)) return 1;
+            return spelling.includes(key) ? 2 : -1;
+        };
+        
+        return [...new Set([...popularTags.map(({ tag }) => tag), ...dictionaryTags])]
+            .filter(tag => !taken.has(tag))
+            .map((tag, order) => ({ tag, order, rank: rank(tag) }))
+            .filter(({ rank }) => rank >= 0)
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .slice(0, limit)
+            .map(({ tag }) => ({ tag, count: counts.get(tag) || 0 }));
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.tags = {
+        MAX_TAGS,
+        normalize,
+        normalizeList,
+        join,
+        suggest,
+        loadSynonyms,
+        loadPopular
+    };
+    
+})();
+// ============================================================
+// BeatPass Credits Model - Standalone IIFE Module
+// Structured producer credits (artist, role, ownership split) and the rule that splits total 100%
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants
+    // ---------------------------
+    
+    // Same roles and limits as bp_credits.php, which validates again on save
+    const ROLE_NAMES = {
+        producer: 'Producer',
+        'co-producer': 'Co-producer',
+        composer: 'Composer',
+        songwriter: 'Songwriter'
+    };
+    const ROLE_WORDS = {
+        prod: 'producer', 'produced by': 'producer',
+        coproducer: 'co-producer', coprod: 'co-producer',
+        writer: 'songwriter'
+    };
+    const MAX_CREDITS = 10;
+    const MAX_NAME_LENGTH = 100;
+    const SPLIT_TOTAL = 100;
+    const SPLIT_TOLERANCE = 0.01;
+    
+    // ---------------------------
+    // Normalization
+    // ---------------------------
+    
+    function roundSplit(value) {
+        const number = typeof value === 'number' ? value : parseFloat(String(value == null ? '' : value).replace('%', ''));
+        return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+    }
+    
+    // 'producer' | 'co-producer' | 'composer' | 'songwriter'; unknown roles are 'producer'
+    function normalizeRole(value) {
+        const text = String(value == null ? '' : value).trim().toLowerCase();
+        if (ROLE_NAMES[text]) return text;
+        return ROLE_WORDS[text] || ROLE_WORDS[text.replace(/[\s\-_.]+/g, '')] || 'producer';
+    }
+    
+    // "123", 123 or an artist profile link (/artist/123/name) -> "123"; anything else -> null
+    function parseArtistId(value) {
+        const text = String(value == null ? '' : value).trim();
+        if (/^\d+$/.test(text)) return text;
+        const match = text.match(/\/artist\/(\d+)/);
+        return match ? match[1] : null;
+    }
+    
+    function normalizeCredit(credit) {
+        const source = credit || {};
+        return {
+            artist_id: parseArtistId(source.artist_id),
+            name: String(source.name == null ? '' : source.name).replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH),
+            role: normalizeRole(source.role),
+            split: roundSplit(source.split)
+        };
+    }
+    
+    // Credits from an array or the stored JSON; unreadable values give []
+    function parse(value) {
+        let list = value;
+        if (typeof value === 'string') {
+            try {
+                list = value.trim() ? JSON.parse(value) : [];
+            } catch (error) {
+                if (DEBUG) console.warn('[BP Credits] Unreadable credits:', value);
+                return [];
+            }
+        }
+        return Array.isArray(list) ? list.map(normalizeCredit) : [];
+    }
+    
+    // The stored form: a JSON array, or '' when there are no credits
+    function serialize(credits) {
+        const list = parse(credits);
+        return list.length ? JSON.stringify(list) : '';
+    }
+    
+    function total(credits) {
+        return roundSplit(parse(credits).reduce((sum, credit) => sum + credit.split, 0));
+    }
+    
+    // { isValid, error, total }. No credits at all is valid: they are optional.
+    function validate(credits) {
+        const list = parse(credits);
+        const sum = total(list);
+        const fail = error => ({ isValid: false, error, total: sum });
+        if (!list.length) return { isValid: true, total: 0 };
+        
+        if (list.length > MAX_CREDITS) return fail(`At most ${MAX_CREDITS} people can be credited`);
+        if (list.some(credit => !credit.name)) return fail('Every credit needs a name');
+        if (list.some(credit => credit.split <= 0 || credit.split > SPLIT_TOTAL)) {
+            return fail('Each split must be more than 0% and at most 100%');
+        }
+        
+        const seen = new Set();
+        for (const credit of list) {
+            const key = credit.artist_id ? `id:${credit.artist_id}` : `name:${credit.name.toLowerCase()}`;
+            if (seen.has(key)) return fail(`${credit.name} is credited twice`);
+            seen.add(key);
+        }
+        
+        if (Math.abs(sum - SPLIT_TOTAL) > SPLIT_TOLERANCE) return fail(`Splits add up to ${sum}% - they must total 100%`);
+        return { isValid: true, total: sum };
+    }
+    
+    // ---------------------------
+    // Building Credits
+    // ---------------------------
+    
+    // count splits of 100 to two decimals, the remainder going to the first: 3 -> [33.34, 33.33, 33.33]
+    function evenSplits(count) {
+        if (!(count > 0)) return [];
+        const share = Math.floor((SPLIT_TOTAL / count) * 100) / 100;
+        const first = roundSplit(SPLIT_TOTAL - share * (count - 1));
+        return [first, ...Array(count - 1).fill(share)];
+    }
+    
+    // Producer credits with even splits for a list of names (the artists chips, say)
+    function fromNames(names) {
+        const list = (Array.isArray(names) ? names : String(names == null ? '' : names).split(','))
+            .map(name => String(name).trim())
+            .filter(Boolean)
+            .slice(0, MAX_CREDITS);
+        const splits = evenSplits(list.length);
+        return list.map((name, index) => normalizeCredit({ name, role: 'producer', split: splits[index] }));
+    }
+    
+    // ---------------------------
+    // Display
+    // ---------------------------
+    
+    function roleName(role) {
+        return ROLE_NAMES[normalizeRole(role)];
+    }
+    
+    // "Name (Co-producer, 50%)"
+    function describe(credit) {
+        const normalized = normalizeCredit(credit);
+        return `${normalized.name} (${roleName(normalized.role)}, ${normalized.split}%)`;
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.credits = {
+        ROLE_OPTIONS: Object.keys(ROLE_NAMES).map(value => ({ value, label: ROLE_NAMES[value] })),
+        MAX_CREDITS,
+        normalizeRole,
+        parseArtistId,
+        normalizeCredit,
+        parse,
+        serialize,
+        total,
+        validate,
+        evenSplits,
+        fromNames,
+        roleName,
+        describe
+    };
+    
+})();
+// ============================================================
+// BeatPass Transport - Standalone IIFE Module
+// Switchable fetch adapter shared by BP.api, bp-notes and verified producers
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Adapter
+    // ---------------------------
+    
+    // An adapter is { name, handles(url, init), fetch(url, init) }. Requests it does not
+    // handle, and every request while none is installed, go to the network.
+    let adapter = null;
+    
+    function transportFetch(url, init = {}) {
+        if (adapter && adapter.handles(String(url), init)) {
+            if (DEBUG) console.log(`🔌 [BP Transport] ${adapter.name}: ${init.method || 'GET'} ${url}`);
+            return adapter.fetch(String(url), init);
+        }
+        return fetch(url, init);
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.transport = {
+        fetch: transportFetch,
+        use(next) {
+            adapter = next;
+            if (DEBUG) console.log(`🔌 [BP Transport] Using ${next ? next.name : 'network'} adapter`);
+        },
+        reset() {
+            adapter = null;
+        },
+        mode: () => (adapter ? adapter.name : 'network')
+    };
+    
+})();
+// ============================================================
+// BeatPass API Client - Standalone IIFE Module
+// Typed key_bpm_handler / fingerprint.php / notes / verified producers operations with
+// validation, timeouts and retries
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants and Configuration
+    // ---------------------------
+    
+    // The only place the handler URLs live; modules call BP.api instead of fetch()
+    const ENDPOINTS = {
+        metadata: window.API_URL || 'https://open.beatpass.ca/key_bpm_handler.php',
+        fingerprint: 'https://open.beatpass.ca/fingerprint.php',
+        session: 'https://open.beatpass.ca/session_token.php',
+        notes: 'pinned_message_handler.php', // Served by the host site
+        verifiedProducers: 'https://open.beatpass.ca/verifiedProducers.json',
+        verifiedProducersUpdate: 'https://open.beatpass.ca/updateVerifiedProducers.php'
+    };
+    const DEFAULT_TIMEOUT = 10000;
+    const FINGERPRINT_TIMEOUT = 90000; // Downloads and analyzes the audio server-side
+    const RETRY_DELAY = 400;
+    // Reads are retried on network errors, timeouts and 5xx; writes are not (see BP.writeQueue)
+    const DEFAULT_READ_RETRIES = 2;
+    // The handler only hashes and searches the start of a fingerprint
+    const FINGERPRINT_SAMPLE_LENGTH = 1000;
+    // Session tokens live 15 minutes; renew a little early so a write never carries a stale one
+    const TOKEN_RENEW_MARGIN = 60000;
+    const GUEST_RECHECK_DELAY = 60000;
+    // A failed token request (handler down, network, bad response) is not retried before this
+    const SESSION_RETRY_DELAY = 15000;
+    
+    const stats = {
+        requests: 0,
+        retries: 0,
+        failures: 0
+    };
+    
+    // ---------------------------
+    // Errors
+    // ---------------------------
+    
+    // code: network | timeout | aborted | http | api | invalid_response | invalid_request |
+    //       unauthorized (not signed in) | forbidden (signed in, but not allowed)
+    class BPApiError extends Error {
+        constructor(message, { code, operation, status = null, retryable = false, cause = null } = {}) {
+            super(message);
+            this.name = code === 'aborted' ? 'AbortError' : 'BPApiError';
+            this.code = code;
+            this.operation = operation;
+            this.status = status;
+            this.retryable = retryable;
+            this.cause = cause;
+        }
+    }
+    
+    // PHP encodes empty associative arrays as []
+    function asMap(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    }
+    
+    function isPermissionError(error) {
+        return error instanceof BPApiError && (error.code === 'unauthorized' || error.code === 'forbidden');
+    }
+    
+    function invalidRequest(operation, message) {
+        return new BPApiError(message, { code: 'invalid_request', operation });
+    }
+    
+    // ---------------------------
+    // Response Validation
+    // ---------------------------
+    
+    // Same notation as the event bus schemas: 'string|number', 'object', trailing '?' = optional
+    function matchesType(value, spec) {
+        return spec.split('|').some(type => {
+            if (type === 'any') return true;
+            if (type === 'null') return value === null;
+            if (type === 'object') return value !== null && typeof value === 'object';
+            if (type === 'array') return Array.isArray(value);
+            return typeof value === type;
+        });
+    }
+    
+    function validateShape(data, shape, operation) {
+        if (data === null || typeof data !== 'object') {
+            throw new BPApiError('Response is not a JSON object', { code: 'invalid_response', operation });
+        }
+        
+        Object.entries(shape).forEach(([field, spec]) => {
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
+            const present = field in data && data[field] !== undefined;
+            
+            if ((!present && !optional) || (present && !matchesType(data[field], type))) {
+                throw new BPApiError(`Response field "${field}" should be ${type}`, { code: 'invalid_response', operation });
+            }
+        });
+        return data;
+    }
+    
+    // key_bpm_handler answers { status: 'success' | 'error', message?, ... };
+    // pinned_message_handler says 'ok' instead of 'success'
+    function unwrapHandlerResponse(data, operation, success = 'success') {
+        validateShape(data, { status: 'string', message: 'string?' }, operation);
+        if (data.status !== success) {
+            throw new BPApiError(data.message || 'Request failed', { code: 'api', operation });
+        }
+        return data;
+    }
+    
+    // ---------------------------
+    // Transport
+    // ---------------------------
+    
+    function isRetryable(error) {
+        return error instanceof BPApiError && error.retryable;
+    }
+    
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    // One HTTP round trip with a timeout. The caller's signal (usually the route signal)
+    // aborts it as well; aborted requests reject with an AbortError.
+    // Resolves with the parsed JSON body, or the text body when responseType is 'text'.
+    async function send(operation, url, init, { timeout, signal, responseType = 'json' }) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+        
+        try {
+            stats.requests++;
+            const response = await window.BP.transport.fetch(url, { ...init, signal: controller.signal });
+            if (response.status === 401 || response.status === 403) {
+                // The handlers explain refusals in { status: 'error', message }
+                const body = await response.json().catch(() => ({}));
+                throw new BPApiError(body.message || 'You are not allowed to do this', {
+                    code: response.status === 401 ? 'unauthorized' : 'forbidden',
+                    operation,
+                    status: response.status
+                });
+            }
+            if (!response.ok) {
+                throw new BPApiError(`HTTP ${response.status} ${response.statusText}`, {
+                    code: 'http',
+                    operation,
+                    status: response.status,
+                    retryable: response.status === 408 || response.status === 429 || response.status >= 500
+                });
             }
+            if (responseType === 'text') return await response.text();
             
-            @keyframes beatpass-fadeIn {
-                from { opacity: 0; transform: translateY(10px); }
-                to { opacity: 1; transform: translateY(0); }
+            try {
+                return await response.json();
+            } catch (error) {
+                throw new BPApiError('Response is not valid JSON', { code: 'invalid_response', operation, cause: error });
             }
-            
-            @keyframes beatpass-slideIn {
-                from { opacity: 0; transform: translateX(-10px); }
-                to { opacity: 1; transform: translateX(0); }
+        } catch (error) {
+            if (error instanceof BPApiError) throw error;
+            if (timedOut) {
+                throw new BPApiError(`Request timed out after ${timeout}ms`, { code: 'timeout', operation, retryable: true, cause: error });
             }
-            
-            @keyframes beatpass-scaleIn {
-                from { opacity: 0; transform: scale(0.95); }
-                to { opacity: 1; transform: scale(1); }
+            if (error && error.name === 'AbortError') {
+                throw new BPApiError('Request aborted', { code: 'aborted', operation, cause: error });
             }
-            
-            /* Smooth transitions for all injected elements */
-            #custom-fields-container,
-            #fingerprint-dashboard,
-            .custom-bpm-cell,
-            .custom-key, .custom-scale, .custom-bpm, .custom-separator {
-                transition: opacity 0.3s ease-out, transform 0.3s ease-out !important;
+            throw new BPApiError(error && error.message ? error.message : 'Network error', {
+                code: 'network', operation, retryable: true, cause: error
+            });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+    
+    // ---------------------------
+    // Session Token
+    // ---------------------------
+    
+    // { token, claims } of the signed-in user; null for guests
+    let session = null;
+    let sessionPromise = null;
+    let guestCheckedAt = 0;
+    // { error, at } of the last failed token request
+    let sessionFailure = null;
+    
+    function sessionIsFresh() {
+        return !!session && session.claims.exp * 1000 - Date.now() > TOKEN_RENEW_MARGIN;
+    }
+    
+    // session_token.php vouches for the host session cookie with a signed token that the
+    // handlers verify. One request is shared by concurrent callers.
+    function getSession({ refresh = false } = {}) {
+        if (!refresh) {
+            if (sessionIsFresh()) return Promise.resolve(session);
+            if (!session && Date.now() - guestCheckedAt < GUEST_RECHECK_DELAY) return Promise.resolve(null);
+            if (sessionFailure && Date.now() - sessionFailure.at < SESSION_RETRY_DELAY) {
+                return Promise.reject(sessionFailure.error);
             }
-            
-            /* Prevent layout shifts during injection */
-            .beatpass-injecting {
-                min-height: 1px;
-                visibility: hidden;
+        }
+        if (sessionPromise) return sessionPromise;
+        
+        sessionPromise = send('session', ENDPOINTS.session, {
+            method: 'GET',
+            credentials: 'include',
+            headers: { 'Accept': 'application/json' }
+        }, { timeout: DEFAULT_TIMEOUT }).then(data => {
+            unwrapHandlerResponse(data, 'session');
+            validateShape(data, { token: 'string', claims: 'object' }, 'session');
+            session = { token: data.token, claims: data.claims };
+            sessionFailure = null;
+            if (DEBUG) console.log('🔑 [BP API] Session token issued for', session.claims.name);
+            return session;
+        }).catch(error => {
+            session = null;
+            if (error.code === 'unauthorized') {
+                guestCheckedAt = Date.now();
+                sessionFailure = null;
+                return null;
+            }
+            sessionFailure = { error, at: Date.now() };
+            throw error;
+        }).finally(() => {
+            sessionPromise = null;
+        });
+        return sessionPromise;
+    }
+    
+    function clearSession() {
+        session = null;
+        guestCheckedAt = 0;
+        sessionFailure = null;
+    }
+    
+    async function authHeaders(options = {}) {
+        const current = await getSession(options);
+        return current ? { 'X-BP-Token': current.token } : {};
+    }
+    
+    // Builds the request, retries retryable failures with backoff and validates the result.
+    // Writes to the metadata handler carry the session token (auth: true); with
+    // auth: 'optional' it is sent only when one can be had, and a failed token request
+    // sends the request without it. An expired token is renewed once.
+    // Failures are reported to BP.errors once, after the last attempt; aborts and
+    // refusals never are.
+    async function request(operation, options) {
+        const {
+            endpoint = 'metadata',
+            method = 'GET',
+            query = null,
+            form = null,
+            json = null,
+            timeout = DEFAULT_TIMEOUT,
+            retries = method === 'GET' ? DEFAULT_READ_RETRIES : 0,
+            signal = null,
+            auth = method !== 'GET' && endpoint === 'metadata',
+            responseType = 'json',
+            parse = data => unwrapHandlerResponse(data, operation)
+        } = options;
+        
+        const url = query ? `${ENDPOINTS[endpoint]}?${new URLSearchParams(query)}` : ENDPOINTS[endpoint];
+        const init = { method, headers: { 'Accept': 'application/json' } };
+        if (form) {
+            init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            init.body = new URLSearchParams(form);
+        } else if (json) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(json);
+        }
+        
+        let renewedToken = false;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (auth) {
+                    const headers = auth === 'optional'
+                        ? await authHeaders({ refresh: renewedToken }).catch(() => ({}))
+                        : await authHeaders({ refresh: renewedToken });
+                    if (!headers['X-BP-Token'] && auth !== 'optional') {
+                        throw new BPApiError('Sign in to make changes', { code: 'unauthorized', operation });
+                    }
+                    Object.assign(init.headers, headers);
+                }
+                const result = parse(await send(operation, url, init, { timeout, signal, responseType }));
+                if (DEBUG) console.log(`🌐 [BP API] ${operation}:`, result);
+                return result;
+            } catch (error) {
+                if (auth && error.status === 401 && !renewedToken) {
+                    renewedToken = true;
+                    attempt--;
+                    continue;
+                }
+                if (attempt < retries && isRetryable(error) && !(signal && signal.aborted)) {
+                    stats.retries++;
+                    await delay(RETRY_DELAY * Math.pow(2, attempt));
+                    continue;
+                }
+                
+                if (error.code !== 'aborted') {
+                    stats.failures++;
+                    if (DEBUG) console.warn(`[BP API] ${operation} failed:`, error);
+                    // "api" errors and refusals are answers the handler gave on purpose, not faults
+                    if (error.code !== 'api' && !isPermissionError(error) && window.BP.errors) {
+                        window.BP.errors.capture(error, { module: 'core', kind: 'api', operation });
+                    }
+                }
+                throw error;
+            }
+        }
+    }
+    
+    // ---------------------------
+    // Track Metadata Operations
+    // ---------------------------
+    
+    const TRACK_SHAPE = {
+        key_name: 'string|null',
+        scale: 'string|null',
+        bpm: 'number|string|null',
+        bpm_feel: 'string|null?',
+        producers: 'string|null?',
+        credits: 'string|null?',
+        tags: 'string|null?',
+        licensing_type: 'string|null?',
+        Playback: 'string|null?',
+        fingerprint: 'string|null?',
+        fingerprint_hash: 'string|null?'
+    };
+    
+    // Resolves with the stored record, or null when the handler does not know the track.
+    // ref is a track id or { id, name }.
+    async function getTrack(ref, options = {}) {
+        const { id, name } = ref !== null && typeof ref === 'object' ? ref : { id: ref };
+        const query = id ? { track_id: String(id) } : name ? { track_name: name } : null;
+        if (!query) throw invalidRequest('getTrack', 'A track id or name is required');
+        
+        try {
+            return await request('getTrack', {
+                ...options,
+                query,
+                parse: data => {
+                    unwrapHandlerResponse(data, 'getTrack');
+                    return window.BP.keys.normalizeRecord(validateShape(data.data, TRACK_SHAPE, 'getTrack'));
+                }
+            });
+        } catch (error) {
+            if (error.code === 'api' && error.message === 'Track not found') return null;
+            throw error;
+        }
+    }
+    
+    // Rows saved before the key model may still hold "Db" / "minor"; callers always see canonical keys
+    function normalizeKeys(map) {
+        Object.keys(map).forEach(ref => { map[ref] = window.BP.keys.normalizeRecord(map[ref]); });
+        return map;
+    }
+    
+    // Batch lookup: resolves with { byId, byName } maps of display fields
+    function getTracks({ ids = [], names = [] }, options = {}) {
+        const query = new URLSearchParams();
+        if (ids.length) query.set('track_ids', ids.join(','));
+        names.forEach(name => query.append('track_names[]', name));
+        if (!ids.length && !names.length) return Promise.resolve({ byId: {}, byName: {} });
+        
+        return request('getTracks', {
+            ...options,
+            query,
+            parse: data => {
+                unwrapHandlerResponse(data, 'getTracks');
+                validateShape(data.data, { by_id: 'object', by_name: 'object' }, 'getTracks');
+                return { byId: normalizeKeys(asMap(data.data.by_id)), byName: normalizeKeys(asMap(data.data.by_name)) };
+            }
+        });
+    }
+    
+    // Tracks whose BPM falls in { min, max } under either reading of their feel: a 140 listed
+    // as half-time is found by a search for 65-75 as well as one for 135-145.
+    // Resolves with the display fields of up to 200 tracks, lowest track id first.
+    function findTracksByTempo({ min, max }, options = {}) {
+        if (!(min > 0) || !(max >= min)) {
+            return Promise.reject(invalidRequest('findTracksByTempo', 'A BPM range is required'));
+        }
+        
+        return request('findTracksByTempo', {
+            ...options,
+            query: { bpm_min: String(min), bpm_max: String(max) },
+            parse: data => {
+                unwrapHandlerResponse(data, 'findTracksByTempo');
+                validateShape(data, { data: 'array' }, 'findTracksByTempo');
+                return data.data.map(track => window.BP.keys.normalizeRecord(track));
+            }
+        });
+    }
+    
+    // Most used tags across the catalog, as normalized by the handler: [{ tag, count }],
+    // most used first
+    function getPopularTags(limit = 50, options = {}) {
+        return request('getPopularTags', {
+            ...options,
+            query: { popular_tags: String(limit) },
+            parse: data => {
+                unwrapHandlerResponse(data, 'getPopularTags');
+                validateShape(data, { data: 'array' }, 'getPopularTags');
+                return data.data.map(entry => ({ tag: String(entry.tag), count: Number(entry.count) || 0 }));
+            }
+        });
+    }
+    
+    // Upserts the full custom metadata of a track; payload follows the handler's POST fields
+    async function saveTrack(payload, options = {}) {
+        if (!payload || !payload.track_id) throw invalidRequest('saveTrack', 'track_id is required');
+        
+        const form = Object.fromEntries(Object.entries(window.BP.keys.normalizeRecord(payload))
+            .filter(([, value]) => value !== undefined && value !== null));
+        if ('bpm_feel' in form) form.bpm_feel = window.BP.tempo.normalizeFeel(form.bpm_feel);
+        if ('tags' in form) form.tags = window.BP.tags.join(form.tags);
+        if (Array.isArray(form.credits)) form.credits = window.BP.credits.serialize(form.credits);
+        const data = await request('saveTrack', { ...options, method: 'POST', form });
+        return normalizeDuplicateInfo(data);
+    }
+    
+    // Single-field updates answer "No changes made" when the stored value is already
+    // the same; that is reported as { changed: false } rather than as an error
+    async function saveFields(operation, trackId, fields, options) {
+        if (!trackId) throw invalidRequest(operation, 'A track id is required');
+        
+        try {
+            const data = await request(operation, {
+                ...options,
+                method: 'POST',
+                form: { track_id: trackId, ...fields }
+            });
+            return { message: data.message || '', changed: true };
+        } catch (error) {
+            if (error.code === 'api' && /^No changes made/.test(error.message)) {
+                return { message: error.message, changed: false };
+            }
+            throw error;
+        }
+    }
+    
+    function savePlaybackUrl(trackId, playbackUrl, options = {}) {
+        if (!playbackUrl) return Promise.reject(invalidRequest('savePlaybackUrl', 'A playback URL is required'));
+        return saveFields('savePlaybackUrl', trackId, { playback_url: playbackUrl }, options);
+    }
+    
+    function saveDuration(trackId, durationMs, options = {}) {
+        if (!(durationMs > 0)) return Promise.reject(invalidRequest('saveDuration', 'A positive duration is required'));
+        return saveFields('saveDuration', trackId, { duration_ms: String(Math.round(durationMs)) }, options);
+    }
+    
+    function saveProducers(trackId, producers, options = {}) {
+        return saveFields('saveProducers', trackId, { producers: producers || '' }, options);
+    }
+    
+    function saveTags(trackId, tags, options = {}) {
+        return saveFields('saveTags', trackId, { tags: window.BP.tags.join(tags) }, options);
+    }
+    
+    // licensing: { licensing_type, exclusive_price, exclusive_currency, exclusive_status }
+    function saveLicensing(trackId, licensing = {}, options = {}) {
+        const fields = Object.fromEntries(Object.entries(licensing)
+            .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        return saveFields('saveLicensing', trackId, fields, options);
+    }
+    
+    // ---------------------------
+    // Fingerprint Operations
+    // ---------------------------
+    
+    function normalizeDuplicateInfo(data) {
+        validateShape(data, {
+            is_duplicate: 'boolean?',
+            is_authentic: 'boolean?',
+            duplicate_info: 'object?',
+            authentic_track_id: 'string|number?',
+            duplicate_count: 'number?',
+            fingerprint_hash: 'string?'
+        }, 'duplicateInfo');
+        
+        return {
+            message: data.message || '',
+            isDuplicate: !!data.is_duplicate,
+            isAuthentic: !!data.is_authentic,
+            duplicateInfo: asMap(data.duplicate_info),
+            duplicateCount: data.duplicate_count || 0,
+            authenticTrackId: data.authentic_track_id || null,
+            fingerprintHash: data.fingerprint_hash || null
+        };
+    }
+    
+    // Runs fpcalc on the audio behind a playback URL
+    function generateFingerprint(playbackUrl, options = {}) {
+        if (!playbackUrl) return Promise.reject(invalidRequest('generateFingerprint', 'A playback URL is required'));
+        
+        return request('generateFingerprint', {
+            timeout: FINGERPRINT_TIMEOUT,
+            ...options,
+            endpoint: 'fingerprint',
+            method: 'POST',
+            json: { urls: [playbackUrl] },
+            parse: data => {
+                validateShape(data, { results: 'array' }, 'generateFingerprint');
+                const result = validateShape(data.results[0], {
+                    fingerprint: 'string|null?',
+                    duration: 'number|null?',
+                    error: 'string?'
+                }, 'generateFingerprint');
+                if (result.error || !result.fingerprint) {
+                    throw new BPApiError(result.error || 'No fingerprint returned', { code: 'api', operation: 'generateFingerprint' });
+                }
+                return { fingerprint: result.fingerprint, duration: result.duration || null };
             }
+        });
+    }
+    
+    // Stores a fingerprint; the handler reports duplicates of it in the same response
+    async function saveFingerprint(trackId, fingerprint, options = {}) {
+        if (!trackId || !fingerprint) {
+            throw invalidRequest('saveFingerprint', 'A track id and fingerprint are required');
+        }
+        const data = await request('saveFingerprint', {
+            ...options,
+            method: 'POST',
+            form: { track_id: trackId, fingerprint }
+        });
+        return normalizeDuplicateInfo(data);
+    }
+    
+    async function checkFingerprint(fingerprint, trackId = '', options = {}) {
+        if (!fingerprint) throw invalidRequest('checkFingerprint', 'A fingerprint is required');
+        
+        const data = await request('checkFingerprint', {
+            ...options,
+            query: { check_fingerprint: fingerprint.slice(0, FINGERPRINT_SAMPLE_LENGTH), track_id: trackId || '' }
+        });
+        return normalizeDuplicateInfo(data);
+    }
+    
+    function deleteFingerprint(trackId, reason = '', options = {}) {
+        if (!trackId) return Promise.reject(invalidRequest('deleteFingerprint', 'A track id is required'));
+        
+        return request('deleteFingerprint', {
+            ...options,
+            method: 'POST',
+            form: { track_id: trackId, delete_fingerprint: '1', reason }
+        });
+    }
+    
+    // Stored fingerprint of a track plus its duplicate status
+    async function getFingerprintStatus(trackId, options = {}) {
+        const track = await getTrack(trackId, options);
+        const status = {
+            hasFingerprint: !!(track && track.fingerprint),
+            playbackUrl: (track && track.Playback) || '',
+            fingerprint: (track && track.fingerprint) || '',
+            fingerprintHash: (track && track.fingerprint_hash) || '',
+            isDuplicate: false,
+            isAuthentic: false,
+            duplicateCount: 0,
+            duplicateInfo: {}
+        };
+        if (!status.hasFingerprint) return status;
+        
+        const duplicates = await checkFingerprint(status.fingerprint, trackId, options);
+        return {
+            ...status,
+            isDuplicate: duplicates.isDuplicate,
+            isAuthentic: duplicates.isAuthentic,
+            duplicateInfo: duplicates.duplicateInfo,
+            duplicateCount: (duplicates.duplicateInfo.exact_matches || []).length +
+                            (duplicates.duplicateInfo.similar_matches || []).length
+        };
+    }
+    
+    // ---------------------------
+    // Artist Notes Operations
+    // ---------------------------
+    
+    // Notes timeline of an artist: { exists, notes, latest_note, ... }. Signed-in visitors
+    // send their session token and are counted as viewers.
+    function getNotes(artistId, options = {}) {
+        if (!artistId) return Promise.reject(invalidRequest('getNotes', 'An artist id is required'));
+        
+        return request('getNotes', {
+            ...options,
+            endpoint: 'notes',
+            auth: 'optional',
+            query: { artist_id: String(artistId) },
+            parse: data => unwrapHandlerResponse(data, 'getNotes', 'ok')
+        });
+    }
+    
+    // body follows the handler's JSON fields: a new note, edit_note, delete_note,
+    // clear_timeline or a reaction. Only the artist's owner (or an admin) may change notes.
+    function saveNote(body, options = {}) {
+        if (!body || !body.artist_id) return Promise.reject(invalidRequest('saveNote', 'An artist id is required'));
+        
+        return request('saveNote', {
+            ...options,
+            endpoint: 'notes',
+            method: 'POST',
+            auth: true,
+            json: body,
+            parse: data => unwrapHandlerResponse(data, 'saveNote', 'ok')
+        });
+    }
+    
+    // ---------------------------
+    // Verified Producer Operations
+    // ---------------------------
+    
+    // { [producer name]: true | false }
+    function getVerifiedProducers(options = {}) {
+        return request('getVerifiedProducers', {
+            ...options,
+            endpoint: 'verifiedProducers',
+            parse: data => asMap(validateShape(data, {}, 'getVerifiedProducers'))
+        });
+    }
+    
+    // Admins only; the handler answers in plain text
+    function setProducerVerified(producerName, verified, options = {}) {
+        if (!producerName) return Promise.reject(invalidRequest('setProducerVerified', 'A producer name is required'));
+        
+        return request('setProducerVerified', {
+            ...options,
+            endpoint: 'verifiedProducersUpdate',
+            method: 'POST',
+            auth: true,
+            form: { producerName, verifiedStatus: String(!!verified) },
+            responseType: 'text',
+            parse: text => text
+        });
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.api = {
+        endpoint: ENDPOINTS.metadata,
+        
+        // Track metadata
+        getTrack,
+        getTracks,
+        findTracksByTempo,
+        getPopularTags,
+        saveTrack,
+        savePlaybackUrl,
+        saveDuration,
+        saveProducers,
+        saveTags,
+        saveLicensing,
+        
+        // Fingerprints
+        generateFingerprint,
+        saveFingerprint,
+        checkFingerprint,
+        deleteFingerprint,
+        getFingerprintStatus,
+        
+        // Artist notes
+        getNotes,
+        saveNote,
+        
+        // Verified producers
+        getVerifiedProducers,
+        setProducerVerified,
+        
+        // Errors and diagnostics
+        ApiError: BPApiError,
+        isApiError: (error) => error instanceof BPApiError,
+        isPermissionError,
+        stats: () => ({ ...stats })
+    };
+    
+    // Signed-in user of the host session, as vouched for by session_token.php.
+    // claims(): { sub, name, admin, artists, exp } once a token was fetched, else null.
+    window.BP.auth = {
+        session: getSession,
+        headers: authHeaders,
+        clear: clearSession,
+        claims: () => (session ? session.claims : null),
+        isAdmin: () => !!(session && session.claims.admin),
+        ownsArtist: (artistId) => !!session && (session.claims.admin ||
+            (session.claims.artists || []).includes(String(artistId)))
+    };
+    
+})();
+// ============================================================
+// BeatPass Persistent Cache - Standalone IIFE Module
+// IndexedDB metadata cache with stale-while-revalidate and LRU eviction
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants and Configuration
+    // ---------------------------
+    
+    const DB_NAME = 'beatpass-cache';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'entries';
+    const MAX_ENTRIES = 1000;
+    const MAX_BYTES = 2 * 1024 * 1024; // 2 MB of serialized values
+    const EVICTION_DELAY = 2000;
+    
+    // freshFor: served without revalidating. maxAge: never served after this.
+    const SCOPES = {
+        track: { freshFor: 5 * 60 * 1000, maxAge: 7 * 24 * 60 * 60 * 1000 },
+        artist: { freshFor: 30 * 1000, maxAge: 24 * 60 * 60 * 1000 },
+        api: { freshFor: 5 * 60 * 1000, maxAge: 24 * 60 * 60 * 1000 }
+    };
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    // Mirror of the entries read or written this session, so repeated reads skip IndexedDB.
+    // It is the whole cache when IndexedDB is unavailable (private browsing, blocked storage).
+    const memory = new Map();
+    const revalidating = new Map();
+    let dbPromise = null;
+    let evictionTimer = null;
+    
+    const stats = {
+        hits: 0,
+        staleHits: 0,
+        misses: 0,
+        revalidations: 0,
+        evictions: 0
+    };
+    
+    // ---------------------------
+    // IndexedDB Access
+    // ---------------------------
+    
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Resolves null when IndexedDB cannot be used; the cache then stays in memory
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        
+        dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
             
-            .beatpass-injecting.ready {
-                visibility: visible;
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('accessedAt', 'accessedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    if (DEBUG) console.warn('[BP Cache] IndexedDB unavailable, using memory only:', request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => resolve(null);
+            } catch (error) {
+                resolve(null);
             }
-        `;
-        document.head.appendChild(style);
+        });
+        return dbPromise;
+    }
+    
+    async function withStore(mode, operation) {
+        const db = await openDb();
+        if (!db) return null;
+        
+        try {
+            return await promisify(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+        } catch (error) {
+            if (DEBUG) console.warn('[BP Cache] IndexedDB operation failed:', error);
+            return null;
+        }
+    }
+    
+    // ---------------------------
+    // Entries
+    // ---------------------------
+    
+    function entryKey(scope, id) {
+        return `${scope}:${id}`;
+    }
+    
+    function getScope(scope) {
+        const config = SCOPES[scope];
+        if (!config) throw new Error(`[BP Cache] Unknown cache scope "${scope}"`);
+        return config;
+    }
+    
+    async function read(scope, id) {
+        const config = getScope(scope);
+        const key = entryKey(scope, id);
+        const entry = memory.get(key) || await withStore('readonly', store => store.get(key));
+        if (!entry) return null;
+        
+        if (Date.now() - entry.storedAt > config.maxAge) {
+            remove(scope, id);
+            return null;
+        }
+        
+        // Recency drives eviction; the access time is persisted with the next write or eviction pass
+        entry.accessedAt = Date.now();
+        memory.set(key, entry);
+        return entry;
+    }
+    
+    async function write(scope, id, value) {
+        getScope(scope);
+        const now = Date.now();
+        const entry = {
+            key: entryKey(scope, id),
+            scope,
+            value,
+            storedAt: now,
+            accessedAt: now,
+            size: JSON.stringify(value).length
+        };
+        
+        memory.set(entry.key, entry);
+        await withStore('readwrite', store => store.put(entry));
+        scheduleEviction();
+        return entry;
     }
-
+    
+    async function remove(scope, id) {
+        const key = entryKey(scope, id);
+        memory.delete(key);
+        await withStore('readwrite', store => store.delete(key));
+    }
+    
+    async function clear(scope) {
+        if (!scope) {
+            memory.clear();
+            await withStore('readwrite', store => store.clear());
+            return;
+        }
+        
+        const prefix = `${scope}:`;
+        [...memory.keys()].filter(key => key.startsWith(prefix)).forEach(key => memory.delete(key));
+        const keys = await withStore('readonly', store => store.getAllKeys()) || [];
+        await Promise.all(keys
+            .filter(key => key.startsWith(prefix))
+            .map(key => withStore('readwrite', store => store.delete(key))));
+    }
+    
     // ---------------------------
-    // Global API Exposure
+    // Size Limits and Eviction
     // ---------------------------
     
-    window.BeatPassUtilities = {
-        // Core utilities
-        debounce,
-        waitForElement,
-        styleSaveButton,
-        
-        // Page detection
-        isUploadPage,
-        isEditPage,
-        isTrackPage,
-        isConfirmationPage,
+    function scheduleEviction() {
+        clearTimeout(evictionTimer);
+        evictionTimer = setTimeout(evict, EVICTION_DELAY);
+    }
+    
+    // Drops expired entries, then the least recently used ones until the cache fits
+    // MAX_ENTRIES and MAX_BYTES again
+    async function evict() {
+        const stored = await withStore('readonly', store => store.getAll());
+        const entries = stored || [...memory.values()];
         
-        // Track data extraction
-        getTrackId,
-        getCurrentTrackId,
-        getTrackName,
-        getDuration,
+        // Session reads are newer than the persisted access times
+        entries.forEach(entry => {
+            const cached = memory.get(entry.key);
+            if (cached) entry.accessedAt = Math.max(entry.accessedAt, cached.accessedAt);
+        });
+        entries.sort((a, b) => b.accessedAt - a.accessedAt);
         
-        // Form controls
-        disableSubmitButton,
-        enableSubmitButton,
+        const now = Date.now();
+        let count = 0;
+        let bytes = 0;
+        const evicted = entries.filter(entry => {
+            const config = SCOPES[entry.scope];
+            const expired = !config || now - entry.storedAt > config.maxAge;
+            if (expired || count >= MAX_ENTRIES || bytes + entry.size > MAX_BYTES) return true;
+            count++;
+            bytes += entry.size;
+            return false;
+        });
         
-        // Styling
-        ensureAnimationStyles,
+        evicted.forEach(entry => memory.delete(entry.key));
+        await Promise.all(evicted.map(entry => withStore('readwrite', store => store.delete(entry.key))));
+        stats.evictions += evicted.length;
+        if (DEBUG && evicted.length) console.log(`🧹 [BP Cache] Evicted ${evicted.length} entries (${count} kept, ${bytes} bytes)`);
         
-        // Auto-initialization
-        init: function() {
-            if (DEBUG) console.log('[BeatPassUtilities] Standalone utilities module loaded');
-            ensureAnimationStyles();
+        // Persist the access times the kept entries gained this session
+        if (stored) {
+            await Promise.all(entries.slice(0, count)
+                .filter(entry => memory.has(entry.key))
+                .map(entry => withStore('readwrite', store => store.put(entry))));
         }
-    };
-
+    }
+    
     // ---------------------------
-    // Legacy Global Exposure
+    // Stale-While-Revalidate
     // ---------------------------
     
-    // Expose individual functions to window for legacy compatibility
-    window.getTrackId = getTrackId;
-    window.getCurrentTrackId = getCurrentTrackId;
-    window.getTrackName = getTrackName;
-    window.getDuration = getDuration;
-    window.isUploadPage = isUploadPage;
-    window.isEditPage = isEditPage;
-    window.isTrackPage = isTrackPage;
-    window.isConfirmationPage = isConfirmationPage;
-    window.enableSubmitButton = enableSubmitButton;
-    window.disableSubmitButton = disableSubmitButton;
+    // Concurrent revalidations of one entry share a single fetch. Only non-null values
+    // are stored, so unknown records are looked up again next time.
+    function revalidate(scope, id, fetcher, onUpdate, previous) {
+        const key = entryKey(scope, id);
+        if (revalidating.has(key)) return revalidating.get(key);
+        
+        stats.revalidations++;
+        const promise = Promise.resolve()
+            .then(fetcher)
+            .then(async value => {
+                if (value === null || value === undefined) return value;
+                await write(scope, id, value);
+                if (previous && onUpdate && JSON.stringify(previous.value) !== JSON.stringify(value)) {
+                    onUpdate(value);
+                }
+                return value;
+            })
+            .finally(() => revalidating.delete(key));
+        
+        revalidating.set(key, promise);
+        return promise;
+    }
+    
+    // Serves a cached value immediately and refreshes it in the background once it is
+    // older than the scope's freshFor; onUpdate(value) then receives the new value if it
+    // changed. Without a cached value the fetcher's result is awaited and stored.
+    async function swr(scope, id, fetcher, options = {}) {
+        const config = getScope(scope);
+        const entry = await read(scope, id);
+        
+        if (!entry) {
+            stats.misses++;
+            return revalidate(scope, id, fetcher, options.onUpdate, null);
+        }
+        
+        if (Date.now() - entry.storedAt > config.freshFor) {
+            stats.staleHits++;
+            revalidate(scope, id, fetcher, options.onUpdate, entry).catch(error => {
+                if (DEBUG) console.warn(`[BP Cache] Background revalidation of ${entryKey(scope, id)} failed:`, error);
+            });
+        } else {
+            stats.hits++;
+        }
+        return entry.value;
+    }
+    
+    // Saved tracks are dropped by id and by name, the two keys lookups use
+    function invalidateTrack(trackId, trackName) {
+        const removals = [];
+        if (trackId) removals.push(remove('track', `id:${trackId}`));
+        if (trackName) removals.push(remove('track', `name:${String(trackName).trim()}`));
+        return Promise.all(removals);
+    }
     
     // ---------------------------
-    // Auto-Initialization
+    // Event Subscriptions
     // ---------------------------
     
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', window.BeatPassUtilities.init);
-    } else {
-        window.BeatPassUtilities.init();
+    if (window.BP && window.BP.on) {
+        window.BP.on('metadata:saved', ({ trackId, data }) => {
+            invalidateTrack(trackId, data && data.track_name);
+        });
     }
     
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.cache = {
+        get: async (scope, id) => {
+            const entry = await read(scope, id);
+            return entry ? entry.value : null;
+        },
+        set: (scope, id, value) => write(scope, id, value).then(() => value),
+        delete: remove,
+        clear,
+        swr,
+        invalidateTrack,
+        evict,
+        stats: () => ({ ...stats, memoryEntries: memory.size })
+    };
+    
 })();
 // ============================================================
 // BeatPass Data Manager - Standalone IIFE Module
@@ -312,13 +3053,7 @@
     // Constants and Configuration
     // ---------------------------
     
-    const API_URL = 'https://open.beatpass.ca/key_bpm_handler.php';
-    const MAX_RETRIES_UPLOAD = 10;
-    const RETRY_DELAY = 300;
-    const MAX_RETRIES_TRACK = 15;
-    const RETRY_DELAY_TRACK = 200;
-    const API_TIMEOUT = 10000; // 10 seconds
-    const CACHE_DURATION = 300000; // 5 minutes
+    const CACHE_DURATION = 300000; // 5 minutes (localStorage drafts; API responses use BP.cache)
     
     // ---------------------------
     // State Management
@@ -328,77 +3063,16 @@
     let cachedBootstrapData = null;
     let cachedApiHeaders = null;
     
-    // Enhanced caching system
-    const apiCache = new Map();
-    const pendingRequests = new Map();
-    
     // Performance monitoring
     const performanceMetrics = {
-        apiCalls: 0,
-        cacheHits: 0,
         domOperations: 0,
         errors: 0
     };
     
     // ---------------------------
-    // Core API Functions
+    // Bootstrap Data
     // ---------------------------
     
-    async function makeApiRequest(url, options = {}) {
-        const cacheKey = `${url}_${JSON.stringify(options)}`;
-        
-        // Check cache first
-        const cached = apiCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-            performanceMetrics.cacheHits++;
-            return cached.data;
-        }
-        
-        // Check if request is already pending
-        if (pendingRequests.has(cacheKey)) {
-            return pendingRequests.get(cacheKey);
-        }
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
-        
-        const requestPromise = fetch(url, {
-            ...options,
-            signal: controller.signal,
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                ...options.headers
-            }
-        }).then(async response => {
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            
-            // Cache successful responses
-            apiCache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
-            
-            performanceMetrics.apiCalls++;
-            return data;
-        }).catch(error => {
-            clearTimeout(timeoutId);
-            performanceMetrics.errors++;
-            throw error;
-        }).finally(() => {
-            pendingRequests.delete(cacheKey);
-        });
-        
-        pendingRequests.set(cacheKey, requestPromise);
-        return requestPromise;
-    }
-    
     // Initialize cached data
     function initializeCache() {
         try {
@@ -425,54 +3099,29 @@
     // Data Submission Functions
     // ---------------------------
     
-    async function submitCustomData(data, isUpload = false) {
-        const maxRetries = isUpload ? MAX_RETRIES_UPLOAD : MAX_RETRIES_TRACK;
-        const retryDelay = isUpload ? RETRY_DELAY : RETRY_DELAY_TRACK;
+    // Writes go through BP.api, which owns the endpoint, timeouts and retry policy
+    async function submitCustomData(data) {
+        if (DEBUG) console.log('[DataManager] Submitting track data:', data);
         
-        if (DEBUG) console.log(`[DataManager] Submitting ${isUpload ? 'upload' : 'track'} data:`, data);
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const response = await makeApiRequest(API_URL, {
-                    method: 'POST',
-                    body: JSON.stringify(data),
-                    headers: cachedApiHeaders || {
-                        'Accept': 'application/json',
-                        'Content-Type': 'application/json'
-                    }
-                });
-                
-                if (DEBUG) console.log(`[DataManager] Data submitted successfully on attempt ${attempt}:`, response);
-                return response;
-                
-            } catch (error) {
-                console.warn(`[DataManager] Attempt ${attempt}/${maxRetries} failed:`, error.message);
-                
-                if (attempt === maxRetries) {
-                    console.error(`[DataManager] All ${maxRetries} attempts failed. Final error:`, error);
-                    throw error;
-                }
-                
-                // Wait before retrying
-                await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
-            }
+        try {
+            const response = await window.BP.api.saveTrack(data);
+            if (window.BP.cache) window.BP.cache.invalidateTrack(data.track_id, data.track_name);
+            return response;
+        } catch (error) {
+            performanceMetrics.errors++;
+            console.error('[DataManager] Failed to submit track data:', error);
+            throw error;
         }
     }
     
-    async function submitDuration(trackId, duration) {
-        if (!trackId || !duration) {
+    async function submitDuration(trackId, durationMs) {
+        if (!trackId || !durationMs) {
             console.warn('[DataManager] Missing trackId or duration for submission');
             return;
         }
         
-        const data = {
-            action: 'submit_duration',
-            track_id: trackId,
-            duration: duration
-        };
-        
         try {
-            const response = await submitCustomData(data, false);
+            const response = await window.BP.api.saveDuration(trackId, durationMs);
             if (DEBUG) console.log('[DataManager] Duration submitted successfully:', response);
             return response;
         } catch (error) {
@@ -570,16 +3219,14 @@
     // ---------------------------
     
     function clearCache() {
-        apiCache.clear();
-        pendingRequests.clear();
+        if (window.BP.cache) window.BP.cache.clear('api');
         if (DEBUG) console.log('[DataManager] Cache cleared');
     }
     
     function getCacheStats() {
         return {
             ...performanceMetrics,
-            cacheSize: apiCache.size,
-            pendingRequests: pendingRequests.size
+            cache: window.BP.cache ? window.BP.cache.stats() : null
         };
     }
     
@@ -588,8 +3235,7 @@
     // ---------------------------
     
     window.BeatPassDataManager = {
-        // Core API functions
-        makeApiRequest,
+        // Core API functions (requests themselves go through BP.api)
         submitCustomData,
         submitDuration,
         
@@ -608,7 +3254,7 @@
         sanitizeData,
         
         // Constants
-        API_URL,
+        API_URL: window.BP.api.endpoint,
         CACHE_DURATION,
         
         // Auto-initialization
@@ -628,6 +3274,188 @@
         window.BeatPassDataManager.init();
     }
     
+})();
+// ============================================================
+// BeatPass Metadata Client - Standalone IIFE Module
+// Batched track metadata lookups for tables, queues and previews
+// ============================================================
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    // ---------------------------
+    // Constants and Configuration
+    // ---------------------------
+    
+    const MAX_BATCH_SIZE = 100; // Matches the handler's per-request cap
+    
+    // ---------------------------
+    // State Management
+    // ---------------------------
+    
+    // Lookups requested during the current frame, by key; flushed as one request
+    const queued = new Map();
+    // Lookups already sent, by key, so concurrent callers share one response
+    const inflight = new Map();
+    let flushScheduled = false;
+    
+    const stats = {
+        lookups: 0,
+        requests: 0,
+        coalesced: 0,
+        errors: 0
+    };
+    
+    // ---------------------------
+    // Lookup Keys
+    // ---------------------------
+    
+    // A track is looked up by id when known, by name otherwise
+    function normalizeRef(ref) {
+        if (ref === null || ref === undefined) return null;
+        if (typeof ref !== 'object') ref = { id: ref };
+        
+        const id = ref.id !== undefined && ref.id !== null ? String(ref.id).trim() : '';
+        if (/^\d+$/.test(id)) return { key: `id:${id}`, id, name: null };
+        
+        const name = typeof ref.name === 'string' ? ref.name.trim() : '';
+        if (name) return { key: `name:${name}`, id: null, name };
+        return null;
+    }
+    
+    function abortError() {
+        return new DOMException('The lookup was aborted', 'AbortError');
+    }
+    
+    // Rejects one caller when its own signal aborts, without cancelling the shared batch
+    function withSignal(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(abortError());
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(abortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+    
+    // ---------------------------
+    // Batching
+    // ---------------------------
+    
+    function scheduleFlush() {
+        if (flushScheduled) return;
+        flushScheduled = true;
+        
+        const run = () => {
+            flushScheduled = false;
+            flush();
+        };
+        if (typeof requestAnimationFrame === 'function' && document.visibilityState !== 'hidden') {
+            requestAnimationFrame(run);
+        } else {
+            setTimeout(run, 16);
+        }
+    }
+    
+    async function requestBatch(entries) {
+        stats.requests++;
+        try {
+            // Route-scoped: leaving the page cancels the lookups it started
+            const { byId, byName } = await window.BP.api.getTracks({
+                ids: entries.filter(entry => entry.id).map(entry => entry.id),
+                names: entries.filter(entry => entry.name).map(entry => entry.name)
+            }, { signal: window.BP.modules.signal() });
+            
+            entries.forEach(entry => {
+                const record = entry.id ? byId[entry.id] : byName[entry.name];
+                entry.resolve(record || null);
+            });
+            if (DEBUG) console.log(`📦 [BP Metadata] Resolved ${entries.length} lookups in one request`);
+        } catch (error) {
+            entries.forEach(entry => entry.reject(error));
+            if (window.BP.modules.isAbortError(error)) return;
+            
+            // BP.api has already reported the failure to BP.errors
+            stats.errors++;
+            console.error('[BP Metadata] Batch lookup failed:', error);
+        } finally {
+            entries.forEach(entry => inflight.delete(entry.key));
+        }
+    }
+    
+    // Sends everything queued so far, split into handler-sized requests
+    function flush() {
+        const entries = [...queued.values()];
+        queued.clear();
+        
+        for (let i = 0; i < entries.length; i += MAX_BATCH_SIZE) {
+            requestBatch(entries.slice(i, i + MAX_BATCH_SIZE));
+        }
+    }
+    
+    // ---------------------------
+    // Public Lookups
+    // ---------------------------
+    
+    // Queues a network lookup; every lookup made in the same frame shares one request
+    function enqueue(normalized) {
+        const existing = queued.get(normalized.key) || inflight.get(normalized.key);
+        if (existing) {
+            stats.coalesced++;
+            return existing.promise;
+        }
+        
+        const entry = { ...normalized };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        // Rejections surface through the callers' own promises
+        entry.promise.catch(() => {});
+        
+        queued.set(entry.key, entry);
+        inflight.set(entry.key, entry);
+        scheduleFlush();
+        
+        return entry.promise;
+    }
+    
+    // Resolves with { track_id, track_name, key_name, scale, bpm, licensing_type,
+    // exclusive_price, exclusive_currency, exclusive_status } or null for unknown tracks.
+    // ref is a track id or { id, name }. Cached tracks resolve from BP.cache right away and
+    // are revalidated in the background when stale; options.onUpdate(metadata) receives
+    // the refreshed record if it changed.
+    function get(ref, options = {}) {
+        const normalized = normalizeRef(ref);
+        if (!normalized) return Promise.resolve(null);
+        stats.lookups++;
+        
+        const lookup = () => enqueue(normalized);
+        const result = window.BP.cache
+            ? window.BP.cache.swr('track', normalized.key, lookup, { onUpdate: options.onUpdate })
+            : lookup();
+        return withSignal(result, options.signal);
+    }
+    
+    // Resolves with an array in the order of refs
+    function getMany(refs, options = {}) {
+        return Promise.all(refs.map(ref => get(ref, options)));
+    }
+    
+    // ---------------------------
+    // Global API Exposure
+    // ---------------------------
+    
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.metadata = {
+        get,
+        getMany,
+        flush,
+        stats: () => ({ ...stats, queued: queued.size, inflight: inflight.size })
+    };
+    
 })();
 /**
  * Metadata Validator - Standalone IIFE Module
@@ -645,6 +3473,23 @@
     const BPM_MIN = 40;
     const BPM_MAX = 300;
     const REQUIRED_FIELDS = ['key', 'scale', 'bpm'];
+    
+    // Share of the completeness score per checklist item. Items that do not apply to the page
+    // (fingerprint before upload, price without exclusive licensing) leave the total.
+    const COMPLETENESS_WEIGHTS = {
+        key: 15,
+        scale: 10,
+        bpm: 15,
+        genre: 10,
+        tags: 10,
+        producers: 10,
+        coverArt: 10,
+        description: 5,
+        fingerprint: 10,
+        playbackUrl: 5,
+        exclusivePrice: 5
+    };
+    const RECOMMENDED_TAGS = 3;
 
     // State management
     let isInitialized = false;
@@ -683,6 +3528,11 @@
         return '';
     }
 
+    // { credits, validation, value } from the credits editor, or null when it is not on the page
+    function getCredits() {
+        return window.getProducerCredits ? window.getProducerCredits() : null;
+    }
+
     function getExclusiveLicensingData() {
         if (window.getExclusiveLicensingData) {
             return window.getExclusiveLicensingData();
@@ -709,13 +3559,13 @@
             return { isValid: false, error: 'Key cannot be empty' };
         }
         
-        // Basic key format validation (allow common key formats)
-        const keyPattern = /^[A-G][#b]?\s*(maj|major|min|minor|m)?$/i;
-        if (!keyPattern.test(trimmedKey)) {
+        // Any spelling BP.keys can read: C, Am, F#, Bb major, C# / D♭, D flat minor
+        const parsed = window.BP.keys.parse(trimmedKey);
+        if (!parsed) {
             return { isValid: false, error: 'Invalid key format (e.g., C, Am, F#, Bb major)' };
         }
         
-        return { isValid: true, value: trimmedKey };
+        return { isValid: true, value: window.BP.keys.keyName(parsed.pitchClass) };
     }
 
     function validateScale(scale) {
@@ -728,24 +3578,18 @@
             return { isValid: false, error: 'Scale cannot be empty' };
         }
         
-        // Basic scale validation (allow common scale types)
-        const validScales = [
-            'major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'locrian',
-            'pentatonic', 'blues', 'chromatic', 'harmonic minor', 'melodic minor'
-        ];
-        
-        const isValidScale = validScales.some(validScale => 
-            trimmedScale.toLowerCase().includes(validScale.toLowerCase())
-        );
-        
-        if (!isValidScale) {
-            return { isValid: false, error: 'Invalid scale type' };
+        // Keys are stored as pitch class + major/minor; other modes cannot be represented
+        const mode = window.BP.keys.parseMode(trimmedScale);
+        if (!mode) {
+            return { isValid: false, error: 'Scale must be Major or Minor' };
         }
         
-        return { isValid: true, value: trimmedScale };
+        return { isValid: true, value: window.BP.keys.scaleName(mode) };
     }
 
-    function validateBPM(bpm) {
+    // context { feel, genres } adds a genre hint to a valid BPM: { isValid, value, hint, suggestedFeel }.
+    // Hints never make a BPM invalid - drill at 70 or 140 are both fine once the feel says which.
+    function validateBPM(bpm, context = null) {
         if (!bpm) {
             return { isValid: false, error: 'BPM is required' };
         }
@@ -760,9 +3604,18 @@
             return { isValid: false, error: `BPM must be between ${BPM_MIN} and ${BPM_MAX}` };
         }
         
+        const hint = context ? window.BP.tempo.genreHint(numericBPM, context.feel, context.genres) : null;
+        if (hint) {
+            return { isValid: true, value: numericBPM, hint: hint.message, suggestedFeel: hint.suggestedFeel };
+        }
         return { isValid: true, value: numericBPM };
     }
 
+    // The feel is optional; anything unrecognised is stored as 'normal'
+    function validateBPMFeel(feel) {
+        return { isValid: true, value: window.BP.tempo.normalizeFeel(feel) };
+    }
+
     function validateProducers(producers) {
         // Producers are optional, so empty is valid
         if (!producers || typeof producers !== 'string') {
@@ -779,8 +3632,13 @@
             return { isValid: true, value: '' };
         }
         
-        const trimmedTags = tags.trim();
-        return { isValid: true, value: trimmedTags };
+        // Normalized, de-duplicated and capped at BP.tags.MAX_TAGS
+        return { isValid: true, value: window.BP.tags.join(tags) };
+    }
+
+    // Optional, but when given every credit needs a name and the splits must total 100%
+    function validateCredits(credits) {
+        return window.BP.credits.validate(credits || []);
     }
 
     function validateExclusivePrice(price, licensingType) {
@@ -837,6 +3695,81 @@
         return sanitized;
     }
 
+    // ---------------------------
+    // Weighted Completeness
+    // ---------------------------
+    function countList(value) {
+        return String(value || '').split(',').map(item => item.trim()).filter(Boolean).length;
+    }
+
+    function getDescription() {
+        const field = window.BP.selectors.query('form.description');
+        return field ? field.value.trim() : '';
+    }
+
+    // The drop zone shows the picked image as a background or an <img>; Blank.webp is the
+    // cover art updater's placeholder for "no genre yet"
+    function hasCoverArt() {
+        const artwork = window.BP.selectors.query('form.artwork');
+        if (!artwork) return false;
+
+        const image = artwork.querySelector('img');
+        const source = (image && image.getAttribute('src')) || artwork.style.backgroundImage || '';
+        return !!source && source !== 'none' && !/Blank\.webp/.test(source);
+    }
+
+    // Checklist items in display order: { id, label, weight, done, applicable, required, detail, target }.
+    // target is { elementId } or { selector } (a BP.selectors name) for the field to jump to.
+    function buildChecklist(state) {
+        const isEdit = window.BP.routes.is('edit');
+        const tagCount = countList(state.tags);
+        const exclusive = state.licensing_type && state.licensing_type !== 'non_exclusive_only';
+
+        const items = [
+            { id: 'key', label: 'Key', done: state.hasKey, required: true,
+              detail: state.validations.key.error || '', target: { elementId: 'key_name' } },
+            { id: 'scale', label: 'Scale', done: state.hasScale, required: true,
+              detail: state.validations.scale.error || '', target: { elementId: 'scale' } },
+            { id: 'bpm', label: 'BPM', done: state.hasBPM, required: true,
+              detail: state.validations.bpm.error || state.validations.bpm.hint || '', target: { elementId: 'bpm' } },
+            { id: 'genre', label: 'Genre', done: state.genres.length > 0,
+              detail: 'Pick at least one genre', target: { selector: 'form.genresInput' } },
+            { id: 'tags', label: `Tags (${Math.min(tagCount, RECOMMENDED_TAGS)}/${RECOMMENDED_TAGS})`, done: tagCount >= RECOMMENDED_TAGS,
+              detail: `Add at least ${RECOMMENDED_TAGS} tags so the track shows up in search`, target: { selector: 'form.tagsInput' } },
+            { id: 'producers', label: 'Producer credits', done: state.credits.length > 0 && state.validations.credits.isValid,
+              detail: state.validations.credits.error || 'Credit the producers and their ownership splits',
+              target: { elementId: 'producer-credits' } },
+            { id: 'coverArt', label: 'Cover art', done: state.hasCoverArt,
+              detail: 'Upload cover art or pick a genre for a generated cover', target: { selector: 'form.artwork' } },
+            { id: 'description', label: 'Description', done: !!state.description,
+              detail: 'Describe the beat, its mood and what it fits', target: { selector: 'form.description' } },
+            { id: 'fingerprint', label: 'Fingerprint', done: state.hasFingerprint, applicable: isEdit,
+              detail: isEdit ? 'Fingerprint the audio to protect it from re-uploads' : 'Available once the track is uploaded',
+              target: { elementId: 'fingerprint-dashboard' } },
+            { id: 'playbackUrl', label: 'Playback URL', done: state.hasPlaybackUrl, applicable: isEdit,
+              detail: isEdit ? 'Add the playback URL of the audio file' : 'Set from the uploaded file',
+              target: { selector: 'form.playbackUrl' } },
+            { id: 'exclusivePrice', label: 'Exclusive price', done: state.hasValidExclusivePricing, applicable: exclusive, required: exclusive,
+              detail: state.validations.exclusivePrice.error || '', target: { elementId: 'exclusive_price' } }
+        ];
+
+        return items.map(item => ({
+            applicable: true,
+            required: false,
+            ...item,
+            done: !!item.done,
+            weight: COMPLETENESS_WEIGHTS[item.id]
+        }));
+    }
+
+    // 0-100 over the applicable items
+    function scoreChecklist(checklist) {
+        const applicable = checklist.filter(item => item.applicable);
+        const total = applicable.reduce((sum, item) => sum + item.weight, 0);
+        const earned = applicable.filter(item => item.done).reduce((sum, item) => sum + item.weight, 0);
+        return total ? Math.round((earned / total) * 100) : 0;
+    }
+
     // ---------------------------
     // Metadata Completeness Check
     // ---------------------------
@@ -845,10 +3778,15 @@
         const keyField = document.getElementById('key_name');
         const scaleField = document.getElementById('scale');
         const bpmField = document.getElementById('bpm');
+        const feelField = document.getElementById('bpm_feel');
         
         const formKey = keyField ? keyField.value.trim() : '';
         const formScale = scaleField ? scaleField.value.trim() : '';
         const formBpm = bpmField ? bpmField.value.trim() : '';
+        const formFeel = feelField ? feelField.value : '';
+        
+        // Genre hints follow the genres picked on the form
+        const genres = window.BP.tempo.selectedGenres();
         
         // Get producers and tags from form (these are not required for completeness)
         const formProducers = getProducers();
@@ -858,17 +3796,27 @@
         const { licensing_type, exclusive_price, exclusive_currency, exclusive_status, exclusive_buyer_info } = getExclusiveLicensingData();
         
         // Use form values if available, otherwise fall back to database values
-        const key = formKey || (databaseData?.key_name || '');
-        const scale = formScale || (databaseData?.scale || '');
+        const rawKey = formKey || (databaseData?.key_name || '');
+        const rawScale = formScale || (databaseData?.scale || '');
         const bpm = formBpm || (databaseData?.bpm || '');
+        const bpm_feel = validateBPMFeel(formFeel || databaseData?.bpm_feel).value;
+        
+        // "Am" with no scale still counts as A / Minor; values are reported in canonical form
+        const parsedKey = window.BP.keys.parse(rawKey, rawScale);
+        const { key_name: key, scale } = window.BP.keys.normalize(rawKey, rawScale);
         const producers = formProducers || (databaseData?.producers || '');
         const tags = formTags || (databaseData?.tags || '');
         
+        // The credits editor's rows, or the stored credits when the editor is not on the page
+        const formCredits = getCredits();
+        const credits = formCredits ? formCredits.credits : window.BP.credits.parse(databaseData?.credits);
+        
         // Validate each field
         const keyValidation = validateKey(key);
         const scaleValidation = validateScale(scale);
-        const bpmValidation = validateBPM(bpm);
+        const bpmValidation = validateBPM(bpm, { feel: bpm_feel, genres });
         const priceValidation = validateExclusivePrice(exclusive_price, licensing_type);
+        const creditsValidation = validateCredits(credits);
         
         const hasKey = keyValidation.isValid;
         const hasScale = scaleValidation.isValid;
@@ -880,19 +3828,48 @@
         const scaleSource = formScale ? 'form' : (databaseData?.scale ? 'database' : 'missing');
         const bpmSource = formBpm ? 'form' : (databaseData?.bpm ? 'database' : 'missing');
         
+        // Fields outside the custom form; fingerprint and playback URL come from the stored track
+        const playbackField = window.BP.selectors.query('form.playbackUrl');
+        const checklist = buildChecklist({
+            hasKey,
+            hasScale,
+            hasBPM,
+            hasValidExclusivePricing,
+            genres,
+            producers,
+            credits,
+            tags,
+            licensing_type,
+            description: getDescription(),
+            hasCoverArt: hasCoverArt(),
+            hasFingerprint: !!(databaseData?.fingerprint_hash || databaseData?.fingerprint),
+            hasPlaybackUrl: !!((playbackField && playbackField.value.trim()) || databaseData?.Playback),
+            validations: {
+                key: keyValidation,
+                scale: scaleValidation,
+                bpm: bpmValidation,
+                exclusivePrice: priceValidation,
+                credits: creditsValidation
+            }
+        });
+        
         // Collect validation errors
         const validationErrors = [];
         if (!keyValidation.isValid) validationErrors.push(`Key: ${keyValidation.error}`);
         if (!scaleValidation.isValid) validationErrors.push(`Scale: ${scaleValidation.error}`);
         if (!bpmValidation.isValid) validationErrors.push(`BPM: ${bpmValidation.error}`);
         if (!priceValidation.isValid) validationErrors.push(`Price: ${priceValidation.error}`);
+        if (!creditsValidation.isValid) validationErrors.push(`Credits: ${creditsValidation.error}`);
         
         return {
             // Raw values
             key,
             scale,
             bpm,
+            bpm_feel,
+            genres,
             producers,
+            credits,
             tags,
             licensing_type,
             exclusive_price,
@@ -905,10 +3882,15 @@
             hasScale,
             hasBPM,
             hasValidExclusivePricing,
+            keyConflict: !!(parsedKey && parsedKey.conflict),
             
             // Overall completeness (core fields only)
             isComplete: hasKey && hasScale && hasBPM,
             
+            // Weighted score over every checklist item, 0-100
+            score: scoreChecklist(checklist),
+            checklist,
+            
             // Missing fields (core fields only)
             missing: [
                 !hasKey ? 'Key' : null,
@@ -932,7 +3914,8 @@
                 key: keyValidation,
                 scale: scaleValidation,
                 bpm: bpmValidation,
-                exclusivePrice: priceValidation
+                exclusivePrice: priceValidation,
+                credits: creditsValidation
             }
         };
     }
@@ -947,25 +3930,23 @@
         const warnings = [];
         
         // Check for common issues
-        if (metadata.key && metadata.scale) {
-            const keyLower = metadata.key.toLowerCase();
+        if (metadata.keyConflict) {
+            // The scale field wins; the key name said otherwise
             const scaleLower = metadata.scale.toLowerCase();
-            
-            // Warn about potential key/scale mismatches
-            if (keyLower.includes('minor') && scaleLower.includes('major')) {
-                warnings.push('Key indicates minor but scale indicates major - please verify');
-            }
-            if (keyLower.includes('major') && scaleLower.includes('minor')) {
-                warnings.push('Key indicates major but scale indicates minor - please verify');
-            }
+            const keyMode = scaleLower === 'minor' ? 'major' : 'minor';
+            warnings.push(`Key indicates ${keyMode} but scale indicates ${scaleLower} - please verify`);
         }
         
-        // Check BPM reasonableness for different genres
-        if (metadata.bpm) {
-            const bpmNum = parseInt(metadata.bpm, 10);
-            if (bpmNum < 60) {
+        // Check BPM reasonableness: against the selected genres' usual tempos when they have
+        // one, otherwise against a broad range. Either reading of a half/double feel counts.
+        const hasGenreRange = metadata.genres.some(genre => window.BP.tempo.genreRange(genre));
+        if (metadata.validations.bpm.hint) {
+            warnings.push(metadata.validations.bpm.hint);
+        } else if (metadata.bpm && !hasGenreRange) {
+            const tempos = window.BP.tempo.tempos(metadata.bpm, metadata.bpm_feel);
+            if (tempos.every(tempo => tempo < 60)) {
                 warnings.push('Very slow BPM - consider if this is correct for your track');
-            } else if (bpmNum > 200) {
+            } else if (tempos.every(tempo => tempo > 200)) {
                 warnings.push('Very fast BPM - consider if this is correct for your track');
             }
         }
@@ -1038,8 +4019,10 @@
         validateKey,
         validateScale,
         validateBPM,
+        validateBPMFeel,
         validateProducers,
         validateTags,
+        validateCredits,
         validateExclusivePrice,
         
         // Data sanitization
@@ -1059,6 +4042,7 @@
         BPM_MIN,
         BPM_MAX,
         REQUIRED_FIELDS,
+        COMPLETENESS_WEIGHTS,
         
         // State
         isInitialized: () => isInitialized,
@@ -1,6 +1,6 @@
 /**
  * BeatPass SPA Router - Standalone IIFE Module
- * Handles Single Page Application routing and module re-initialization
+ * Handles Single Page Application routing and drives the BP.modules lifecycle
  * Ensures all BeatPass modules work correctly during navigation
  */
 (function() {
@@ -13,6 +13,8 @@
     // State management
     let isInitialized = false;
     let currentPath = null;
+    let currentPageType = null;
+    let currentTrackId = null;
     let isProcessing = false;
 
     // Debounce utility
@@ -28,333 +30,64 @@
         };
     }
 
-    // Page type detection utilities
+    // Page type detection - route names from the BP.routes table in beatpass-core.js
     function getPageType() {
-        const pathname = window.location.pathname;
-        
-        if (pathname.includes('/backstage/upload')) return 'upload';
-        if (pathname.includes('/backstage/tracks/') && pathname.includes('/edit')) return 'edit';
-        if (pathname.includes('/track/')) return 'track';
-        if (pathname.includes('/backstage/tracks/') && pathname.includes('/confirmation')) return 'confirmation';
-        if (pathname.includes('/artist/')) return 'artist';
-        if (pathname.includes('/playlist/')) return 'playlist';
-        if (pathname.includes('/album/')) return 'album';
-        if (pathname.includes('/genre/')) return 'genre';
-        if (pathname.includes('/discover') || pathname === '/') return 'discover';
-        if (pathname.includes('/backstage')) return 'backstage';
-        
-        return 'other';
-    }
-
-    function isUploadPage() {
-        return window.location.pathname.includes('/backstage/upload');
-    }
-
-    function isEditPage() {
-        return window.location.pathname.includes('/backstage/tracks/') &&
-               window.location.pathname.includes('/edit');
+        return window.BP.routes.current().name;
     }
 
-    function isTrackPage() {
-        return window.location.pathname.includes('/track/');
+    function getCurrentTrackId() {
+        const trackId = window.getCurrentTrackId ? window.getCurrentTrackId() : null;
+        return trackId ? String(trackId) : null;
     }
 
-    function isConfirmationPage() {
-        return window.location.pathname.includes('/backstage/tracks/') &&
-               window.location.pathname.includes('/confirmation');
-    }
+    // Modules subscribe to these instead of being reinitialized by the router
+    function emitNavigationEvents(previousPath, previousPageType, path, pageType) {
+        if (!window.BP || !window.BP.emit) return;
 
-    // Module re-initialization functions
-    function reinitializeCustomFields() {
-        if (DEBUG) console.log('🔄 Reinitializing custom fields...');
-        
-        // Enhanced check for core functions availability
-        const waitForCoreFunctions = (attempt = 1, maxAttempts = 6) => {
-            const coreReady = window.getTrackId && window.getTrackName && window.isEditPage;
-            const trackId = window.getTrackId ? window.getTrackId() : null;
-            
-            if (DEBUG) {
-                if (DEBUG) console.log(`Core functions check attempt ${attempt}/${maxAttempts}:`);
-                if (DEBUG) console.log('  getTrackId:', !!window.getTrackId);
-                if (DEBUG) console.log('  getTrackName:', !!window.getTrackName);
-                if (DEBUG) console.log('  isEditPage:', !!window.isEditPage);
-                if (DEBUG) console.log('  trackId available:', trackId);
-                if (DEBUG) console.log('  current URL:', window.location.pathname);
-            }
-            
-            if (coreReady && (isUploadPage() || (isEditPage() && trackId))) {
-                // Core functions are ready and we have valid context, proceed with injection
-                if (window.injectCustomFields) {
-                    setTimeout(() => {
-                        try {
-                            const fieldsInjected = window.getFieldsInjected && window.getFieldsInjected();
-                            if (!fieldsInjected) {
-                                if (DEBUG) console.log('🚀 Injecting custom fields...');
-                                window.injectCustomFields();
-                                if (DEBUG) console.log('✅ Custom fields reinitialized successfully');
-                            } else {
-                                if (DEBUG) console.log('ℹ️ Custom fields already injected, skipping');
-                            }
-                        } catch (error) {
-                            console.error('❌ Error reinitializing custom fields:', error);
-                            // Retry on error if attempts remaining
-                            if (attempt < maxAttempts) {
-                                setTimeout(() => waitForCoreFunctions(attempt + 1, maxAttempts), 600);
-                            }
-                        }
-                    }, 400);
-                } else {
-                    if (DEBUG) console.warn('⚠️ injectCustomFields function not available');
-                }
-            } else if (attempt < maxAttempts) {
-                // Prerequisites not ready, retry
-                const reason = !coreReady ? 'core functions not ready' : 
-                              isEditPage() && !trackId ? 'track ID not available' : 
-                              'page context invalid';
-                if (DEBUG) console.warn(`⚠️ ${reason}, retrying in 600ms... (attempt ${attempt + 1}/${maxAttempts})`);
-                setTimeout(() => waitForCoreFunctions(attempt + 1, maxAttempts), 600);
-            } else {
-                console.error('❌ Custom fields reinitialization failed after maximum attempts');
-            }
-        };
-        
-        // Start the core functions check
-        waitForCoreFunctions();
-    }
-
-    function reinitializeBeatPassID() {
-        if (DEBUG) console.log('🔄 Reinitializing BeatPass ID...');
-        
-        // Enhanced fingerprint dashboard injection with retry logic
-        if (window.debouncedInjectFingerprintDashboard && (isUploadPage() || isEditPage())) {
-            const ensureFingerprintDashboard = (attempt = 1, maxAttempts = 4) => {
-                const coreReady = window.getTrackId && window.getTrackName && window.isEditPage;
-                const trackId = window.getTrackId ? window.getTrackId() : null;
-                const dashboardExists = document.querySelector('#fingerprint-dashboard');
-                const formContainer = document.querySelector('form') || document.querySelector('.form-container');
-                
-                if (DEBUG) {
-                    if (DEBUG) console.log(`BeatPass ID injection attempt ${attempt}/${maxAttempts}:`);
-                    if (DEBUG) console.log('   Core ready:', !!coreReady);
-                    if (DEBUG) console.log('   Track ID available:', trackId);
-                    if (DEBUG) console.log('   Dashboard exists:', !!dashboardExists);
-                    if (DEBUG) console.log('   Form container found:', !!formContainer);
-                    if (DEBUG) console.log('   Current URL:', window.location.pathname);
-                }
-                
-                if (coreReady && trackId && formContainer && !dashboardExists) {
-                    try {
-                        window.debouncedInjectFingerprintDashboard();
-                        if (DEBUG) console.log('✅ BeatPass ID reinitialized');
-                    } catch (error) {
-                        console.error('❌ Error reinitializing BeatPass ID:', error);
-                        if (attempt < maxAttempts) {
-                            setTimeout(() => ensureFingerprintDashboard(attempt + 1, maxAttempts), 700);
-                        }
-                    }
-                } else if (dashboardExists) {
-                    if (DEBUG) console.log('ℹ️ Fingerprint dashboard already exists, refreshing status...');
-                    // Force refresh the dashboard content to ensure correct status
-                    if (window.updateDashboardContent) {
-                        try {
-                            window.updateDashboardContent();
-                            if (DEBUG) console.log('✅ Dashboard status refreshed');
-                        } catch (error) {
-                            console.error('❌ Error refreshing dashboard status:', error);
-                        }
-                    }
-                } else if (attempt < maxAttempts) {
-                    const reason = !coreReady ? 'core functions not ready' : 
-                                  !trackId ? 'track ID not available' : 
-                                  !formContainer ? 'form container not found' : 'unknown';
-                    if (DEBUG) console.warn(`⚠️ BeatPass ID prerequisites not ready (${reason}), retrying in 700ms... (attempt ${attempt + 1}/${maxAttempts})`);
-                    setTimeout(() => ensureFingerprintDashboard(attempt + 1, maxAttempts), 700);
-                } else {
-                    console.error('❌ BeatPass ID injection failed after maximum attempts');
-                }
-            };
-            
-            setTimeout(() => ensureFingerprintDashboard(), 600); // Initial delay for DOM settling
+        const trackId = (pageType === 'track' || pageType === 'edit') ? getCurrentTrackId() : null;
+        if (trackId !== currentTrackId) {
+            const previousTrackId = currentTrackId;
+            currentTrackId = trackId;
+            window.BP.emit('track:changed', { trackId, previousTrackId, pageType });
         }
-    }
 
-    function reinitializeSampleSafeBanner() {
-        if (DEBUG) console.log('🔄 Reinitializing Sample-Safe banner...');
-        
-        // Sample-Safe banner is part of custom fields injection
-        // It will be reinitialized with custom fields
-    }
-
-    function reinitializeMetadataFetching() {
-        if (DEBUG) console.log('🔄 Reinitializing metadata fetching...');
-        
-        if (isTrackPage()) {
-            // Enhanced track page metadata fetching with retry logic
-            if (window.initTrackPage) {
-                const ensureMetadataInjection = (attempt = 1, maxAttempts = 4) => {
-                    const trackPageReady = window.isTrackPage && window.isTrackPage();
-                    const trackId = window.getCurrentTrackId ? window.getCurrentTrackId() : null;
-                    const infoContainer = document.querySelector('.text-muted.mt-18.md\\:mt-26.text-sm.w-max.mx-auto.md\\:mx-0 .flex.items-center.gap-4.text-sm.text-muted') ||
-                                         document.querySelector('.flex.items-center.gap-4.text-sm.text-muted') ||
-                                         document.querySelector('.text-sm.text-muted .flex.items-center.gap-4');
-                    
-                    if (DEBUG) {
-                        if (DEBUG) console.log(`Track metadata injection attempt ${attempt}/${maxAttempts}:`);
-                        if (DEBUG) console.log('   Track page ready:', !!trackPageReady);
-                        if (DEBUG) console.log('   Track ID available:', trackId);
-                        if (DEBUG) console.log('   Info container found:', !!infoContainer);
-                        if (DEBUG) console.log('   Current URL:', window.location.pathname);
-                    }
-                    
-                    if (trackPageReady && trackId && infoContainer) {
-                        try {
-                            window.initTrackPage();
-                            if (DEBUG) console.log('✅ Track page metadata fetching reinitialized');
-                        } catch (error) {
-                            console.error('❌ Error reinitializing track page:', error);
-                            if (attempt < maxAttempts) {
-                                setTimeout(() => ensureMetadataInjection(attempt + 1, maxAttempts), 300);
-                            }
-                        }
-                    } else if (attempt < maxAttempts) {
-                        if (DEBUG) console.warn(`⚠️ Track page prerequisites not ready, retrying in 300ms... (attempt ${attempt + 1}/${maxAttempts})`);
-                        setTimeout(() => ensureMetadataInjection(attempt + 1, maxAttempts), 300);
-                    } else {
-                        console.error('❌ Track page metadata injection failed after maximum attempts');
-                    }
-                };
-                
-                setTimeout(() => ensureMetadataInjection(), 200); // Initial delay for DOM settling
-            }
-        }
-    }
-
-    function reinitializeOpenWidget() {
-        if (DEBUG) console.log('🔄 Reinitializing OpenWidget...');
-        
-        // Reinitialize OpenWidget integration
-        if (window.initOpenWidget) {
-            setTimeout(() => {
-                try {
-                    window.initOpenWidget();
-                    if (DEBUG) console.log('✅ OpenWidget reinitialized');
-                } catch (error) {
-                    console.error('❌ Error reinitializing OpenWidget:', error);
-                }
-            }, 100);
-        } else {
-            if (DEBUG) console.warn('⚠️ OpenWidget not available for re-initialization');
-        }
-    }
-
-    function reinitializeQueueEnhancement() {
-        if (DEBUG) console.log('🔄 Reinitializing queue enhancement...');
-        
-        // Reinitialize queue enhancement
-        if (window.QueueEnhancement && window.QueueEnhancement.init) {
-            setTimeout(() => {
-                try {
-                    window.QueueEnhancement.init();
-                    if (DEBUG) console.log('✅ Queue enhancement reinitialized');
-                } catch (error) {
-                    console.error('❌ Error reinitializing queue enhancement:', error);
-                }
-            }, 400);
-        }
-    }
-
-    function reinitializeBPNotes() {
-        if (DEBUG) console.log('[SPA Router] Re-initializing BP Notes...');
-        
-        if (typeof window.bpInitAll === 'function') {
-            try {
-                window.bpInitAll();
-                if (DEBUG) console.log('[SPA Router] BP Notes re-initialized successfully');
-            } catch (error) {
-                console.error('[SPA Router] BP Notes re-initialization failed:', error);
-            }
-        } else {
-            if (DEBUG) console.warn('[SPA Router] BP Notes not available for re-initialization');
-        }
+        window.BP.emit('route:changed', { path, pageType, previousPath, previousPageType });
     }
 
-    function reinitializePricingEnhancements() {
-        if (DEBUG) console.log('[SPA Router] Re-initializing Pricing Enhancements...');
-        
-        if (typeof window.BeatPassPricingModule !== 'undefined' && 
-            typeof window.BeatPassPricingModule.initialize === 'function') {
-            try {
-                window.BeatPassPricingModule.initialize();
-                if (DEBUG) console.log('[SPA Router] Pricing Enhancements re-initialized successfully');
-            } catch (error) {
-                console.error('[SPA Router] Pricing Enhancements re-initialization failed:', error);
-            }
-        } else {
-            if (DEBUG) console.warn('[SPA Router] Pricing Enhancements not available for re-initialization');
-        }
-    }
+    // Module lifecycle - feature modules register { name, match, init, destroy, onRouteChange }
+    // with BP.modules and the router applies every settled route to them
+    function applyModuleLifecycle(route) {
+        if (!window.BP || !window.BP.modules) return;
 
-    function reinitializeVerifiedProducers() {
-        if (DEBUG) console.log('[SPA Router] Re-initializing Verified Producers...');
-        
-        if (typeof window.initVerifiedProducers === 'function') {
-            try {
-                window.initVerifiedProducers();
-                if (DEBUG) console.log('[SPA Router] Verified Producers re-initialized successfully');
-            } catch (error) {
-                console.error('[SPA Router] Verified Producers re-initialization failed:', error);
-            }
-        } else {
-            if (DEBUG) console.warn('[SPA Router] Verified Producers not available for re-initialization');
-        }
+        window.BP.modules.applyRoute(route).then((transitions) => {
+            if (DEBUG) console.log(`✅ Module lifecycle applied for ${route.pageType} page:`, transitions);
+        });
     }
 
-    function reinitializeUIHelpers() {
-        if (DEBUG) console.log('[SPA Router] Re-initializing UI Helpers...');
-        
-        if (typeof window.initUIHelpers === 'function') {
-            try {
-                window.initUIHelpers();
-                if (DEBUG) console.log('[SPA Router] UI Helpers re-initialized successfully');
-            } catch (error) {
-                console.error('[SPA Router] UI Helpers re-initialization failed:', error);
+    // OpenWidget and the cover art updater are loaded outside the build manifest and only
+    // expose an init function, so the router registers them on their behalf
+    function registerIntegration(name, initFunction, match, delay) {
+        const run = async (ctx) => {
+            const available = await ctx.waitFor(() => typeof window[initFunction] === 'function', { attempts: 1, delay });
+            if (available) {
+                await window[initFunction]();
+            } else if (DEBUG) {
+                console.warn(`⚠️ ${initFunction} not available for ${name}`);
             }
-        } else {
-            if (DEBUG) console.warn('[SPA Router] UI Helpers not available for re-initialization');
-        }
-    }
-
-    function reinitializeCoverArtUpdater() {
-        if (DEBUG) console.log('🔄 Reinitializing cover art updater...');
-        
-        // Reinitialize cover art updater
-        if (window.initCoverArtUpdater) {
-            setTimeout(() => {
-                try {
-                    window.initCoverArtUpdater();
-                    if (DEBUG) console.log('✅ Cover art updater reinitialized');
-                } catch (error) {
-                    console.error('❌ Error reinitializing cover art updater:', error);
-                }
-            }, 200);
-        }
-    }
+        };
 
-    // Page-specific module detection
-    function isPricingPage() {
-        return window.location.pathname.includes('/pricing') || 
-               window.location.href.includes('/pricing');
+        window.BP.modules.register({ name, match, init: run, onRouteChange: run });
     }
 
-    function shouldLoadPricingEnhancements() {
-        return isPricingPage();
-    }
+    function registerIntegrations() {
+        if (!window.BP || !window.BP.modules) return;
 
-    function shouldLoadCoverArtUpdater() {
-        return isUploadPage() || isEditPage();
+        registerIntegration('openwidget', 'initOpenWidget', () => true, 100);
+        registerIntegration('coverart', 'initCoverArtUpdater',
+            route => route.pageType === 'upload' || route.pageType === 'edit', 500);
     }
 
-    // Main navigation handler with targeted module loading
+    // Main navigation handler - applies the settled route to the module lifecycle
     function handleNavigation(forceInit = false) {
         if (isProcessing && !forceInit) {
             if (DEBUG) console.log('🔄 Navigation already processing, skipping...');
@@ -364,35 +97,6 @@
         const newPath = window.location.pathname;
         if (newPath === currentPath && !forceInit) {
             if (DEBUG) console.log('🔄 Same path, skipping navigation handling');
-            // Even if same path, ensure custom fields are injected for edit pages
-            if (isEditPage() && window.injectCustomFields) {
-                const ensureSamePath = (attempt = 1, maxAttempts = 3) => {
-                    const coreReady = window.getTrackId && window.getTrackName && window.isEditPage;
-                    const fieldsInjected = window.getFieldsInjected && window.getFieldsInjected();
-                    const trackId = window.getTrackId ? window.getTrackId() : null;
-                    
-                    if (DEBUG) {
-                        if (DEBUG) console.log(`Same path check attempt ${attempt}/${maxAttempts}:`);
-                        if (DEBUG) console.log('  Core ready:', !!coreReady);
-                        if (DEBUG) console.log('   Fields injected:', !!fieldsInjected);
-                        if (DEBUG) console.log('  Track ID:', trackId);
-                    }
-                    
-                    if (!fieldsInjected && coreReady && trackId) {
-                        if (DEBUG) console.log('🔧 Custom fields not injected on edit page, forcing injection...');
-                        try {
-                            window.injectCustomFields();
-                            if (DEBUG) console.log('✅ Same-path injection completed');
-                        } catch (error) {
-                            console.error('❌ Same-path injection failed:', error);
-                        }
-                    } else if ((!coreReady || !trackId) && attempt < maxAttempts) {
-                        setTimeout(() => ensureSamePath(attempt + 1, maxAttempts), 400);
-                    }
-                };
-                
-                setTimeout(() => ensureSamePath(), 300);
-            }
             return;
         }
 
@@ -404,66 +108,33 @@
             if (DEBUG) console.log(`   From: ${currentPath || 'initial'}`);
             if (DEBUG) console.log(`   To: ${newPath}`);
             if (DEBUG) console.log(`   Page type: ${pageType}`);
-            if (DEBUG) console.log(`   Should load pricing: ${shouldLoadPricingEnhancements()}`);
-            if (DEBUG) console.log(`   Should load cover art: ${shouldLoadCoverArtUpdater()}`);
         }
 
+        const previousPath = currentPath;
+        const previousPageType = currentPageType;
         currentPath = newPath;
+        currentPageType = pageType;
+
+        // Abort the previous page's requests right away instead of after the DOM settles
+        if (window.BP && window.BP.modules) window.BP.modules.renewSignal(newPath);
 
-        // Wait for DOM to settle before reinitializing
+        // Wait for DOM to settle before applying the route
         setTimeout(() => {
             try {
-                // Reinitialize modules based on page type with targeted loading
-                switch (pageType) {
-                    case 'upload':
-                    case 'edit':
-                        // For edit/upload pages, wait longer for DOM to be ready
-                        setTimeout(() => {
-                            reinitializeCustomFields();
-                            reinitializeBeatPassID();
-                            reinitializeSampleSafeBanner();
-                            // Only load cover art updater on edit/upload pages
-                            if (shouldLoadCoverArtUpdater()) {
-                                reinitializeCoverArtUpdater();
-                            }
-                        }, 300);
-                        break;
-                        
-                    case 'track':
-                        reinitializeMetadataFetching();
-                        reinitializeBPNotes();
-                        break;
-                        
-                    case 'confirmation':
-                        // Handle confirmation page specific logic
-                        if (window.processPendingCustomDataOnConfirmation) {
-                            window.processPendingCustomDataOnConfirmation();
-                        }
-                        break;
-                        
-                    case 'artist':
-                        reinitializeBPNotes();
-                        break;
-                        
-                    default:
-                        // Reinitialize common modules for all pages
-                        reinitializeOpenWidget();
-                        reinitializeQueueEnhancement();
-                        break;
+                if (newPath !== previousPath) {
+                    emitNavigationEvents(previousPath, previousPageType, newPath, pageType);
                 }
 
-                // Always reinitialize these common modules
-                reinitializeOpenWidget();
-                reinitializeQueueEnhancement();
-                reinitializeVerifiedProducers();
-                // Skip reinitializeUIHelpers() - UI-helpers handles its own navigation detection
-                
-                // Only load pricing enhancements on pricing pages
-                if (shouldLoadPricingEnhancements()) {
-                    reinitializePricingEnhancements();
-                }
-                
-                if (DEBUG) console.log(`✅ Navigation handling complete for ${pageType} page`);
+                const route = window.BP.route;
+                applyModuleLifecycle({
+                    path: newPath,
+                    pageType,
+                    params: route.params,
+                    query: route.query,
+                    previousPath,
+                    previousPageType,
+                    trackId: currentTrackId
+                });
                 
             } catch (error) {
                 console.error('❌ Error during navigation handling:', error);
@@ -509,10 +180,14 @@
 
         // Set initial path
         currentPath = window.location.pathname;
+        currentPageType = getPageType();
+        currentTrackId = getCurrentTrackId();
 
         // Patch history API
         patchHistoryAPI();
 
+        registerIntegrations();
+
         // Listen for popstate events (back/forward navigation)
         window.addEventListener('popstate', () => {
             if (DEBUG) console.log('🔄 popstate event detected');
@@ -525,17 +200,12 @@
             debouncedHandleNavigation();
         });
 
-        // Listen for BeatPass system ready event
+        // Listen for BeatPass system ready event - apply the initial route once every
+        // module had the chance to register. Lazy-loaded modules are initialized by
+        // BP.modules.register() itself when they match the current route.
         window.addEventListener('beatpass:system-ready', () => {
-            if (DEBUG) console.log('🔄 BeatPass system ready, performing initial navigation handling');
-            // Force initialization for direct page loads
-            const isDirectLoad = !currentPath || currentPath === window.location.pathname;
-            if (isDirectLoad && (isEditPage() || isUploadPage())) {
-                if (DEBUG) console.log('🚀 Direct page load detected, forcing initialization...');
-                setTimeout(() => handleNavigation(true), 500);
-            } else {
-                setTimeout(debouncedHandleNavigation, 500);
-            }
+            if (DEBUG) console.log('🔄 BeatPass system ready, applying initial route');
+            setTimeout(() => handleNavigation(true), 500);
         });
 
         isInitialized = true;
@@ -546,6 +216,8 @@
     function cleanup() {
         isInitialized = false;
         currentPath = null;
+        currentPageType = null;
+        currentTrackId = null;
         isProcessing = false;
         if (DEBUG) console.log(`🧹 ${MODULE_NAME} cleaned up`);
     }
@@ -561,121 +233,22 @@
         isInitialized: () => isInitialized,
         getCurrentPath: () => currentPath,
         getPageType,
-        
-        // Page type checkers
-        isUploadPage,
-        isEditPage,
-        isTrackPage,
-        isConfirmationPage,
-        
-        // Manual reinitializers
-        reinitializeCustomFields,
-        reinitializeBeatPassID,
-        reinitializeSampleSafeBanner,
-        reinitializeMetadataFetching,
-        reinitializeOpenWidget,
-        reinitializeQueueEnhancement,
-        reinitializeBPNotes,
-        reinitializePricingEnhancements,
-        reinitializeCoverArtUpdater
+
+        // Module lifecycle
+        getRoute: () => (window.BP && window.BP.modules ? window.BP.modules.getRoute() : null)
     };
 
     // Global exposure
     window.BeatPassSPARouter = BeatPassSPARouter;
     
-    // Expose page type checkers globally for compatibility
-    window.isUploadPage = isUploadPage;
-    window.isEditPage = isEditPage;
-    window.isTrackPage = isTrackPage;
-    window.isConfirmationPage = isConfirmationPage;
+    // Page type checkers (isUploadPage, isEditPage, ...) are exposed by beatpass-core.js
     window.getPageType = getPageType;
 
-    // Enhanced fallback initialization for direct page loads
-    function ensureCustomFieldsOnEditPage() {
-        if (isEditPage() && window.injectCustomFields) {
-            const ensureInjection = (attempt = 1, maxAttempts = 6) => {
-                const coreReady = window.getTrackId && window.getTrackName && window.isEditPage;
-                const fieldsInjected = window.getFieldsInjected && window.getFieldsInjected();
-                const trackId = window.getTrackId ? window.getTrackId() : null;
-                const dashboardExists = document.querySelector('#fingerprint-dashboard');
-                
-                if (DEBUG) {
-                    if (DEBUG) console.log(`🔧 Fallback check attempt ${attempt}/${maxAttempts}:`);
-                    if (DEBUG) console.log('   Core functions ready:', !!coreReady);
-                    if (DEBUG) console.log('   Fields injected:', !!fieldsInjected);
-        if (DEBUG) console.log('   Track ID available:', trackId);
-        if (DEBUG) console.log('   Dashboard exists:', !!dashboardExists);
-        if (DEBUG) console.log('   Current URL:', window.location.pathname);
-                }
-                
-                if (!fieldsInjected && coreReady && trackId) {
-                    if (DEBUG) console.log('🔧 Fallback: Injecting custom fields on edit page...');
-                    try {
-                        window.injectCustomFields();
-                        if (DEBUG) console.log('✅ Fallback custom fields injection completed');
-                        
-                        // After successful custom fields injection, ensure BeatPass ID dashboard
-                        setTimeout(() => {
-                            if (!document.querySelector('#fingerprint-dashboard') && window.debouncedInjectFingerprintDashboard) {
-                                if (DEBUG) console.log('🔧 Fallback: Injecting BeatPass ID dashboard...');
-                                try {
-                                    window.debouncedInjectFingerprintDashboard();
-                                    if (DEBUG) console.log('✅ Fallback dashboard injection completed');
-                                } catch (error) {
-                                    console.error('❌ Fallback dashboard injection failed:', error);
-                                }
-                            }
-                        }, 500);
-                        
-                    } catch (error) {
-                        console.error('❌ Fallback injection failed:', error);
-                        if (attempt < maxAttempts) {
-                            setTimeout(() => ensureInjection(attempt + 1, maxAttempts), 700);
-                        }
-                    }
-                } else if (fieldsInjected && !dashboardExists && coreReady && trackId) {
-                    // Fields are injected but dashboard is missing
-                    if (DEBUG) console.log('🔧 Fallback: Custom fields exist but dashboard missing, injecting dashboard...');
-                    if (window.debouncedInjectFingerprintDashboard) {
-                        try {
-                            window.debouncedInjectFingerprintDashboard();
-                            if (DEBUG) console.log('✅ Fallback dashboard-only injection completed');
-                        } catch (error) {
-                            console.error('❌ Fallback dashboard-only injection failed:', error);
-                        }
-                    }
-                } else if ((!coreReady || !trackId) && attempt < maxAttempts) {
-                    if (DEBUG) console.warn(`⚠️ Prerequisites not ready, retrying in 700ms... (attempt ${attempt + 1}/${maxAttempts})`);
-                    setTimeout(() => ensureInjection(attempt + 1, maxAttempts), 700);
-                } else if (fieldsInjected && dashboardExists) {
-                    if (DEBUG) console.log('✅ Custom fields and dashboard already injected, refreshing dashboard status...');
-                    // Ensure dashboard shows correct status
-                    if (window.updateDashboardContent) {
-                        try {
-                            window.updateDashboardContent();
-                            if (DEBUG) console.log('✅ Dashboard status refreshed');
-                        } catch (error) {
-                            console.error('❌ Dashboard status refresh failed:', error);
-                        }
-                    }
-                } else if (attempt >= maxAttempts) {
-                    console.error('❌ Fallback injection failed after maximum attempts');
-                }
-            };
-            
-            setTimeout(() => ensureInjection(), 800); // Slightly longer delay for better reliability
-        }
-    }
-
     // Auto-initialize
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            init();
-            ensureCustomFieldsOnEditPage();
-        });
+        document.addEventListener('DOMContentLoaded', init);
     } else {
         init();
-        ensureCustomFieldsOnEditPage();
     }
 
     if (DEBUG) console.log('🧭 BeatPass SPA Router module loaded successfully');
@@ -8,16 +8,18 @@
     
     if (DEBUG) console.log('🎨 Custom Field Creator module loaded');
     
+    // Pending data, auto-save and the dashboard subscribe to metadata:changed
+    function notifyMetadataChanged(field) {
+        if (window.BP && window.BP.emit) {
+            window.BP.emit('metadata:changed', { field });
+        }
+    }
+    
     // ---------------------------
     // Custom Field Creation Functions
     // ---------------------------
     
     function createDropdownField(labelText, id, placeholder, options, defaultValue = '', valueMap = {}) {
-        // Correct garbled characters in options if they are the default music keys
-        if (JSON.stringify(options) === JSON.stringify(['C', 'C# / D♭', 'D', 'D# / E♭', 'E', 'F', 'F# / G♭', 'G', 'G# / A♭', 'A', 'A# / B♭', 'B'])) {
-            options = ['C', 'C# / D♭', 'D', 'D# / E♭', 'E', 'F', 'F# / G♭', 'G', 'G# / A♭', 'A', 'A# / B♭', 'B'];
-        }
-
         const wrapper = document.createElement('div');
         wrapper.className = 'mb-24 text-sm';
         const label = document.createElement('label');
@@ -56,11 +58,7 @@
                     dropdown.classList.add('hidden');
                     input.dispatchEvent(new Event('change',{bubbles:true}));
                     if (window.enableSubmitButton) window.enableSubmitButton();
-                    if (window.updatePendingCustomData) window.updatePendingCustomData();
-                    if (window.debouncedAutoSave) window.debouncedAutoSave();
-                    if (window.isEditPage && window.isEditPage() && window.debouncedUpdateDashboardContent) {
-                        setTimeout(()=>window.debouncedUpdateDashboardContent(),100);
-                    }
+                    notifyMetadataChanged(id);
                 });
                 listbox.appendChild(item);
             });
@@ -97,7 +95,7 @@
         return wrapper;
     }
 
-    function createBPMField(defaultValue = '') {
+    function createBPMField(defaultValue = '', defaultFeel = '') {
         // Use native form field structure
         const wrapper = document.createElement('div');
         wrapper.className = 'mb-24 text-sm';
@@ -137,19 +135,277 @@
             }
             e.target.dispatchEvent(new Event('change', { bubbles: true }));
             if (window.enableSubmitButton) window.enableSubmitButton();
-            if (window.updatePendingCustomData) window.updatePendingCustomData();
-            if (window.debouncedAutoSave) window.debouncedAutoSave();
-            if (window.isEditPage && window.isEditPage() && window.debouncedUpdateDashboardContent) {
-                setTimeout(() => window.debouncedUpdateDashboardContent(), 100);
-            }
+            notifyMetadataChanged(e.target.id);
         });
         
         isolateContainer.appendChild(input);
         wrapper.appendChild(isolateContainer);
+        wrapper.appendChild(createBPMTools(input));
+        wrapper.appendChild(createBPMFeel(input, defaultFeel));
         
         return wrapper;
     }
     
+    // ---------------------------
+    // BPM Tools: tap tempo, half/double and click track
+    // ---------------------------
+    
+    const TAP_RESET_MS = 2000;   // A longer pause starts a new measurement
+    const TAP_HISTORY = 16;      // Taps kept for the average
+    const TAP_TOLERANCE = 0.2;   // Intervals further than this from the median are dropped
+    const CLICK_LOOKAHEAD = 0.1; // Seconds of clicks scheduled ahead of the audio clock
+    const CLICK_INTERVAL = 25;   // ms between scheduler runs
+    
+    // BPM from tap timestamps (ms), or null until two intervals agree. Intervals off the
+    // median by more than TAP_TOLERANCE (a double tap, a missed beat) are ignored.
+    function tapTempo(times) {
+        const intervals = times.slice(1).map((time, i) => time - times[i]);
+        if (intervals.length < 2) return null;
+        
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const kept = intervals.filter(interval => Math.abs(interval - median) <= median * TAP_TOLERANCE);
+        if (kept.length < 2) return null;
+        
+        return 60000 / (kept.reduce((sum, interval) => sum + interval, 0) / kept.length);
+    }
+    
+    function readBPM(input) {
+        const bpm = parseFloat(input.value);
+        return bpm >= Number(input.min) && bpm <= Number(input.max) ? bpm : null;
+    }
+    
+    // Goes through the field's own input handler, which validates and announces the change
+    function writeBPM(input, bpm) {
+        input.value = String(Math.round(bpm));
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    // Clicks at the field's tempo, over the middle of the uploaded file when one was decoded on
+    // the upload page (BP.audioAnalysis) and on their own otherwise. Tempo edits apply from the next beat.
+    function createMetronome(input, onStop) {
+        let context = null;
+        let source = null;
+        let timer = null;
+        let nextBeat = 0;
+        let beat = 0;
+        
+        function click(time, accent) {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = accent ? 1500 : 1000;
+            gain.gain.setValueAtTime(0.6, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(time);
+            oscillator.stop(time + 0.04);
+        }
+        
+        function schedule() {
+            // The form was torn down (navigation, re-injection)
+            if (!input.isConnected) return stop();
+            
+            const bpm = readBPM(input);
+            if (!bpm) {
+                nextBeat = Math.max(nextBeat, context.currentTime);
+                return;
+            }
+            while (nextBeat < context.currentTime + CLICK_LOOKAHEAD) {
+                click(nextBeat, beat % 4 === 0);
+                nextBeat += 60 / bpm;
+                beat++;
+            }
+        }
+        
+        function start() {
+            const AudioCtx = window.AudioContext || window.webkitAudioContext;
+            if (!AudioCtx || timer) return false;
+            
+            context = new AudioCtx();
+            const startAt = context.currentTime + 0.1;
+            nextBeat = startAt;
+            beat = 0;
+            
+            const preview = window.BP.audioAnalysis ? window.BP.audioAnalysis.current() : null;
+            if (preview) {
+                const bpm = readBPM(input);
+                source = context.createBufferSource();
+                source.buffer = preview.buffer;
+                source.connect(context.destination);
+                source.onended = () => { if (source) stop(); };
+                source.start(startAt, window.BP.audioAnalysis.previewStart(preview.buffer));
+                // First click on the first beat of the preview
+                if (bpm) nextBeat = startAt + window.BP.audioAnalysis.beatPhase(preview.buffer, bpm);
+            }
+            
+            timer = setInterval(schedule, CLICK_INTERVAL);
+            schedule();
+            return true;
+        }
+        
+        function stop() {
+            if (!timer) return;
+            clearInterval(timer);
+            timer = null;
+            const playing = source;
+            source = null;
+            if (playing) {
+                try { playing.stop(); } catch (error) { /* already ended */ }
+            }
+            context.close();
+            context = null;
+            onStop();
+        }
+        
+        return { start, stop, isPlaying: () => !!timer, hasPreview: () => !!(window.BP.audioAnalysis && window.BP.audioAnalysis.current()) };
+    }
+    
+    function createToolButton(text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'px-8 py-2 rounded-input border border-divider text-xs text-muted hover:bg-hover transition-colors';
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        return button;
+    }
+    
+    function createBPMTools(input) {
+        const tools = document.createElement('div');
+        tools.className = 'flex items-center gap-4 mt-6 bpm-tools';
+        
+        // Tap pad: mouse, touch or Space / Enter / T while focused
+        const tapButton = createToolButton('Tap', 'Tap along to set the BPM');
+        let taps = [];
+        const registerTap = () => {
+            const now = performance.now();
+            if (taps.length && now - taps[taps.length - 1] > TAP_RESET_MS) taps = [];
+            taps = [...taps, now].slice(-TAP_HISTORY);
+            
+            const bpm = tapTempo(taps);
+            tapButton.textContent = bpm ? `Tap · ${Math.round(bpm)}` : `Tap · ${taps.length}`;
+            if (bpm && bpm >= Number(input.min) && bpm <= Number(input.max)) writeBPM(input, bpm);
+        };
+        tapButton.addEventListener('pointerdown', event => {
+            event.preventDefault(); // Keep focus where it is and avoid a trailing click
+            registerTap();
+        });
+        tapButton.addEventListener('keydown', event => {
+            if (event.repeat || ![' ', 'Enter', 't', 'T'].includes(event.key)) return;
+            event.preventDefault();
+            registerTap();
+        });
+        
+        // Half / double time
+        const scaleBPM = factor => {
+            const bpm = readBPM(input);
+            const next = bpm && Math.round(bpm * factor);
+            if (next && next >= Number(input.min) && next <= Number(input.max)) writeBPM(input, next);
+        };
+        const halfButton = createToolButton('½', 'Half time');
+        const doubleButton = createToolButton('×2', 'Double time');
+        halfButton.addEventListener('click', () => scaleBPM(0.5));
+        doubleButton.addEventListener('click', () => scaleBPM(2));
+        
+        // Click track
+        const clickButton = createToolButton('▶ Click', 'Play a click at this BPM');
+        const metronome = createMetronome(input, () => {
+            clickButton.textContent = '▶ Click';
+            clickButton.setAttribute('aria-pressed', 'false');
+        });
+        clickButton.addEventListener('mouseenter', () => {
+            clickButton.title = metronome.hasPreview()
+                ? 'Play a click at this BPM over your uploaded audio'
+                : 'Play a click at this BPM';
+        });
+        clickButton.addEventListener('click', () => {
+            if (metronome.isPlaying()) {
+                metronome.stop();
+            } else if (metronome.start()) {
+                clickButton.textContent = '■ Stop';
+                clickButton.setAttribute('aria-pressed', 'true');
+            }
+        });
+        clickButton.setAttribute('aria-pressed', 'false');
+        
+        [tapButton, halfButton, doubleButton, clickButton].forEach(button => tools.appendChild(button));
+        return tools;
+    }
+    
+    // ---------------------------
+    // BPM Feel and Genre Hint
+    // ---------------------------
+    
+    // Feel select (#bpm_feel) plus a hint when the BPM is off the usual tempo of the genres
+    // picked on the form; when the tempo is a half/double reading, the hint offers that feel
+    function createBPMFeel(input, defaultFeel) {
+        const container = document.createElement('div');
+        container.className = 'mt-6 bpm-feel';
+        
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-6 text-xs text-muted';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', 'bpm_feel');
+        label.textContent = 'Feel';
+        
+        const select = document.createElement('select');
+        select.id = 'bpm_feel';
+        select.className = 'bg-transparent rounded-input border border-divider text-xs text-muted px-6 py-2';
+        window.BP.tempo.FEEL_OPTIONS.forEach(({ value, label: text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.style.background = 'rgb(25,25,25)';
+            select.appendChild(option);
+        });
+        select.value = window.BP.tempo.normalizeFeel(defaultFeel);
+        
+        const hint = document.createElement('div');
+        hint.className = 'hidden items-center gap-6 mt-4 text-xs text-warning bpm-genre-hint';
+        hint.setAttribute('role', 'status');
+        const hintText = document.createElement('span');
+        const applyButton = createToolButton('', '');
+        hint.appendChild(hintText);
+        hint.appendChild(applyButton);
+        
+        const refreshHint = () => {
+            const result = window.BP.tempo.genreHint(input.value, select.value, window.BP.tempo.selectedGenres());
+            hint.classList.toggle('hidden', !result);
+            hint.classList.toggle('flex', !!result);
+            if (!result) return;
+            
+            hintText.textContent = result.message;
+            applyButton.style.display = result.suggestedFeel ? '' : 'none';
+            applyButton.dataset.feel = result.suggestedFeel || '';
+            applyButton.textContent = result.suggestedFeel ? `Set ${window.BP.tempo.feelName(result.suggestedFeel)}` : '';
+            applyButton.title = applyButton.textContent;
+            applyButton.setAttribute('aria-label', applyButton.textContent);
+        };
+        
+        select.addEventListener('change', () => {
+            refreshHint();
+            if (window.enableSubmitButton) window.enableSubmitButton();
+            notifyMetadataChanged('bpm_feel');
+        });
+        applyButton.addEventListener('click', () => {
+            if (!applyButton.dataset.feel) return;
+            select.value = applyButton.dataset.feel;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        input.addEventListener('input', refreshHint);
+        // Genres are picked elsewhere on the form; re-check whenever the BPM area is used
+        container.addEventListener('focusin', refreshHint);
+        input.addEventListener('focus', refreshHint);
+        setTimeout(refreshHint, 0);
+        
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+        container.appendChild(hint);
+        return container;
+    }
+    
     function createPriceField(labelText, id, placeholder, defaultValue = '') {
         const wrapper = document.createElement('div');
         wrapper.className = 'mb-24 text-sm';
@@ -175,11 +431,7 @@
         input.addEventListener('input', () => {
             input.dispatchEvent(new Event('change', { bubbles: true }));
             if (window.enableSubmitButton) window.enableSubmitButton();
-            if (window.updatePendingCustomData) window.updatePendingCustomData();
-            if (window.debouncedAutoSave) window.debouncedAutoSave();
-            if (window.isEditPage && window.isEditPage() && window.debouncedUpdateDashboardContent) {
-                setTimeout(() => window.debouncedUpdateDashboardContent(), 100);
-            }
+            notifyMetadataChanged(id);
         });
 
         isolateContainer.appendChild(input);
@@ -235,10 +487,12 @@
         const keyName = document.getElementById('key_name')?.value.trim() || '';
         const scale = document.getElementById('scale')?.value.trim() || '';
         const bpm = document.getElementById('bpm')?.value.trim() || '';
+        const bpmFeel = document.getElementById('bpm_feel')?.value || '';
         const trackName = window.getTrackName ? window.getTrackName() : '';
         const duration = window.getDuration ? window.getDuration() : null;
         const producers = window.getProducers ? window.getProducers() : '';
         const tags = window.getTags ? window.getTags() : '';
+        const credits = window.getCredits ? window.getCredits() : undefined;
         
         // Get exclusive licensing data
         const { licensing_type, exclusive_price, exclusive_currency, exclusive_status, exclusive_buyer_info } = 
@@ -254,10 +508,12 @@
             keyName,
             scale,
             bpm,
+            bpmFeel,
             trackName,
             duration,
             producers,
             tags,
+            credits,
             licensing_type,
             exclusive_price,
             exclusive_currency,
@@ -266,15 +522,17 @@
         });
         
         // Store data even if not all fields are complete (track name is essential)
-        if (keyName || scale || bpm || trackName || producers || tags || licensing_type !== 'non_exclusive_only') {
+        if (keyName || scale || bpm || trackName || producers || tags || credits || licensing_type !== 'non_exclusive_only') {
             const pending = { 
                 key_name: keyName, 
                 scale, 
                 bpm, 
+                bpm_feel: bpmFeel,
                 track_name: trackName || '', 
                 duration_ms: duration,
                 producers,
                 tags,
+                credits,
                 licensing_type,
                 exclusive_price: licensing_type !== 'non_exclusive_only' ? exclusive_price : '',
                 exclusive_currency,
@@ -319,28 +577,18 @@
             return null;
         }
         
-        let params;
-        if (trackId) {
-            params = new URLSearchParams({ track_id: trackId });
-        } else if (trackName) {
-            params = new URLSearchParams({ track_name: trackName });
-        }
-        
         try {
-            const API_URL = window.API_URL || 'https://open.beatpass.ca/key_bpm_handler.php';
-            const res = await fetch(`${API_URL}?${params}`);
-            const data = await res.json();
+            // Aborted when the user leaves the page before the response arrives
+            const record = await window.BP.api.getTrack(
+                { id: trackId, name: trackName },
+                { signal: window.BP.modules.signal() }
+            );
             
-            if (data.status === 'success' && data.data) {
-                window.customRecord = data.data;
-                if (DEBUG) console.log('✅ Successfully fetched existing data:', data.data);
-                return data.data;
-            } else {
-                window.customRecord = null;
-                if (DEBUG) console.log('ℹ️ No existing data found in database');
-                return null;
-            }
+            window.customRecord = record;
+            if (DEBUG) console.log(record ? '✅ Successfully fetched existing data:' : 'ℹ️ No existing data found in database', record);
+            return record;
         } catch (err) {
+            if (window.BP.modules.isAbortError(err)) return null;
             console.error("❌ Error fetching custom data:", err);
             window.customRecord = null;
             return null;
@@ -368,8 +616,11 @@
         // If no existing data provided and we're not skipping fetch, try to fetch from database
         if (!existingData && !skipFetch) {
             if (DEBUG) console.log('📡 No existing data provided, fetching from database...');
+            const signal = window.BP.modules.signal();
             try {
                 existingData = await fetchExistingCustomData();
+                // The user left the page while the data loaded - don't inject onto the next one
+                if (signal.aborted) return;
                 if (existingData) {
                     if (DEBUG) console.log('✅ Successfully fetched existing data:', existingData);
                 } else {
@@ -388,8 +639,10 @@
                 key_name: '', 
                 scale: '', 
                 bpm: '', 
+                bpm_feel: 'normal',
                 producers: '', 
                 tags: '',
+                credits: '',
                 licensing_type: 'non_exclusive_only',
                 exclusive_price: '',
                 exclusive_currency: 'USD',
@@ -415,7 +668,7 @@
                         return;
                     }
 
-                    window.customFieldsNameObserver = new MutationObserver(() => {
+                    window.customFieldsNameObserver = new MutationObserver(window.BP.errors.wrap(() => {
                         observerAttempts++;
                         const nameFieldNow = document.querySelector('input[name="name"]');
                         if (nameFieldNow) {
@@ -432,7 +685,7 @@
                             window.customFieldsNameObserver.disconnect();
                             window.customFieldsNameObserver = null;
                         }
-                    });
+                    }, { module: 'ui-components', kind: 'observer', operation: 'name-field' }));
                     
                     window.customFieldsNameObserver.observe(targetNode, { 
                         childList: true, 
@@ -471,25 +724,35 @@
         
         if (DEBUG) console.log("📋 Creating individual field components...");
         // Create fields using native UI patterns - modified for inline layout
+        // Older rows may hold "Db" / "minor"; the form always shows the canonical spelling
+        const storedKey = window.BP.keys.normalize(existingData.key_name, existingData.scale);
+        
         const keyField = window.createDropdownField ? window.createDropdownField(
             'Key', 'key_name', 'Select Key',
-            ['C', 'C# / D♭', 'D', 'D# / E♭', 'E', 'F', 'F# / G♭', 'G', 'G# / A♭', 'A', 'A# / B♭', 'B'],
-            existingData.key_name
+            window.BP.keys.KEY_OPTIONS,
+            storedKey.key_name
         ) : document.createElement('div');
         
         const scaleField = window.createDropdownField ? window.createDropdownField(
             'Scale', 'scale', 'Select Scale',
-            ['Major', 'Minor'],
-            existingData.scale
+            window.BP.keys.SCALE_OPTIONS,
+            storedKey.scale
         ) : document.createElement('div');
         
-        const bpmField = window.createBPMField ? window.createBPMField(existingData.bpm) : document.createElement('div');
+        bindKeyFields(keyField.querySelector('input'), scaleField.querySelector('input'));
+        
+        const bpmField = window.createBPMField ? window.createBPMField(existingData.bpm, existingData.bpm_feel) : document.createElement('div');
         
         // Remove the bottom margin from individual fields since they're in a row
         keyField.classList.remove('mb-24');
         scaleField.classList.remove('mb-24');
         bpmField.classList.remove('mb-24');
         
+        // Edit-page saves go through the write queue; show where they stand
+        if (window.isEditPage && window.isEditPage() && window.getTrackId()) {
+            container.appendChild(createSyncIndicator(window.getTrackId()));
+        }
+        
         if (DEBUG) console.log("📦 Assembling field layout...");
         metadataRow.appendChild(keyField);
         metadataRow.appendChild(scaleField);
@@ -503,6 +766,10 @@
             container.appendChild(exclusiveLicensingSection);
         }
         
+        if (window.createProducerCreditsSection) {
+            container.appendChild(window.createProducerCreditsSection(existingData));
+        }
+        
         // Add Sample-Safe™ banner for upload pages
         if (window.isUploadPage && window.isUploadPage() && window.createSampleSafeBanner) {
             const sampleSafeBanner = window.createSampleSafeBanner();
@@ -544,6 +811,122 @@
         if (DEBUG) console.log('📌 Fields injection status set to:', status);
     }
     
+    // ---------------------------
+    // Key Fields
+    // ---------------------------
+    
+    // Typed keys are rewritten to the canonical option once the field is left:
+    // "C#m" becomes "C# / D♭" with scale "Minor", "d flat" becomes "C# / D♭"
+    function bindKeyFields(keyInput, scaleInput) {
+        if (!keyInput || !scaleInput) return;
+    
+        const canonicalize = () => {
+            const { key_name, scale } = window.BP.keys.normalize(keyInput.value.trim(), scaleInput.value.trim());
+            if (key_name === keyInput.value && scale === scaleInput.value) return;
+    
+            keyInput.value = key_name;
+            scaleInput.value = scale;
+            if (window.BP && window.BP.emit) window.BP.emit('metadata:changed', { field: 'key_name' });
+        };
+    
+        keyInput.addEventListener('change', canonicalize);
+        scaleInput.addEventListener('change', canonicalize);
+    }
+    
+    // ---------------------------
+    // Sync Indicator
+    // ---------------------------
+
+    // States published by the write queue in beatpass-features.js (sync:status)
+    const SYNC_STATES = {
+        queued: { label: 'Offline - changes will sync', className: 'text-warning' },
+        saving: { label: 'Saving…', className: 'text-muted' },
+        saved: { label: 'All changes saved', className: 'text-positive' },
+        failed: { label: 'Sync failed - click to retry', className: 'text-danger cursor-pointer' },
+        // Refused by the handler; the label is its reason, e.g. "You can only edit your own tracks"
+        denied: { label: 'Not saved', className: 'text-danger' }
+    };
+    const SYNC_INDICATOR_ID = 'bp-sync-indicator';
+    
+    function renderSyncIndicator(state) {
+        const indicator = document.getElementById(SYNC_INDICATOR_ID);
+        if (!indicator) return;
+        
+        const config = state && SYNC_STATES[state.status];
+        indicator.style.visibility = config ? 'visible' : 'hidden';
+        if (!config) return;
+        
+        indicator.className = `flex items-center justify-end gap-6 text-xs mb-12 ${config.className}`;
+        indicator.dataset.status = state.status;
+        indicator.textContent = state.status === 'denied' && state.error ? `Not saved - ${state.error}` : config.label;
+        indicator.title = state.error || '';
+    }
+    
+    function createSyncIndicator(trackId) {
+        const indicator = document.createElement('div');
+        indicator.id = SYNC_INDICATOR_ID;
+        indicator.setAttribute('role', 'status');
+        indicator.setAttribute('aria-live', 'polite');
+        indicator.dataset.trackId = String(trackId);
+        indicator.addEventListener('click', () => {
+            if (indicator.dataset.status === 'failed' && window.BP.writeQueue) {
+                window.BP.writeQueue.retry(trackId);
+            }
+        });
+        
+        // Reflect saves still queued from an earlier visit right away
+        setTimeout(() => renderSyncIndicator(window.BP.writeQueue ? window.BP.writeQueue.status(trackId) : null), 0);
+        return indicator;
+    }
+    
+    if (window.BP && window.BP.on) {
+        window.BP.on('sync:status', (state) => {
+            const indicator = document.getElementById(SYNC_INDICATOR_ID);
+            if (indicator && indicator.dataset.trackId === state.trackId) renderSyncIndicator(state);
+        });
+    }
+    
+    // ---------------------------
+    // Module Lifecycle
+    // ---------------------------
+    
+    // Injects once the core helpers and, on edit pages, the track id are available
+    async function initCustomFields(ctx) {
+        const ready = await ctx.waitFor(() => window.getTrackId && window.getTrackName &&
+            (ctx.pageType === 'upload' || window.getTrackId()), { attempts: 6, interval: 600, delay: 300 });
+        
+        if (ready) {
+            await injectCustomFields();
+        } else if (ctx.isCurrent()) {
+            throw new Error('Custom fields prerequisites not ready after maximum attempts');
+        }
+    }
+    
+    function destroyCustomFields() {
+        if (window.customFieldsNameObserver) {
+            window.customFieldsNameObserver.disconnect();
+            window.customFieldsNameObserver = null;
+        }
+        clearCustomFields();
+        setFieldsInjected(false);
+    }
+    
+    if (window.BP && window.BP.modules) {
+        window.BP.modules.register({
+            name: 'custom-fields',
+            flag: 'ui-components',
+            match: route => route.pageType === 'upload' || route.pageType === 'edit',
+            init: initCustomFields,
+            // Switching between upload and edit, or to another track, needs a fresh form
+            onRouteChange(ctx) {
+                destroyCustomFields();
+                return initCustomFields(ctx);
+            },
+            destroy: destroyCustomFields
+        });
+    }
+    
+    // ---------------------------
     // Global Exposure
     // ---------------------------
     
@@ -569,12 +952,7 @@
     
     // Helper function to check if we're on upload page
     function isUploadPage() {
-        return window.location.pathname === '/upload';
-    }
-    
-    // Helper function to check if we're on edit page
-    function isEditPage() {
-        return window.location.pathname.includes('/edit/');
+        return window.BP.routes.is('upload');
     }
     
     // Helper function to enable submit button (assumes this exists globally)
@@ -584,17 +962,10 @@
         }
     }
     
-    // Helper function to update pending custom data (assumes this exists globally)
-    function updatePendingCustomData() {
-        if (typeof window.updatePendingCustomData === 'function') {
-            window.updatePendingCustomData();
-        }
-    }
-    
-    // Helper function to update dashboard content (assumes this exists globally)
-    function debouncedUpdateDashboardContent() {
-        if (typeof window.debouncedUpdateDashboardContent === 'function') {
-            window.debouncedUpdateDashboardContent();
+    // Pending data, auto-save and the dashboard subscribe to metadata:changed
+    function notifyMetadataChanged(field) {
+        if (window.BP && window.BP.emit) {
+            window.BP.emit('metadata:changed', { field });
         }
     }
     
@@ -628,11 +999,7 @@
         input.addEventListener('input', () => {
             input.dispatchEvent(new Event('change', { bubbles: true }));
             enableSubmitButton();
-            updatePendingCustomData();
-            if (window.debouncedAutoSave) window.debouncedAutoSave();
-            if (isEditPage()) {
-                setTimeout(() => debouncedUpdateDashboardContent(), 100);
-            }
+            notifyMetadataChanged(id);
         });
         
         isolateContainer.appendChild(input);
@@ -687,10 +1054,7 @@
         input.addEventListener('input', () => {
             input.dispatchEvent(new Event('change', { bubbles: true }));
             enableSubmitButton();
-            updatePendingCustomData();
-            if (isEditPage()) {
-                setTimeout(() => debouncedUpdateDashboardContent(), 100);
-            }
+            notifyMetadataChanged(id);
         });
 
         isolateContainer.appendChild(input);
@@ -863,11 +1227,7 @@
                     exclusiveFieldsContainer.style.display = option.value !== 'non_exclusive_only' ? 'block' : 'none';
                 }
                 
-                updatePendingCustomData();
-                if (window.debouncedAutoSave) window.debouncedAutoSave();
-                if (isEditPage()) {
-                    setTimeout(() => debouncedUpdateDashboardContent(), 100);
-                }
+                notifyMetadataChanged('licensing_type');
             });
             
             licensingTypeButtons.appendChild(button);
@@ -977,10 +1337,7 @@
                     soldInfoContainer.style.display = option.value === 'sold' ? 'block' : 'none';
                 }
                 
-                updatePendingCustomData();
-                if (isEditPage()) {
-                    setTimeout(() => debouncedUpdateDashboardContent(), 100);
-                }
+                notifyMetadataChanged('exclusive_status');
             });
             
             statusButtons.appendChild(button);
@@ -1077,10 +1434,7 @@
                 }
                 currencyInput.value = curr.value;
                 
-                updatePendingCustomData();
-                if (isEditPage()) {
-                    setTimeout(() => debouncedUpdateDashboardContent(), 100);
-                }
+                notifyMetadataChanged('exclusive_currency');
             });
             
             currencyButtonGroup.appendChild(button);
@@ -1368,3 +1722,677 @@
     
     if (DEBUG) console.log('✅ Exclusive Licensing module loaded successfully');
 })();
+// Producer Credits Module - IIFE
+// Credits editor on upload and edit pages: who made the beat, in which role and with what ownership split
+
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    const SECTION_ID = 'producer-credits';
+    const INPUT_CLASS = 'block text-left relative w-full appearance-none transition-shadow text bg-transparent rounded-input border-divider border focus:ring focus:ring-primary/focus focus:border-primary/60 focus:outline-none shadow-sm text-sm h-42 pl-12 pr-12';
+    const BUTTON_CLASS = 'px-10 h-32 rounded-input border border-divider text-xs hover:bg-hover transition-colors';
+    
+    // Pending data, auto-save and the dashboard subscribe to metadata:changed
+    function notifyMetadataChanged(field) {
+        if (window.BP && window.BP.emit) {
+            window.BP.emit('metadata:changed', { field });
+        }
+    }
+    
+    // ---------------------------
+    // Credit Rows
+    // ---------------------------
+    
+    function createInput(className, type, placeholder, value, label) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = `${className} ${INPUT_CLASS}`;
+        input.placeholder = placeholder;
+        input.value = value;
+        input.setAttribute('aria-label', label);
+        return input;
+    }
+    
+    function createRoleSelect(role) {
+        const select = document.createElement('select');
+        select.className = `bp-credit-role ${INPUT_CLASS}`;
+        select.setAttribute('aria-label', 'Role');
+        window.BP.credits.ROLE_OPTIONS.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.style.background = 'rgb(25,25,25)';
+            select.appendChild(option);
+        });
+        select.value = window.BP.credits.normalizeRole(role);
+        return select;
+    }
+    
+    function createRow(credit, onChange) {
+        const row = document.createElement('div');
+        row.className = 'bp-credit-row grid gap-8 mb-8 items-center';
+        row.style.gridTemplateColumns = '2fr 2fr 1.5fr 1fr auto';
+        
+        const name = createInput('bp-credit-name', 'text', 'Name', credit.name || '', 'Name');
+        const artist = createInput('bp-credit-artist', 'text', 'Profile link or artist ID (optional)',
+            credit.artist_id || '', 'BeatPass profile link or artist ID');
+        const role = createRoleSelect(credit.role);
+        const split = createInput('bp-credit-split', 'number', 'Split %', credit.split ? String(credit.split) : '', 'Ownership split in percent');
+        split.min = '0';
+        split.max = '100';
+        split.step = '0.01';
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'w-32 h-32 rounded-full text-muted hover:bg-hover transition-colors';
+        remove.textContent = '×';
+        remove.title = 'Remove credit';
+        remove.setAttribute('aria-label', 'Remove credit');
+        remove.addEventListener('click', () => {
+            row.remove();
+            onChange();
+        });
+        
+        [name, artist, split].forEach(input => input.addEventListener('input', onChange));
+        role.addEventListener('change', onChange);
+        
+        row.appendChild(name);
+        row.appendChild(artist);
+        row.appendChild(role);
+        row.appendChild(split);
+        row.appendChild(remove);
+        return row;
+    }
+    
+    // Rows left completely blank are ignored
+    function readCredits(section) {
+        return Array.from(section.querySelectorAll('.bp-credit-row'))
+            .map(row => ({
+                name: row.querySelector('.bp-credit-name').value,
+                artist_id: row.querySelector('.bp-credit-artist').value,
+                role: row.querySelector('.bp-credit-role').value,
+                split: row.querySelector('.bp-credit-split').value
+            }))
+            .filter(credit => credit.name.trim() || credit.artist_id.trim() || credit.split.trim())
+            .map(window.BP.credits.normalizeCredit);
+    }
+    
+    // ---------------------------
+    // Section
+    // ---------------------------
+    
+    function updateStatus(section) {
+        const credits = readCredits(section);
+        const validation = window.BP.credits.validate(credits);
+        
+        const totalLabel = section.querySelector('.bp-credits-total');
+        totalLabel.textContent = credits.length ? `Total: ${validation.total}%` : 'No credits yet';
+        totalLabel.className = `bp-credits-total text-xs font-medium ${
+            !credits.length ? 'text-muted' : (validation.isValid ? 'text-positive' : 'text-danger')}`;
+        
+        const error = section.querySelector('.bp-credits-error');
+        error.textContent = validation.error || '';
+        error.classList.toggle('hidden', validation.isValid);
+        
+        section.querySelector('.bp-credits-add').disabled = section.querySelectorAll('.bp-credit-row').length >= window.BP.credits.MAX_CREDITS;
+        if (DEBUG) console.log('🎼 [Credits]', credits, validation);
+    }
+    
+    function setCredits(section, credits, onChange) {
+        const rows = section.querySelector('.bp-credit-rows');
+        rows.innerHTML = '';
+        credits.forEach(credit => rows.appendChild(createRow(credit, onChange)));
+        onChange();
+    }
+    
+    function createFooterButton(className, text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${className} ${BUTTON_CLASS}`;
+        button.textContent = text;
+        button.title = title;
+        return button;
+    }
+    
+    // Stored credits fill the rows; without any, "Use artists" starts them from the artists chips
+    function createProducerCreditsSection(existingData = {}) {
+        const section = document.createElement('div');
+        section.id = SECTION_ID;
+        section.className = 'mb-24 text-sm';
+        
+        const label = document.createElement('div');
+        label.className = 'block text-left text-sm mb-4';
+        label.textContent = 'Producer credits';
+        
+        const description = document.createElement('p');
+        description.className = 'text-xs text-muted mb-10';
+        description.textContent = 'Who made this beat, in which role, and how ownership is split. Splits must add up to 100%.';
+        
+        const rows = document.createElement('div');
+        rows.className = 'bp-credit-rows';
+        
+        const footer = document.createElement('div');
+        footer.className = 'flex flex-wrap items-center gap-8';
+        const addButton = createFooterButton('bp-credits-add', '+ Add credit', 'Add a credit');
+        const artistsButton = createFooterButton('bp-credits-artists', 'Use artists', 'Credit the artists picked above as producers, split evenly');
+        const evenButton = createFooterButton('bp-credits-even', 'Split evenly', 'Share ownership equally between the credits');
+        const total = document.createElement('span');
+        total.className = 'bp-credits-total text-xs';
+        total.setAttribute('aria-live', 'polite');
+        footer.appendChild(addButton);
+        footer.appendChild(artistsButton);
+        footer.appendChild(evenButton);
+        footer.appendChild(total);
+        
+        const error = document.createElement('div');
+        error.className = 'bp-credits-error hidden mt-6 text-xs text-danger';
+        error.setAttribute('role', 'alert');
+        
+        section.appendChild(label);
+        section.appendChild(description);
+        section.appendChild(rows);
+        section.appendChild(footer);
+        section.appendChild(error);
+        
+        const onChange = () => {
+            updateStatus(section);
+            if (window.enableSubmitButton) window.enableSubmitButton();
+            notifyMetadataChanged('credits');
+        };
+        
+        addButton.addEventListener('click', () => {
+            const row = createRow({ role: 'producer' }, onChange);
+            rows.appendChild(row);
+            row.querySelector('.bp-credit-name').focus();
+            updateStatus(section);
+        });
+        artistsButton.addEventListener('click', () => {
+            const names = window.getProducers ? window.getProducers() : '';
+            if (names) setCredits(section, window.BP.credits.fromNames(names), onChange);
+        });
+        evenButton.addEventListener('click', () => {
+            const credits = readCredits(section);
+            const splits = window.BP.credits.evenSplits(credits.length);
+            setCredits(section, credits.map((credit, index) => ({ ...credit, split: splits[index] })), onChange);
+        });
+        
+        window.BP.credits.parse(existingData.credits).forEach(credit => rows.appendChild(createRow(credit, onChange)));
+        updateStatus(section);
+        return section;
+    }
+    
+    // { credits, validation, value } where value is what gets saved ('' for no credits), or
+    // null when the editor is not on the page
+    function getProducerCredits() {
+        const section = document.getElementById(SECTION_ID);
+        if (!section) return null;
+        
+        const credits = readCredits(section);
+        return {
+            credits,
+            validation: window.BP.credits.validate(credits),
+            value: window.BP.credits.serialize(credits)
+        };
+    }
+    
+    // ---------------------------
+    // Global Exposure
+    // ---------------------------
+    
+    window.createProducerCreditsSection = createProducerCreditsSection;
+    window.getProducerCredits = getProducerCredits;
+    
+})();
+// Completeness Checklist Module - IIFE
+// Weighted metadata checklist on upload and edit pages; each item jumps to the field it needs
+
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    const CHECKLIST_ID = 'bp-completeness-checklist';
+    const HIGHLIGHT_CLASS = 'bp-field-highlight';
+    const HIGHLIGHT_MS = 2000;
+    const REFRESH_DELAY = 300;
+    
+    let form = null;
+    let refreshTimeout = null;
+    // Set by fingerprint:completed, before the stored record knows about it
+    let completedFingerprint = null;
+    
+    // ---------------------------
+    // Field Targets
+    // ---------------------------
+    
+    function resolveTarget(target) {
+        if (!target) return null;
+        return target.elementId
+            ? document.getElementById(target.elementId)
+            : window.BP.selectors.query(target.selector);
+    }
+    
+    // Chip inputs are highlighted with their whole chip group
+    function jumpTo(item) {
+        const element = resolveTarget(item.target);
+        if (!element) {
+            if (DEBUG) console.warn(`📋 [Checklist] No field to jump to for ${item.id}`);
+            return;
+        }
+        
+        const box = element.closest('[role="group"]') || element;
+        box.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (typeof element.focus === 'function') element.focus({ preventScroll: true });
+        
+        box.classList.remove(HIGHLIGHT_CLASS);
+        void box.offsetWidth; // Restart the animation on repeated clicks
+        box.classList.add(HIGHLIGHT_CLASS);
+        setTimeout(() => box.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_MS);
+    }
+    
+    // ---------------------------
+    // Rendering
+    // ---------------------------
+    
+    function getCompleteness() {
+        if (!window.BeatPassMetadataValidator) return null;
+        
+        // Edit pages: the record the form was filled from holds the fingerprint and playback URL
+        const stored = window.isEditPage && window.isEditPage() ? window.customRecord : null;
+        const record = completedFingerprint ? { ...(stored || {}), fingerprint_hash: completedFingerprint } : stored;
+        return window.BeatPassMetadataValidator.getMetadataCompleteness(record || null);
+    }
+    
+    function createItem(item) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.item = item.id;
+        button.className = `flex items-center gap-8 w-full px-8 py-4 rounded text-left text-xs transition-colors ${
+            item.applicable ? 'hover:bg-hover' : 'opacity-50 cursor-default'}`;
+        button.disabled = !item.applicable;
+        button.title = item.done ? `${item.label} - done` : item.detail;
+        button.setAttribute('aria-label', `${item.label}: ${item.done ? 'done' : item.detail || 'missing'}`);
+        
+        const mark = document.createElement('span');
+        mark.className = item.done ? 'text-positive' : (item.required ? 'text-danger' : 'text-muted');
+        mark.textContent = item.done ? '✓' : '○';
+        mark.setAttribute('aria-hidden', 'true');
+        
+        const label = document.createElement('span');
+        label.className = `flex-auto ${item.done ? 'text-muted' : ''}`;
+        label.textContent = item.required && !item.done ? `${item.label} *` : item.label;
+        
+        const weight = document.createElement('span');
+        weight.className = 'text-muted';
+        weight.textContent = item.applicable ? `${item.weight}%` : '-';
+        
+        button.appendChild(mark);
+        button.appendChild(label);
+        button.appendChild(weight);
+        if (item.applicable) button.addEventListener('click', () => jumpTo(item));
+        return button;
+    }
+    
+    function render() {
+        const panel = document.getElementById(CHECKLIST_ID);
+        const completeness = panel && getCompleteness();
+        if (!completeness) return;
+        
+        const { score, checklist } = completeness;
+        panel.querySelector('.bp-checklist-score').textContent = `${score}%`;
+        panel.querySelector('.bp-checklist-fill').style.width = `${score}%`;
+        panel.querySelector('[role="progressbar"]').setAttribute('aria-valuenow', String(score));
+        
+        const list = panel.querySelector('.bp-checklist-items');
+        list.innerHTML = '';
+        checklist.forEach(item => list.appendChild(createItem(item)));
+        if (DEBUG) console.log(`📋 [Checklist] ${score}%`, checklist);
+    }
+    
+    function scheduleRender() {
+        clearTimeout(refreshTimeout);
+        refreshTimeout = setTimeout(render, REFRESH_DELAY);
+    }
+    
+    function createPanel() {
+        const panel = document.createElement('div');
+        panel.id = CHECKLIST_ID;
+        panel.className = 'mt-24 p-12 rounded-panel border border-divider text-sm';
+        
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-8';
+        const title = document.createElement('span');
+        title.className = 'font-medium';
+        title.textContent = 'Track completeness';
+        const score = document.createElement('span');
+        score.className = 'bp-checklist-score font-medium';
+        header.appendChild(title);
+        header.appendChild(score);
+        
+        const track = document.createElement('div');
+        track.className = 'w-full h-4 rounded-full bg-white/10 overflow-hidden mb-8';
+        track.setAttribute('role', 'progressbar');
+        track.setAttribute('aria-label', 'Track completeness');
+        track.setAttribute('aria-valuemin', '0');
+        track.setAttribute('aria-valuemax', '100');
+        const fill = document.createElement('div');
+        fill.className = 'bp-checklist-fill h-4 rounded-full bg-primary transition-all duration-500';
+        fill.style.width = '0%';
+        track.appendChild(fill);
+        
+        const items = document.createElement('div');
+        items.className = 'bp-checklist-items grid grid-cols-2 gap-x-12';
+        
+        panel.appendChild(header);
+        panel.appendChild(track);
+        panel.appendChild(items);
+        return panel;
+    }
+    
+    function ensureChecklistStyles() {
+        if (document.getElementById('bp-checklist-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'bp-checklist-styles';
+        style.textContent = `
+            .${HIGHLIGHT_CLASS} {
+                animation: bp-field-highlight ${HIGHLIGHT_MS}ms ease-out;
+                border-radius: 6px;
+            }
+            
+            @keyframes bp-field-highlight {
+                0%, 40% { box-shadow: 0 0 0 3px rgba(147, 51, 234, 0.7); }
+                100% { box-shadow: 0 0 0 3px rgba(147, 51, 234, 0); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
+    // ---------------------------
+    // Module Lifecycle
+    // ---------------------------
+    
+    // Native fields (genres, tags, cover art, description) do not announce their changes,
+    // so the whole form is watched
+    function onFormActivity() {
+        scheduleRender();
+    }
+    
+    function removeChecklist() {
+        clearTimeout(refreshTimeout);
+        if (form) {
+            ['input', 'change', 'click'].forEach(type => form.removeEventListener(type, onFormActivity));
+            form = null;
+        }
+        const panel = document.getElementById(CHECKLIST_ID);
+        if (panel) panel.remove();
+    }
+    
+    // Sits right above the custom fields, so it is in view while the form is filled in
+    async function initChecklist(ctx) {
+        const ready = await ctx.waitFor(() => document.getElementById('custom-fields-container'),
+            { attempts: 10, interval: 500, delay: 300 });
+        if (!ready) return;
+        
+        removeChecklist();
+        completedFingerprint = null;
+        ensureChecklistStyles();
+        
+        const container = document.getElementById('custom-fields-container');
+        container.parentNode.insertBefore(createPanel(), container);
+        
+        form = container.closest('form');
+        if (form) ['input', 'change', 'click'].forEach(type => form.addEventListener(type, onFormActivity));
+        render();
+    }
+    
+    if (window.BP && window.BP.on) {
+        window.BP.on('metadata:changed', scheduleRender);
+        window.BP.on('metadata:saved', scheduleRender);
+        window.BP.on('fingerprint:completed', ({ fingerprintHash }) => {
+            completedFingerprint = fingerprintHash;
+            scheduleRender();
+        });
+    }
+    
+    if (window.BP && window.BP.modules) {
+        window.BP.modules.register({
+            name: 'completeness-checklist',
+            flag: 'ui-components',
+            match: route => route.pageType === 'upload' || route.pageType === 'edit',
+            init: initChecklist,
+            onRouteChange: initChecklist,
+            destroy: removeChecklist
+        });
+    }
+    
+    // ---------------------------
+    // Global Exposure
+    // ---------------------------
+    
+    window.refreshCompletenessChecklist = render;
+    
+})();
+// Tag Autocomplete Module - IIFE
+// Suggests popular and dictionary tags under the tags input and holds the count to BP.tags.MAX_TAGS
+
+(function() {
+    'use strict';
+    
+    const DEBUG = false; // Disabled to reduce console noise
+    
+    const SUGGESTIONS_ID = 'bp-tag-suggestions';
+    
+    let input = null;
+    let panel = null;
+    let suggestions = [];
+    let activeIndex = -1;
+    
+    // ---------------------------
+    // Tags on the Form
+    // ---------------------------
+    
+    function getGroup() {
+        return input && input.closest('[role="group"]');
+    }
+    
+    // Chips typed into the native input count too, even past the cap getTags() saves
+    function countChips() {
+        const group = getGroup();
+        return group ? group.querySelectorAll('.bg-chip').length : 0;
+    }
+    
+    function currentTags() {
+        return window.getTags ? window.getTags() : '';
+    }
+    
+    // Added like restored tags: a chip in the group, in front of the input
+    function addTag(tag) {
+        const group = getGroup();
+        const container = group && group.querySelector('.flex.flex-wrap.items-center.gap-8');
+        const chip = container && window.createTagChip ? window.createTagChip(tag) : null;
+        if (!chip) return;
+        
+        const anchor = Array.from(container.children).find(child => child.contains(input));
+        container.insertBefore(chip, anchor || null);
+        input.value = '';
+        activeIndex = -1;
+        if (DEBUG) console.log(`🏷️ [Tag Autocomplete] Added "${chip.dataset.tag}"`);
+        
+        if (window.BP && window.BP.emit) {
+            window.BP.emit('metadata:changed', { field: 'tags' });
+        }
+        render();
+    }
+    
+    // ---------------------------
+    // Rendering
+    // ---------------------------
+    
+    function createOption(suggestion, index) {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.tabIndex = -1;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === activeIndex));
+        option.className = `inline-flex items-center gap-6 px-10 h-28 rounded-full border border-divider text-xs transition-colors ${
+            index === activeIndex ? 'bg-primary/10 border-primary' : 'hover:bg-hover'}`;
+        option.textContent = suggestion.tag;
+        
+        if (suggestion.count) {
+            const count = document.createElement('span');
+            count.className = 'text-muted';
+            count.textContent = String(suggestion.count);
+            option.appendChild(count);
+        }
+        
+        // mousedown keeps the focus in the input, so the panel stays open
+        option.addEventListener('mousedown', (e) => e.preventDefault());
+        option.addEventListener('click', () => addTag(suggestion.tag));
+        return option;
+    }
+    
+    function getStatus(count, typed) {
+        const max = window.BP.tags.MAX_TAGS;
+        if (count >= max) return `Tag limit reached (${max}) - remove a tag to add another`;
+        
+        const normalized = window.BP.tags.normalize(typed);
+        if (normalized && normalized !== typed.trim()) return `"${typed.trim()}" will be saved as "${normalized}"`;
+        return `${count}/${max} tags`;
+    }
+    
+    function render() {
+        if (!panel || !input) return;
+        
+        const count = countChips();
+        const full = count >= window.BP.tags.MAX_TAGS;
+        suggestions = full ? [] : window.BP.tags.suggest(input.value, { exclude: currentTags() });
+        activeIndex = Math.min(activeIndex, suggestions.length - 1);
+        
+        panel.querySelector('.bp-tag-status').textContent = getStatus(count, input.value);
+        const list = panel.querySelector('[role="listbox"]');
+        list.innerHTML = '';
+        suggestions.forEach((suggestion, index) => list.appendChild(createOption(suggestion, index)));
+        panel.hidden = document.activeElement !== input;
+    }
+    
+    function createPanel() {
+        const element = document.createElement('div');
+        element.id = SUGGESTIONS_ID;
+        element.className = 'mt-8 p-8 rounded-panel border border-divider text-sm';
+        element.hidden = true;
+        
+        const status = document.createElement('div');
+        status.className = 'bp-tag-status text-xs text-muted mb-6';
+        status.setAttribute('aria-live', 'polite');
+        
+        const list = document.createElement('div');
+        list.className = 'flex flex-wrap gap-6';
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-label', 'Suggested tags');
+        
+        element.appendChild(status);
+        element.appendChild(list);
+        return element;
+    }
+    
+    // ---------------------------
+    // Input Events
+    // ---------------------------
+    
+    function onInput() {
+        activeIndex = -1;
+        render();
+    }
+    
+    function onBlur() {
+        if (panel) panel.hidden = true;
+    }
+    
+    // Arrow keys pick a suggestion and Enter adds it. Enter is also swallowed at the cap, so the
+    // native input cannot add a tag past it.
+    function onKeyDown(e) {
+        if (!panel) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!suggestions.length) return;
+            e.preventDefault();
+            // -1 (nothing picked) is part of the cycle
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const positions = suggestions.length + 1;
+            activeIndex = (activeIndex + 1 + step + positions) % positions - 1;
+            render();
+        } else if (e.key === 'Enter') {
+            if (activeIndex >= 0 && suggestions[activeIndex]) {
+                e.preventDefault();
+                e.stopPropagation();
+                addTag(suggestions[activeIndex].tag);
+            } else if (input.value.trim() && countChips() >= window.BP.tags.MAX_TAGS) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        } else if (e.key === 'Escape') {
+            activeIndex = -1;
+            panel.hidden = true;
+        }
+    }
+    
+    // ---------------------------
+    // Module Lifecycle
+    // ---------------------------
+    
+    function removeAutocomplete() {
+        if (input) {
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('focus', render);
+            input.removeEventListener('blur', onBlur);
+            input.removeEventListener('keydown', onKeyDown, true);
+            input = null;
+        }
+        if (panel) panel.remove();
+        panel = null;
+        suggestions = [];
+        activeIndex = -1;
+    }
+    
+    // The panel sits under the tags group and only shows while the input has focus
+    async function initAutocomplete(ctx) {
+        const ready = await ctx.waitFor(() => window.BP.selectors.query('form.tagsInput'),
+            { attempts: 10, interval: 500, delay: 300 });
+        if (!ready) return;
+        
+        removeAutocomplete();
+        input = window.BP.selectors.query('form.tagsInput');
+        panel = createPanel();
+        (getGroup() || input).insertAdjacentElement('afterend', panel);
+        
+        input.addEventListener('input', onInput);
+        input.addEventListener('focus', render);
+        input.addEventListener('blur', onBlur);
+        // Capture phase, ahead of the native input's own Enter handling
+        input.addEventListener('keydown', onKeyDown, true);
+        
+        window.BP.tags.loadSynonyms().then(render);
+        window.BP.tags.loadPopular().then(render);
+    }
+    
+    if (window.BP && window.BP.on) {
+        window.BP.on('metadata:changed', ({ field } = {}) => {
+            if (field === 'tags') render();
+        });
+    }
+    
+    if (window.BP && window.BP.modules) {
+        window.BP.modules.register({
+            name: 'tag-autocomplete',
+            flag: 'ui-components',
+            match: route => route.pageType === 'upload' || route.pageType === 'edit',
+            init: initAutocomplete,
+            onRouteChange: initAutocomplete,
+            destroy: removeAutocomplete
+        });
+    }
+    
+})();
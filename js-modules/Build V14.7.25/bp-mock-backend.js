@@ -0,0 +1,597 @@
+// ============================================================
+// BeatPass Mock Backend - Standalone IIFE Module
+// In-browser stand-in for the PHP handlers, for local development without production data
+// ============================================================
+//
+// Off unless explicitly enabled on a development host (localhost, *.localhost, *.test):
+// ?bp_flags=mock-backend:on for one page view, or BP.flags.setOverride('mock-backend', true)
+// until cleared. The flag is ignored everywhere else. Once on, BP.transport sends
+// every request for key_bpm_handler.php, pinned_message_handler.php, fingerprint.php,
+// session_token.php, verifiedProducers.json and updateVerifiedProducers.php here instead
+// of to open.beatpass.ca. Responses use the handlers' own JSON shapes.
+//
+// The store is seeded from json-modules/mock-fixtures.json (or ?bp_mock_fixtures=<url> on the
+// page's own origin) and kept in localStorage, so edits survive reloads. Turning the mock off
+// drops the store and the cached responses built from it. BP.mock.seed(fixtures) /
+// BP.mock.reset() replace it; BP.mock.store() returns it for inspection.
+(function() {
+    'use strict';
+
+    const DEBUG = false; // Disabled to reduce console noise
+
+    // ---------------------------
+    // Constants and Configuration
+    // ---------------------------
+
+    const FLAG_NAME = 'mock-backend';
+    const FIXTURES_URL = 'https://open.beatpass.ca/mock-fixtures.json';
+    const FIXTURES_QUERY_PARAM = 'bp_mock_fixtures';
+    const STORE_KEY = 'bp_mock_store';
+    const DEV_HOST_PATTERN = /^(localhost|127\.0\.0\.1|\[::1\]|.+\.localhost|.+\.test)$/;
+    const LATENCY = 150; // ms, so loading states stay visible
+    const NOTE_EXPIRY_MS = 24 * 60 * 60 * 1000; // pinned_message_handler NOTE_EXPIRY_MS
+    const MAX_NOTES_PER_ARTIST = 50;
+    const FINGERPRINT_SAMPLE_LENGTH = 1000;
+    const MAX_TEMPO_RESULTS = 200; // key_bpm_handler findTracksByTempo
+    const MAX_POPULAR_TAGS = 100; // key_bpm_handler ?popular_tags
+
+    // Fields key_bpm_handler returns for single and batch lookups
+    const TRACK_FIELDS = ['key_name', 'scale', 'bpm', 'bpm_feel', 'duration_ms', 'Playback', 'fingerprint', 'fingerprint_hash',
+        'producers', 'credits', 'tags', 'exclusive_price', 'exclusive_currency', 'exclusive_status', 'licensing_type',
+        'exclusive_buyer_info', 'exclusive_sold_date'];
+    const BATCH_FIELDS = ['track_id', 'track_name', 'key_name', 'scale', 'bpm', 'bpm_feel', 'licensing_type',
+        'exclusive_price', 'exclusive_currency', 'exclusive_status', 'credits'];
+
+    // ---------------------------
+    // Store
+    // ---------------------------
+
+    let store = null;
+    let ready = null;
+
+    function emptyStore() {
+        return { session: null, tracks: {}, fingerprints: {}, notes: {}, verifiedProducers: {} };
+    }
+
+    // Fixture notes with created_at 0 are "just posted", so they do not expire right away
+    function normalizeFixtures(fixtures) {
+        const seeded = { ...emptyStore(), ...JSON.parse(JSON.stringify(fixtures || {})) };
+        Object.values(seeded.notes).forEach(artist => {
+            (artist.notes || []).forEach(note => {
+                if (!note.created_at) note.created_at = Date.now();
+            });
+        });
+        return seeded;
+    }
+
+    function persist() {
+        try {
+            localStorage.setItem(STORE_KEY, JSON.stringify(store));
+        } catch (error) {
+            if (DEBUG) console.warn('[BP Mock] Could not persist the mock store:', error);
+        }
+    }
+
+    // ?bp_mock_fixtures= may only point at the page's own origin
+    function getFixturesUrl() {
+        const requested = new URLSearchParams(window.location.search).get(FIXTURES_QUERY_PARAM);
+        if (!requested) return FIXTURES_URL;
+        
+        const parsed = parseUrl(requested);
+        if (parsed && parsed.origin === window.location.origin) return parsed.href;
+        console.warn(`[BP Mock] Ignoring fixtures from another origin: ${requested}`);
+        return FIXTURES_URL;
+    }
+
+    async function loadFixtures() {
+        const url = getFixturesUrl();
+        try {
+            // Straight to the network: the fixtures themselves are never mocked
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`);
+            return await response.json();
+        } catch (error) {
+            console.warn('[BP Mock] Fixtures unavailable, starting with an empty store:', error);
+            return null;
+        }
+    }
+
+    async function initStore() {
+        try {
+            store = JSON.parse(localStorage.getItem(STORE_KEY));
+        } catch (error) {
+            store = null;
+        }
+        if (!store || new URLSearchParams(window.location.search).has(FIXTURES_QUERY_PARAM)) {
+            store = normalizeFixtures(await loadFixtures());
+            persist();
+        }
+    }
+
+    // ---------------------------
+    // Helpers
+    // ---------------------------
+
+    function respond(body, status = 200) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    function refuse(status, message) {
+        return respond({ status: 'error', code: status === 401 ? 'unauthorized' : 'forbidden', message }, status);
+    }
+
+    function pick(record, fields) {
+        return fields.reduce((result, field) => {
+            result[field] = record[field] === undefined ? null : record[field];
+            return result;
+        }, {});
+    }
+
+    function getHeader(init, name) {
+        const headers = init.headers || {};
+        if (typeof headers.get === 'function') return headers.get(name);
+        const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+        return key ? headers[key] : null;
+    }
+
+    function readBody(init) {
+        if (!init.body) return {};
+        if (init.body instanceof URLSearchParams) return Object.fromEntries(init.body);
+        try {
+            return JSON.parse(init.body);
+        } catch (error) {
+            return Object.fromEntries(new URLSearchParams(String(init.body)));
+        }
+    }
+
+    // Stand-in for md5(substr(fingerprint, 0, 1000)): only equality matters here
+    function hashFingerprint(fingerprint) {
+        const sample = String(fingerprint).slice(0, FINGERPRINT_SAMPLE_LENGTH);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < sample.length; i++) {
+            hash ^= sample.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return 'mock-' + (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // ---------------------------
+    // Session (session_token.php, bp_auth.php)
+    // ---------------------------
+
+    const MOCK_TOKEN = 'mock-session-token';
+
+    function handleSession() {
+        if (!store.session) return refuse(401, 'Not signed in');
+        const claims = {
+            ...store.session,
+            iat: Math.floor(Date.now() / 1000),
+            exp: Math.floor(Date.now() / 1000) + 15 * 60
+        };
+        return respond({ status: 'success', token: MOCK_TOKEN, claims });
+    }
+
+    function getClaims(init) {
+        return store.session && getHeader(init, 'X-BP-Token') === MOCK_TOKEN ? store.session : null;
+    }
+
+    function ownsArtist(claims, artistId) {
+        return !!claims.admin || (claims.artists || []).includes(String(artistId));
+    }
+
+    function ownsTrack(claims, track) {
+        return !!claims.admin || (!!track && (track.artists || []).some(artistId => ownsArtist(claims, artistId)));
+    }
+
+    // ---------------------------
+    // key_bpm_handler.php
+    // ---------------------------
+
+    function findTrack(id, name) {
+        if (id) return store.tracks[id] || null;
+        return Object.values(store.tracks)
+            .sort((a, b) => Number(a.track_id) - Number(b.track_id))
+            .find(track => track.track_name === name) || null;
+    }
+
+    function findDuplicates(fingerprint, currentTrackId) {
+        const hash = hashFingerprint(fingerprint);
+        const matches = Object.values(store.tracks)
+            .filter(track => track.fingerprint && String(track.track_id) !== String(currentTrackId) &&
+                             hashFingerprint(track.fingerprint) === hash)
+            .sort((a, b) => Number(a.track_id) - Number(b.track_id));
+        if (!matches.length) return null;
+
+        const summary = track => ({ track_id: track.track_id, track_name: track.track_name, Playback: track.Playback });
+        const owners = [...matches, ...(currentTrackId && store.tracks[currentTrackId] ? [store.tracks[currentTrackId]] : [])]
+            .sort((a, b) => Number(a.track_id) - Number(b.track_id));
+        return {
+            duplicateInfo: { exact_matches: matches.map(summary), similar_matches: [], authentic_track: summary(owners[0]) },
+            isAuthentic: !!currentTrackId && String(owners[0].track_id) === String(currentTrackId)
+        };
+    }
+
+    function handleMetadataGet(params) {
+        const checkFingerprint = params.get('check_fingerprint');
+        if (checkFingerprint) {
+            const duplicates = findDuplicates(checkFingerprint, params.get('track_id'));
+            const response = { status: 'success', is_duplicate: !!duplicates, is_authentic: !!duplicates && duplicates.isAuthentic };
+            if (duplicates) response.duplicate_info = duplicates.duplicateInfo;
+            return respond(response);
+        }
+
+        if (params.has('bpm_min') || params.has('bpm_max')) {
+            const range = { min: parseFloat(params.get('bpm_min')) || 0, max: parseFloat(params.get('bpm_max')) || 0 };
+            if (range.min <= 0 || range.max < range.min) return respond({ status: 'error', message: 'A BPM range is required' });
+
+            const matches = Object.values(store.tracks)
+                .filter(track => window.BP.tempo.matches(track, range))
+                .sort((a, b) => Number(a.track_id) - Number(b.track_id))
+                .slice(0, MAX_TEMPO_RESULTS)
+                .map(track => pick(track, BATCH_FIELDS));
+            return respond({ status: 'success', data: matches });
+        }
+
+        if (params.has('popular_tags')) {
+            const limit = Math.max(1, Math.min(MAX_POPULAR_TAGS, parseInt(params.get('popular_tags'), 10) || 0));
+            const counts = new Map();
+            Object.values(store.tracks).forEach(track => {
+                window.BP.tags.normalizeList(track.tags).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+            });
+            const popular = [...counts.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([tag, count]) => ({ tag, count }));
+            return respond({ status: 'success', data: popular });
+        }
+
+        if (params.has('track_ids') || params.has('track_names[]')) {
+            const byId = {};
+            const byName = {};
+            (params.get('track_ids') || '').split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+                if (store.tracks[id]) byId[id] = pick(store.tracks[id], BATCH_FIELDS);
+            });
+            params.getAll('track_names[]').forEach(name => {
+                const track = findTrack(null, name);
+                if (track) byName[name] = pick(track, BATCH_FIELDS);
+            });
+            return respond({ status: 'success', data: { by_id: byId, by_name: byName } });
+        }
+
+        const trackId = params.get('track_id');
+        const trackName = params.get('track_name');
+        if (!trackId && !trackName) return respond({ status: 'error', message: 'Track ID or Track Name required' });
+
+        const track = findTrack(trackId, trackName);
+        return track
+            ? respond({ status: 'success', data: pick(track, TRACK_FIELDS) })
+            : respond({ status: 'error', message: 'Track not found' });
+    }
+
+    function handleMetadataPost(init) {
+        const claims = getClaims(init);
+        if (!claims) return refuse(401, 'Sign in to make changes');
+
+        const body = readBody(init);
+        const trackId = body.track_id ? String(body.track_id) : '';
+        if (!trackId && !claims.admin) return refuse(403, 'A track id is required to save changes');
+
+        const existing = findTrack(trackId, body.track_name);
+        if (!ownsTrack(claims, existing || { artists: claims.artists })) {
+            return refuse(403, 'You can only edit your own tracks');
+        }
+        const track = existing || { track_id: trackId, track_name: body.track_name || '', artists: [...(claims.artists || [])] };
+
+        if (body.delete_fingerprint) {
+            if (!track.fingerprint) return respond({ status: 'error', message: 'No fingerprint to delete' });
+            track.fingerprint = null;
+            track.fingerprint_hash = null;
+            persist();
+            return respond({ status: 'success', message: 'Fingerprint deleted' });
+        }
+
+        if (body.fingerprint) {
+            const duplicates = findDuplicates(body.fingerprint, trackId);
+            track.fingerprint = body.fingerprint;
+            track.fingerprint_hash = hashFingerprint(body.fingerprint);
+            store.tracks[track.track_id] = track;
+            persist();
+
+            const response = { status: 'success', message: 'Fingerprint updated', fingerprint_hash: track.fingerprint_hash };
+            if (duplicates) {
+                response.duplicate_info = duplicates.duplicateInfo;
+                response.is_authentic = duplicates.isAuthentic;
+                response.is_duplicate = true;
+                if (duplicates.isAuthentic) {
+                    response.message = 'Fingerprint updated. You own the authentic version of this track.';
+                    response.duplicate_count = duplicates.duplicateInfo.exact_matches.length;
+                } else {
+                    response.message = 'Fingerprint updated, but this appears to be a duplicate track';
+                    response.authentic_track_id = duplicates.duplicateInfo.authentic_track.track_id;
+                }
+            }
+            return respond(response);
+        }
+
+        // The single-field branches and the full upsert both come down to storing what was sent
+        const changes = {};
+        Object.entries(body).forEach(([field, value]) => {
+            if (field === 'track_id' || value === '' || value === null) return;
+            changes[field === 'playback_url' ? 'Playback' : field] = value;
+        });
+        // bp_tags.php normalizes tags on every save
+        if (changes.tags !== undefined) changes.tags = window.BP.tags.join(changes.tags);
+        // bp_credits.php rejects credits that do not add up; '' clears them
+        if ('credits' in body) {
+            const validation = window.BP.credits.validate(body.credits);
+            if (!validation.isValid) return respond({ status: 'error', message: validation.error });
+            changes.credits = window.BP.credits.serialize(body.credits) || null;
+        }
+        const changed = Object.entries(changes).some(([field, value]) => String(track[field] ?? null) !== String(value));
+        if (!changed) return respond({ status: 'error', message: 'No changes made or error occurred' });
+
+        Object.assign(track, changes);
+        store.tracks[track.track_id] = track;
+        persist();
+        return respond({ status: 'success', message: existing ? 'Data updated successfully' : 'Data inserted successfully' });
+    }
+
+    // ---------------------------
+    // fingerprint.php
+    // ---------------------------
+
+    function handleFingerprint(init, params) {
+        const body = readBody(init);
+        const urls = body.urls || (params.get('url') ? [params.get('url')] : null);
+        if (!Array.isArray(urls)) return respond({ error: 'Invalid or missing URLs' }, 400);
+
+        // Unknown URLs get a stable made-up fingerprint, so re-fingerprinting matches itself
+        const results = urls.map(url => {
+            const known = store.fingerprints[url];
+            if (known) return { url, ...known };
+            return { url, duration: 180, fingerprint: 'AQAD' + hashFingerprint(url).slice(5).repeat(8) };
+        });
+        return respond({ results });
+    }
+
+    // ---------------------------
+    // pinned_message_handler.php
+    // ---------------------------
+
+    function getArtistNotes(artistId) {
+        const artist = store.notes[artistId] || (store.notes[artistId] = { notes: [] });
+        artist.notes = artist.notes.filter(note => Date.now() - note.created_at <= NOTE_EXPIRY_MS);
+        return artist;
+    }
+
+    function handleNotesGet(init, params) {
+        const artistId = params.get('artist_id');
+        if (!artistId) return respond({ status: 'error', message: 'Missing artist_id' });
+
+        const artist = getArtistNotes(artistId);
+        const claims = getClaims(init);
+        if (claims) {
+            artist.notes.forEach(note => {
+                note.viewers = note.viewers || [];
+                if (!note.viewers.includes(claims.sub)) note.viewers.push(claims.sub);
+            });
+        }
+        persist();
+
+        const notes = [...artist.notes].sort((a, b) => b.created_at - a.created_at);
+        const latest = notes[0] || null;
+        return respond({
+            status: 'ok',
+            exists: notes.length > 0,
+            notes,
+            total_notes: notes.length,
+            latest_note: latest,
+            message: latest ? latest.message : '',
+            created_at: latest ? latest.created_at : null,
+            gradient: latest ? latest.gradient : null,
+            actions: latest ? latest.actions : [],
+            reactions: latest ? latest.reactions : [],
+            viewer_count: latest ? (latest.viewers || []).length : 0
+        });
+    }
+
+    function handleNotesPost(init) {
+        const body = readBody(init);
+        const artistId = body.artist_id ? String(body.artist_id) : '';
+        if (!artistId) return respond({ status: 'error', message: 'Missing artist_id' });
+
+        const claims = getClaims(init);
+        if (!claims) return refuse(401, 'Sign in to make changes');
+        const isReaction = body.reaction !== undefined && body.note_id !== undefined;
+        if (!isReaction && !ownsArtist(claims, artistId)) return refuse(403, 'You can only change your own profile');
+
+        const artist = getArtistNotes(artistId);
+        const message = typeof body.message === 'string' ? body.message.trim() : null;
+        const note = body.note_id ? artist.notes.find(candidate => candidate.id === body.note_id) : null;
+
+        if (body.edit_note && body.note_id) {
+            if (!note) return respond({ status: 'error', message: 'Note not found' });
+            Object.assign(note, { message, gradient: body.gradient || null, actions: body.actions || [], reactions: body.reactions || [] });
+            persist();
+            return respond({ status: 'ok', note });
+        }
+
+        if (body.delete_note && body.note_id) {
+            if (!note) return respond({ status: 'error', message: 'Note not found' });
+            artist.notes = artist.notes.filter(candidate => candidate !== note);
+            persist();
+            return respond({ status: 'ok', message: 'Note deleted', remaining_notes: artist.notes.length });
+        }
+
+        if (isReaction) {
+            if (!note) return respond({ status: 'error', message: 'Note not found' });
+            if (Array.isArray(note.reactions) || !note.reactions) note.reactions = {};
+            const users = note.reactions[body.reaction] || [];
+            note.reactions[body.reaction] = users.includes(claims.sub)
+                ? users.filter(user => user !== claims.sub)
+                : [...users, claims.sub];
+            persist();
+            return respond({ status: 'ok', reactions: note.reactions });
+        }
+
+        if (message) {
+            const created = {
+                id: Date.now().toString(16) + Math.random().toString(16).slice(2, 7),
+                message,
+                created_at: Date.now(),
+                viewers: [],
+                gradient: body.gradient || null,
+                actions: body.actions || [],
+                reactions: body.reactions || []
+            };
+            artist.notes = [...artist.notes, created].slice(-MAX_NOTES_PER_ARTIST);
+            persist();
+            return respond({ status: 'ok', note: created, total_notes: artist.notes.length });
+        }
+
+        if (message === '' && body.clear_timeline) {
+            artist.notes = [];
+            persist();
+            return respond({ status: 'ok', message: 'Timeline cleared' });
+        }
+
+        return respond({ status: 'error', message: 'Missing or empty message' });
+    }
+
+    // ---------------------------
+    // verifiedProducers.json / updateVerifiedProducers.php
+    // ---------------------------
+
+    function handleVerifiedUpdate(init) {
+        const claims = getClaims(init);
+        if (!claims) return refuse(401, 'Sign in to make changes');
+        if (!claims.admin) return refuse(403, 'Only admins can do this');
+
+        const body = readBody(init);
+        if (!body.producerName) return new Response('Missing producerName', { status: 400 });
+        store.verifiedProducers[body.producerName] = ['true', '1', 'on', 'yes'].includes(String(body.verifiedStatus).toLowerCase());
+        persist();
+        return new Response('Producer added/updated successfully.', { status: 200 });
+    }
+
+    // ---------------------------
+    // Adapter
+    // ---------------------------
+
+    const ROUTES = {
+        'key_bpm_handler.php': (init, params, method) => (method === 'POST' ? handleMetadataPost(init) : handleMetadataGet(params)),
+        'fingerprint.php': (init, params) => handleFingerprint(init, params),
+        'session_token.php': () => handleSession(),
+        'pinned_message_handler.php': (init, params, method) => (method === 'POST' ? handleNotesPost(init) : handleNotesGet(init, params)),
+        'verifiedProducers.json': () => respond(store.verifiedProducers),
+        'updateVerifiedProducers.php': (init, params, method) => (method === 'POST'
+            ? handleVerifiedUpdate(init)
+            : new Response('Only POST requests are allowed.', { status: 405 }))
+    };
+
+    function parseUrl(url) {
+        try {
+            return new URL(url, window.location.href);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function getRoute(url) {
+        const parsed = parseUrl(url);
+        if (!parsed) return null;
+        const file = parsed.pathname.split('/').pop();
+        return ROUTES[file] ? { handler: ROUTES[file], params: parsed.searchParams } : null;
+    }
+
+    function abortError() {
+        return new DOMException('The request was aborted', 'AbortError');
+    }
+
+    async function mockFetch(url, init = {}) {
+        const route = getRoute(url);
+        const signal = init.signal;
+
+        await ready;
+        await new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(abortError());
+            const timer = setTimeout(resolve, LATENCY);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(abortError());
+                }, { once: true });
+            }
+        });
+
+        const method = (init.method || 'GET').toUpperCase();
+        const response = route.handler(init, route.params, method);
+        if (DEBUG) console.log(`🧪 [BP Mock] ${method} ${url} → ${response.status}`);
+        return response;
+    }
+
+    const adapter = {
+        name: 'mock',
+        handles: (url) => !!getRoute(url),
+        fetch: mockFetch
+    };
+
+    // ---------------------------
+    // Initialization
+    // ---------------------------
+
+    function isDevHost() {
+        return DEV_HOST_PATTERN.test(window.location.hostname);
+    }
+
+    // Unknown flags default to on in the loader; the mock stays off unless asked for, and
+    // never runs on the production site whatever the flags say
+    function isRequested() {
+        return isDevHost() && !!(window.BP && window.BP.flags && window.BP.flags.isEnabled(FLAG_NAME, false));
+    }
+
+    // A store left from an earlier mock session means cached responses may hold mock data
+    function clearLeftovers() {
+        try {
+            if (localStorage.getItem(STORE_KEY) === null) return;
+            localStorage.removeItem(STORE_KEY);
+        } catch (error) {
+            return;
+        }
+        if (window.BP.cache) window.BP.cache.clear();
+        if (window.BP.auth) window.BP.auth.clear();
+        if (DEBUG) console.log('🧪 [BP Mock] Mock backend off - cleared the mock store and cached responses');
+    }
+
+    window.BP = window.BP || { loaded: new Set(), ready: false };
+    window.BP.mock = {
+        isActive: () => !!window.BP.transport && window.BP.transport.mode() === adapter.name,
+        ready: () => ready || Promise.resolve(),
+        store: () => store,
+        seed(fixtures) {
+            store = normalizeFixtures(fixtures);
+            persist();
+            if (window.BP.cache) window.BP.cache.clear();
+            if (window.BP.auth) window.BP.auth.clear();
+            return store;
+        },
+        async reset() {
+            localStorage.removeItem(STORE_KEY);
+            return this.seed(await loadFixtures());
+        }
+    };
+
+    if (isRequested() && window.BP.transport) {
+        ready = initStore();
+        window.BP.transport.use(adapter);
+        // Responses cached from the real handlers must not mix with mock data
+        if (window.BP.cache) window.BP.cache.clear();
+        console.warn('[BP Mock] Mock backend active - requests to the BeatPass handlers are served in-browser');
+    } else {
+        clearLeftovers();
+    }
+
+})();
@@ -8,93 +8,51 @@
     const MODAL_ID = 'artist-pin-modal';
 
     function isArtistProfilePage() {
-        return /^\/artist\/(\d+)(\/|$)/.test(window.location.pathname);
+        return window.BP.routes.is('artist');
     }
 
-    // Optimized API with caching and error handling
+    // Optimized API with caching and error handling. Notes are cached per artist in
+    // BP.cache ("artist" scope): shown instantly, refreshed in the background once stale.
+    // A refresh that changed the notes re-renders the banner and story ring of that artist.
     const api = {
-        cache: new Map(),
-        cacheTimeout: 30000, // 30 seconds
-        
         async get(id) {
-            const cacheKey = `get_${id}`;
-            const cached = this.cache.get(cacheKey);
-            
-            if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-                return cached.data;
-            }
-            
+            const onUpdate = () => {
+                if (isArtistProfilePage() && String(getArtistId()) === String(id)) render();
+            };
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 10000);
-                
-                const r = await fetch(`pinned_message_handler.php?artist_id=${encodeURIComponent(id)}`, {
-                    signal: controller.signal,
-                    headers: {
-                        'Accept': 'application/json',
-                        'Cache-Control': 'no-cache'
-                    }
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!r.ok) {
-                    throw new Error(`HTTP ${r.status}: ${r.statusText}`);
-                }
-                
-                const j = await r.json();
-                const result = j.status === 'ok' ? j : {};
-                
-                // Cache successful results
-                this.cache.set(cacheKey, {
-                    data: result,
-                    timestamp: Date.now()
-                });
-                
-                return result;
+                return (await window.BP.cache.swr('artist', id, () => this.fetchNotes(id), { onUpdate })) || {};
             } catch (error) {
-                if (DEBUG) console.warn('API get error:', error);
                 return {};
             }
         },
         
+        // Leaving the artist page aborts the request. Signed-in visitors are counted as
+        // viewers by BP.api; only successful results are cached.
+        fetchNotes(id, options = {}) {
+            return window.BP.api.getNotes(id, { signal: window.BP.modules.signal(), ...options });
+        },
+        
+        // Only the artist's owner (or an admin) may change notes; BP.api sends the session
+        // token and reports failures other than refusals
+        async post(body, { timeout = 10000 } = {}) {
+            const j = await window.BP.api.saveNote(body, { timeout });
+            // Invalidate cache for this artist
+            window.BP.cache.delete('artist', body.artist_id);
+            return j;
+        },
+        
         async save(id, msg, gradient, actions = []) {
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 15000);
-                
-                const r = await fetch('pinned_message_handler.php', {
-                    method: 'POST',
-                    signal: controller.signal,
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify({ 
-                        artist_id: id, 
-                        message: msg, 
-                        gradient, 
-                        actions: Array.isArray(actions) ? actions : []
-                    })
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!r.ok) {
-                    throw new Error(`HTTP ${r.status}: ${r.statusText}`);
-                }
-                
-                const j = await r.json();
-                if (j.status !== 'ok') {
-                    throw new Error(j.message || 'Error saving note');
-                }
-                
-                // Invalidate cache for this artist
-                this.cache.delete(`get_${id}`);
+                const j = await this.post({ 
+                    artist_id: id, 
+                    message: msg, 
+                    gradient, 
+                    actions: Array.isArray(actions) ? actions : []
+                }, { timeout: 15000 });
                 
                 return j.note || { message: msg, gradient, actions };
             } catch (error) {
-                console.error('API save error:', error);
+                if (DEBUG) console.warn('API save error:', error);
                 throw error;
             }
         },
@@ -105,40 +63,13 @@
         
         async clearTimeline(id) {
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 10000);
-                
-                const r = await fetch('pinned_message_handler.php', {
-                    method: 'POST',
-                    signal: controller.signal,
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify({ 
-                        artist_id: id, 
-                        message: '', 
-                        clear_timeline: true 
-                    })
+                return await this.post({ 
+                    artist_id: id, 
+                    message: '', 
+                    clear_timeline: true 
                 });
-                
-                clearTimeout(timeoutId);
-                
-                if (!r.ok) {
-                    throw new Error(`HTTP ${r.status}: ${r.statusText}`);
-                }
-                
-                const j = await r.json();
-                if (j.status !== 'ok') {
-                    throw new Error(j.message || 'Error clearing timeline');
-                }
-                
-                // Invalidate cache for this artist
-                this.cache.delete(`get_${id}`);
-                
-                return j;
             } catch (error) {
-                console.error('API clearTimeline error:', error);
+                if (DEBUG) console.warn('API clearTimeline error:', error);
                 throw error;
             }
         }
@@ -178,8 +109,8 @@
         return document.querySelector('div.flex.items-center.gap-12.mb-12, div.flex.items-center.gap-12');
     }
     function getArtistId() {
-        const match = location.pathname.match(/\/artist\/(\d+)/);
-        return match ? match[1] : null;
+        const route = window.BP.route;
+        return route.name === 'artist' ? route.params.id : null;
     }
     function getLoggedInName() {
         const selectors = [
@@ -1309,10 +1240,14 @@
         const isProducerOwner = currentUser === profileOwner;
         // Always fetch latest timeline data from backend
         let timelineData = {};
+        const signal = window.BP.modules.signal();
         try {
-            const r = await fetch(`pinned_message_handler.php?artist_id=${id}`);
-            timelineData = await r.json();
-        } catch { timelineData = {}; }
+            timelineData = await api.fetchNotes(id, { signal });
+        } catch (error) {
+            timelineData = {};
+        }
+        // The user left this artist page while the timeline loaded
+        if (signal.aborted) return;
         
         const notes = timelineData && timelineData.notes ? timelineData.notes : [];
         const latestNote = timelineData && timelineData.latest_note ? timelineData.latest_note : null;
@@ -1635,35 +1570,33 @@
                 };
 
                 timelineBtn.onclick = () => {
-                    if (typeof window.showTimelineModal === 'function') {
-                        window.showTimelineModal({
-                            notes: notes,
-                            producerName: currentUser,
-                            avatarUrl: profileImg ? profileImg.src : '',
-                            isOwner: true,
-                            onAddNote: () => {
-                                showBPNoteModal({
-                                    message: '',
-                                    editable: true,
-                                    onSave: async (newMsg, newGradient, newActions) => {
-                                        await api.addNote(getArtistId(), newMsg, newGradient, newActions);
-                                        if (typeof render === 'function') render();
-                                    },
-                                    onDelete: async () => {
-                                        // Not applicable for new notes
-                                    },
-                                    viewerCount: 0,
-                                    createdAt: Date.now(),
-                                    isLoggedIn: isUserLoggedIn(),
-                                    avatarUrl: profileImg ? profileImg.src : '',
-                                    forceEdit: true,
-                                    currentGradient: BP_NOTE_GRADIENTS[0].value,
-                                    actions: [],
-                                    reactions: {}
-                                });
-                            }
-                        });
-                    }
+                    showTimelineModal({
+                        notes: notes,
+                        producerName: currentUser,
+                        avatarUrl: profileImg ? profileImg.src : '',
+                        isOwner: true,
+                        onAddNote: () => {
+                            showBPNoteModal({
+                                message: '',
+                                editable: true,
+                                onSave: async (newMsg, newGradient, newActions) => {
+                                    await api.addNote(getArtistId(), newMsg, newGradient, newActions);
+                                    if (typeof render === 'function') render();
+                                },
+                                onDelete: async () => {
+                                    // Not applicable for new notes
+                                },
+                                viewerCount: 0,
+                                createdAt: Date.now(),
+                                isLoggedIn: isUserLoggedIn(),
+                                avatarUrl: profileImg ? profileImg.src : '',
+                                forceEdit: true,
+                                currentGradient: BP_NOTE_GRADIENTS[0].value,
+                                actions: [],
+                                reactions: {}
+                            });
+                        }
+                    });
                 };
 
                 actionButtons.appendChild(timelineBtn);
@@ -1931,7 +1864,20 @@
             setTimeout(render, 0);
         }
     }, 1000); // Further increased debounce time to 1000ms
-    ['load', 'spa-route-change', 'popstate'].forEach(ev => window.addEventListener(ev, re));
+    window.addEventListener('load', re);
+    if (window.BP && window.BP.modules) {
+        // The SPA router enters and leaves artist pages through the module lifecycle
+        window.BP.modules.register({
+            name: 'notes',
+            match: route => route.pageType === 'artist',
+            init: re,
+            onRouteChange: re,
+            // render() away from an artist page removes the banner, modal and story ring
+            destroy: () => render()
+        });
+    } else {
+        window.addEventListener('popstate', re);
+    }
     
     // Disabled MutationObserver to prevent render loops - only rely on navigation events
     // function setupMutationObserver() {
@@ -2016,10 +1962,11 @@
                     e.stopPropagation();
                     const artistId = getArtistId();
                     let timelineData = {};
+                    const signal = window.BP.modules.signal();
                     try {
-                        const r = await fetch(`pinned_message_handler.php?artist_id=${artistId}`);
-                        timelineData = await r.json();
+                        timelineData = await api.fetchNotes(artistId, { signal });
                     } catch { timelineData = {}; }
+                    if (signal.aborted) return;
                     
                     const notes = timelineData && timelineData.notes ? timelineData.notes : [];
                     const currentUser = getLoggedInName();
@@ -2027,36 +1974,34 @@
                     const isOwner = currentUser === profileOwner;
                     
                     if (DEBUG) console.log('[BP] Opening timeline modal with', notes.length, 'notes');
-                    if (typeof window.showTimelineModal === 'function') {
-                        window.showTimelineModal({
-                            notes: notes,
-                            producerName: profileOwner,
-                            avatarUrl: img.src,
-                            isOwner: isOwner,
-                            onAddNote: isOwner ? () => {
-                                if (DEBUG) console.log('[BP] Opening add note modal from timeline');
-                                showBPNoteModal({
-                                    message: '',
-                                    editable: true,
-                                    onSave: async (newMsg, newGradient, newActions) => {
-                                        await api.addNote(artistId, newMsg, newGradient, newActions);
-                                        if (typeof render === 'function') render();
-                                    },
-                                    onDelete: async () => {
-                                        // Not applicable for new notes
-                                    },
-                                    viewerCount: 0,
-                                    createdAt: Date.now(),
-                                    isLoggedIn: isUserLoggedIn(),
-                                    avatarUrl: img.src,
-                                    forceEdit: true,
-                                    currentGradient: BP_NOTE_GRADIENTS[0].value,
-                                    actions: [],
-                                    reactions: {}
-                                });
-                            } : null
-                        });
-                    }
+                    showTimelineModal({
+                        notes: notes,
+                        producerName: profileOwner,
+                        avatarUrl: img.src,
+                        isOwner: isOwner,
+                        onAddNote: isOwner ? () => {
+                            if (DEBUG) console.log('[BP] Opening add note modal from timeline');
+                            showBPNoteModal({
+                                message: '',
+                                editable: true,
+                                onSave: async (newMsg, newGradient, newActions) => {
+                                    await api.addNote(artistId, newMsg, newGradient, newActions);
+                                    if (typeof render === 'function') render();
+                                },
+                                onDelete: async () => {
+                                    // Not applicable for new notes
+                                },
+                                viewerCount: 0,
+                                createdAt: Date.now(),
+                                isLoggedIn: isUserLoggedIn(),
+                                avatarUrl: img.src,
+                                forceEdit: true,
+                                currentGradient: BP_NOTE_GRADIENTS[0].value,
+                                actions: [],
+                                reactions: {}
+                            });
+                        } : null
+                    });
                 };
                 wrapper.addEventListener('click', wrapper._bpNoteClickHandler);
             }
@@ -2692,35 +2637,23 @@
                         editable: true,
                         onSave: async (newMsg, newGradient, newActions) => {
                             // Update existing note
-                            const response = await fetch('pinned_message_handler.php', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ 
-                                    artist_id: getArtistId(), 
-                                    note_id: note.id,
-                                    message: newMsg, 
-                                    gradient: newGradient, 
-                                    actions: newActions,
-                                    edit_note: true
-                                })
+                            await api.post({ 
+                                artist_id: getArtistId(), 
+                                note_id: note.id,
+                                message: newMsg, 
+                                gradient: newGradient, 
+                                actions: newActions,
+                                edit_note: true
                             });
-                            const result = await response.json();
-                            if (result.status !== 'ok') throw new Error(result.message || 'Error updating note');
                             if (typeof render === 'function') render();
                         },
                         onDelete: async () => {
                             // Delete this specific note
-                            const response = await fetch('pinned_message_handler.php', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ 
-                                    artist_id: getArtistId(), 
-                                    note_id: note.id,
-                                    delete_note: true
-                                })
+                            await api.post({ 
+                                artist_id: getArtistId(), 
+                                note_id: note.id,
+                                delete_note: true
                             });
-                            const result = await response.json();
-                            if (result.status !== 'ok') throw new Error(result.message || 'Error deleting note');
                             if (typeof render === 'function') render();
                         },
                         viewerCount: note.viewers ? note.viewers.length : 0,
@@ -2767,17 +2700,11 @@
                     e.stopPropagation();
                     if (confirm('Delete this note? This action cannot be undone.')) {
                         try {
-                            const response = await fetch('pinned_message_handler.php', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ 
-                                    artist_id: getArtistId(), 
-                                    note_id: note.id,
-                                    delete_note: true
-                                })
+                            await api.post({ 
+                                artist_id: getArtistId(), 
+                                note_id: note.id,
+                                delete_note: true
                             });
-                            const result = await response.json();
-                            if (result.status !== 'ok') throw new Error(result.message || 'Error deleting note');
                             
                             // Refresh timeline
                             closeModal();
@@ -18,9 +18,7 @@
     
     // Page detection utility
     function isOnPricingPage() {
-        const currentUrl = window.location.href;
-        const currentPath = window.location.pathname;
-        return currentUrl.includes('/pricing') || currentPath.includes('/pricing');
+        return globalObj.BP.routes.is('pricing');
     }
 
     // Centralized Initialization State Manager
@@ -49,10 +47,10 @@
                 await this._waitForCoordinator();
                 
                 // Setup navigation handling
-                this._setupNavigationHandling();
+                const managedByLifecycle = this._setupNavigationHandling();
                 
-                // Initialize based on current page
-                if (isOnPricingPage()) {
+                // Initialize based on current page (the module lifecycle does this itself)
+                if (!managedByLifecycle && isOnPricingPage()) {
                     await this._initializePricingPage();
                 }
                 
@@ -77,6 +75,17 @@
         },
         
         _setupNavigationHandling() {
+            // The SPA router enters and leaves the pricing page through the module lifecycle
+            if (globalObj.BP?.modules) {
+                globalObj.BP.modules.register({
+                    name: 'pricing',
+                    match: route => route.pageType === 'pricing',
+                    init: () => this._initializePricingPage(),
+                    destroy: () => this._cleanupPricingPage()
+                });
+                return true;
+            }
+            
             // Store original methods
             this.state.originalPushState = window.history.pushState;
             this.state.originalReplaceState = window.history.replaceState;
@@ -95,6 +104,7 @@
             // Listen for popstate
             window.addEventListener('popstate', () => this._handleNavigation());
             window.addEventListener('beforeunload', () => this.cleanup());
+            return false;
         },
         
         _handleNavigation() {
@@ -120,6 +130,12 @@
                 // Clean up any existing instance
                 this._cleanupPricingPage();
                 
+                // Kill switch for the carousel (BP.flags 'pricing-carousel')
+                if (globalObj.BP?.flags && !globalObj.BP.flags.isEnabled('pricing-carousel')) {
+                    log('Pricing carousel disabled by feature flag');
+                    return;
+                }
+                
                 // Use requestIdleCallback for non-critical initialization
                 const initializeCarousel = () => {
                     injectPricingStyles();
@@ -33,7 +33,9 @@
             observers: [],
             domUpdateTimeout: null,
             domObserver: null,
-            trackUpdateTimeout: null
+            trackUpdateTimeout: null,
+            playing: null,
+            publishedTitle: null
         },
 
         init() {
@@ -62,18 +64,32 @@
         },
 
         _setupNavigationHandling() {
-            // Override navigation methods
-            ['pushState', 'replaceState'].forEach(method => {
-                const orig = history[method];
-                history[method] = (...args) => {
-                    const result = orig.apply(history, args);
-                    this._handleNavigation();
-                    return result;
-                };
-            });
+            if (window.BP && window.BP.modules) {
+                // The SPA router reports settled navigations through the module lifecycle
+                window.BP.modules.register({
+                    name: 'queue',
+                    match: () => true,
+                    init: () => this._handleNavigation(),
+                    onRouteChange: () => this._handleNavigation()
+                });
+            } else {
+                // Override navigation methods
+                ['pushState', 'replaceState'].forEach(method => {
+                    const orig = history[method];
+                    history[method] = (...args) => {
+                        const result = orig.apply(history, args);
+                        this._handleNavigation();
+                        return result;
+                    };
+                });
 
-            window.addEventListener('popstate', () => this._handleNavigation());
+                window.addEventListener('popstate', () => this._handleNavigation());
+            }
             window.addEventListener('focus', () => this._handleFocus());
+
+            // Media events don't bubble, so listen in the capture phase
+            document.addEventListener('play', () => this._publishPlayerState(true), true);
+            document.addEventListener('pause', () => this._publishPlayerState(false), true);
             
             // Watch for DOM changes that might affect the sidebar
             this._setupDOMObserver();
@@ -122,16 +138,16 @@
                     if (DEBUG) console.log('Queue Enhancement: Sidebar change detected, updating queue');
                     // Debounce the update
                     clearTimeout(this.state.domUpdateTimeout);
-                    this.state.domUpdateTimeout = setTimeout(() => {
+                    this.state.domUpdateTimeout = setTimeout(window.BP.errors.wrap(() => {
                         this._smartQueueUpdate();
-                    }, 200);
+                    }, { module: 'queue', kind: 'observer', operation: 'queue-update' }), 200);
                 } else if (shouldUpdateTrack) {
                     if (DEBUG) console.log('Queue Enhancement: Track highlight change detected, updating track info');
                     // Debounce track updates
                     clearTimeout(this.state.trackUpdateTimeout);
-                    this.state.trackUpdateTimeout = setTimeout(() => {
+                    this.state.trackUpdateTimeout = setTimeout(window.BP.errors.wrap(() => {
                         this._updateCurrentTrack();
-                    }, 100);
+                    }, { module: 'queue', kind: 'observer', operation: 'track-update' }), 100);
                 }
             });
             
@@ -147,6 +163,24 @@
             this.state.domObserver = observer;
         },
 
+        // Publish player:state when playback starts/stops or the current track changes
+        _publishPlayerState(playing = this.state.playing ?? null) {
+            if (!window.BP || !window.BP.emit) return;
+
+            const track = queueEnhancement.getCurrentPlayingTrack();
+            const title = track?.title || null;
+            if (playing === this.state.playing && title === this.state.publishedTitle) return;
+
+            this.state.playing = playing;
+            this.state.publishedTitle = title;
+            window.BP.emit('player:state', {
+                playing,
+                title,
+                artist: track?.artist || null,
+                image: track?.image || null
+            });
+        },
+
         _handleNavigation() {
             setTimeout(() => {
                 this._smartQueueUpdate();
@@ -193,6 +227,7 @@
                     });
                     this._updateTrackInfo(currentTrack);
                     this.state.currentTrack = currentTrack;
+                    this._publishPlayerState();
                 }
                 
                 // Always ensure enhancements are properly attached to current sidebar
@@ -272,6 +307,7 @@
                 if (currentTrack.title !== lastTrackTitle || currentTrack.image !== lastTrackImage) {
                     this.state.currentTrack = currentTrack;
                     this._updateTrackInfo(currentTrack);
+                    this._publishPlayerState();
                     if (DEBUG) console.log('Queue Enhancement: Track info updated to:', currentTrack.title);
                 }
             }
@@ -404,11 +440,12 @@
 
         getCurrentPlayingTrack: function() {
             // First try to get from main player area (most reliable)
-            const mainPlayer = document.querySelector('.flex.items-center.gap-14');
+            const selectors = window.BP && window.BP.selectors;
+            const mainPlayer = selectors ? selectors.query('player.container') : null;
             if (mainPlayer) {
-                const imageEl = mainPlayer.querySelector('img[data-cd-spin="true"]');
-                const titleEl = mainPlayer.querySelector('a.hover\\:underline.overflow-x-hidden.overflow-ellipsis.text-sm');
-                const artistEl = mainPlayer.querySelector('.text-xs.text-muted a');
+                const imageEl = selectors.query('player.cover', mainPlayer);
+                const titleEl = selectors.query('player.title', mainPlayer);
+                const artistEl = selectors.query('player.artist', mainPlayer);
                 
                 if (imageEl && titleEl) {
                     const track = {
@@ -465,21 +502,15 @@
         },
 
         getPlayingContext: function() {
-            // Try to get context from page URL or other indicators
-            const pathname = window.location.pathname;
-            
-            if (pathname.includes('/playlist/')) {
-                return 'Playlist';
-            } else if (pathname.includes('/album/')) {
-                return 'Album';
-            } else if (pathname.includes('/artist/')) {
-                return 'Artist';
-            } else if (pathname.includes('/genre/')) {
-                return 'Genre';
-            } else if (pathname.includes('/discover') || pathname === '/') {
-                return 'Discover';
+            // Try to get context from the current route
+            switch (window.BP.route.name) {
+                case 'playlist': return 'Playlist';
+                case 'album': return 'Album';
+                case 'artist': return 'Artist';
+                case 'genre': return 'Genre';
+                case 'discover': return 'Discover';
             }
-            
+
             // Default context
             return 'Your Library';
         },
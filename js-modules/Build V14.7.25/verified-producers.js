@@ -45,14 +45,14 @@
             const cached = getFromCache(cacheKey);
             if (cached) return cached;
         }
+        // BP.api reports failures to BP.errors
         try {
-            const res = await fetch("https://open.beatpass.ca/verifiedProducers.json");
-            if (res.ok) {
-                const data = await res.json();
-                saveToCache(cacheKey, data, ttl);
-                return data;
-            }
-        } catch {}
+            const data = await window.BP.api.getVerifiedProducers();
+            saveToCache(cacheKey, data, ttl);
+            return data;
+        } catch (error) {
+            if (DEBUG) console.warn('[Verified] Could not load verified producers:', error);
+        }
         return {};
     }
 
@@ -63,12 +63,21 @@
             return await window.VerifiedProducersInitManager.apiManager.updateProducerVerification(producerName, isVerified);
         }
         
-        // Fallback to original API implementation
-        const url = `https://open.beatpass.ca/updateVerifiedProducers.php?producerName=${encodeURIComponent(producerName)}&verifiedStatus=${isVerified}`;
+        // Only admins may change the shared list; other visitors keep their local view
+        const session = await window.BP.auth.session().catch(() => null);
+        if (!session || !session.claims.admin) return false;
+        
         try {
-            const res = await fetch(url, { method: "GET" });
-            return res.ok;
-        } catch { return false; }
+            await window.BP.api.setProducerVerified(producerName, isVerified);
+            return true;
+        } catch (error) {
+            if (window.BP.api.isPermissionError(error)) {
+                console.warn(`[Verified] Not permitted to update verification for ${producerName}`);
+            } else if (DEBUG) {
+                console.warn(`[Verified] Could not update verification for ${producerName}:`, error);
+            }
+            return false;
+        }
     }
 
     // Insert the verified badge SVG into the given container
@@ -109,12 +118,13 @@
         }
         
         // Fallback to original badge rendering
-        document.querySelectorAll('h1.text-2xl.md\\:text-4xl.font-semibold.mb-14.text-center.md\\:text-start')
+        const selectors = window.BP.selectors;
+        selectors.queryAll('artist.header')
             .forEach(titleEl => {
                 const name = titleEl.textContent.trim();
                 if (verifiedProducers[name]) insertVerifiedBadge(titleEl);
             });
-        document.querySelectorAll('div.flex.items-center.gap-6.text-sm.text-muted > div.overflow-x-hidden.overflow-ellipsis > a[href^="/artist/"]')
+        selectors.queryAll('track.artistLink')
             .forEach(linkEl => {
                 const name = linkEl.textContent.trim();
                 if (verifiedProducers[name]) insertVerifiedBadge(linkEl, "small-container");
@@ -130,10 +140,10 @@
         
         // Fallback to original verification checking
         if (!window.location.href.includes("/artist/")) return;
-        const nameEl = document.querySelector('h1.text-2xl.md\\:text-4xl.font-semibold.mb-14.text-center.md\\:text-start');
+        const nameEl = window.BP.selectors.query('artist.header');
         if (!nameEl) return;
         const name = nameEl.textContent.trim();
-        const verifiedElement = document.querySelector('div.absolute.bottom-24.left-0.right-0.mx-auto.flex.w-max.max-w-full.items-center.gap-6.rounded-full.bg-black\\/60.px-8.py-4.text-sm.text-white');
+        const verifiedElement = window.BP.selectors.query('artist.verifiedMark');
         const cached = await fetchCentralJSON(false);
         const isVerified = Boolean(verifiedElement);
         if (cached[name] !== isVerified) {
@@ -168,7 +178,8 @@
                 setTimeout(setupObserver, 100);
                 return;
             }
-            const observer = new MutationObserver(() => applyVerifiedBadges());
+            const observer = new MutationObserver(window.BP.errors.wrap(() => applyVerifiedBadges(),
+                { module: 'verified', kind: 'observer', operation: 'badges' }));
             observer.observe(targetNode, { childList: true, subtree: true });
             if (DEBUG) console.log('[BeatPass] Verified producers observer setup complete');
         }
@@ -192,9 +203,20 @@
             }
         } catch (error) {
             console.error('Error initializing verified producers:', error);
+            window.BP.errors.capture(error, { module: 'verified', kind: 'init' });
         }
     };
 
+    // Module lifecycle - badges are re-applied after every SPA navigation
+    if (window.BP && window.BP.modules) {
+        window.BP.modules.register({
+            name: 'verified',
+            match: () => true,
+            init: window.initVerifiedProducers,
+            onRouteChange: window.initVerifiedProducers
+        });
+    }
+
     // Initialize the badge logic on DOMContentLoaded
     document.addEventListener('DOMContentLoaded', async function() {
         await window.initVerifiedProducers();
@@ -0,0 +1,169 @@
+/**
+ * BeatPass Module Service Worker
+ * Caches injected build modules with stale-while-revalidate and switches
+ * builds atomically: a new version map only becomes active once every module
+ * it lists has been downloaded, so a page never runs a mix of two builds.
+ *
+ * Optional - enabled by setting SERVICE_WORKER_URL in the injection loader.
+ * Registered with scope "/", so the server must send
+ * "Service-Worker-Allowed: /" for this file.
+ */
+'use strict';
+
+const DEBUG = false;
+const CACHE_PREFIX = 'bp-build-';
+const META_CACHE = 'bp-build-meta';
+const RUNTIME_CACHE = 'bp-build-runtime';
+const VERSION_MAP_PATH = '/version_map.php';
+const MODULES_PATH = '/js-modules/';
+
+function log(...args) {
+    if (DEBUG) console.log('[BP SW]', ...args);
+}
+
+function isVersionMapRequest(url) {
+    return url.pathname === VERSION_MAP_PATH;
+}
+
+// Only content-hashed module files are cached; cache-busted (?v=) fallbacks pass through
+function isModuleRequest(url) {
+    return url.pathname.startsWith(MODULES_PATH) &&
+           url.pathname.endsWith('.js') &&
+           url.searchParams.has('h');
+}
+
+// Version maps are stored per build, without any cache-busting parameters
+function getMapKey(url) {
+    const key = new URL(url.origin + VERSION_MAP_PATH);
+    key.searchParams.set('build', url.searchParams.get('build') || '');
+    return key.toString();
+}
+
+function getModuleUrls(map, mapUrl) {
+    const base = new URL(map.base_path, mapUrl.origin);
+    return map.modules.map(mod => {
+        const url = new URL(mod.path.split('/').map(encodeURIComponent).join('/'), base);
+        url.searchParams.set('h', mod.hash);
+        return url.toString();
+    });
+}
+
+async function getActiveMap(mapKey) {
+    const meta = await caches.open(META_CACHE);
+    const response = await meta.match(mapKey);
+    return response ? response.json() : null;
+}
+
+// Download every module of a new build into its own cache, then make it active
+async function installBuild(map, mapUrl) {
+    const mapKey = getMapKey(mapUrl);
+    const active = await getActiveMap(mapKey);
+    if (active && active.hash === map.hash) return;
+
+    const cacheName = CACHE_PREFIX + map.hash;
+    const cache = await caches.open(cacheName);
+    log('Installing build', map.build, map.hash);
+
+    try {
+        await Promise.all(getModuleUrls(map, mapUrl).map(async (url) => {
+            if (await cache.match(url)) return;
+            const response = await fetch(new Request(url, { mode: 'no-cors' }));
+            if (response.type !== 'opaque' && !response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+            await cache.put(url, response);
+        }));
+    } catch (error) {
+        // Keep serving the previous build; the next map check retries
+        log('Build install failed, keeping previous build:', error);
+        await caches.delete(cacheName);
+        return;
+    }
+
+    const meta = await caches.open(META_CACHE);
+    await meta.put(mapKey, new Response(JSON.stringify(map), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+    log('Activated build', map.build, map.hash);
+
+    await pruneCaches();
+}
+
+// Remove build caches and runtime entries no active version map refers to any more
+async function pruneCaches() {
+    const meta = await caches.open(META_CACHE);
+    const activeHashes = new Set();
+    const activeUrls = new Set();
+    for (const request of await meta.keys()) {
+        const map = await (await meta.match(request)).json();
+        activeHashes.add(map.hash);
+        getModuleUrls(map, new URL(request.url)).forEach(url => activeUrls.add(url));
+    }
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== META_CACHE && name !== RUNTIME_CACHE)
+        .filter(name => !activeHashes.has(name.slice(CACHE_PREFIX.length)))
+        .map(name => caches.delete(name)));
+
+    const runtime = await caches.open(RUNTIME_CACHE);
+    for (const request of await runtime.keys()) {
+        if (!activeUrls.has(request.url)) await runtime.delete(request);
+    }
+}
+
+// Serve the active map immediately; fetch the latest in the background and
+// install it for the next page load if its hash changed
+async function handleVersionMap(event, url) {
+    const network = fetch(event.request);
+    event.waitUntil(network
+        .then(response => (response.ok ? response.clone().json() : null))
+        .then(map => map && installBuild(map, url))
+        .catch(error => log('Version map refresh failed:', error)));
+
+    const active = await getActiveMap(getMapKey(url));
+    if (active) {
+        return new Response(JSON.stringify(active), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    return network;
+}
+
+// Stale-while-revalidate for module files
+async function handleModule(event) {
+    const cached = await caches.match(event.request);
+
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(RUNTIME_CACHE);
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(error => log('Module revalidation failed:', error)));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+    if (isVersionMapRequest(url)) {
+        event.respondWith(handleVersionMap(event, url));
+    } else if (isModuleRequest(url)) {
+        event.respondWith(handleModule(event));
+    }
+});
@@ -0,0 +1,189 @@
+<?php
+// Signed session tokens for the injected build.
+// session_token.php checks the visitor's host session (the cookie the host app already set)
+// against the host API and issues a short-lived HMAC-signed token naming the user, their
+// artist profiles and whether they are an admin. Write handlers include this file and call
+// bp_auth_require() / bp_auth_require_* before changing anything; reads stay public.
+//
+// The secret is read from the BP_AUTH_SECRET environment variable. Without it no token is
+// ever issued or accepted, so writes fail closed.
+//
+// Token: base64url(json claims) . "." . base64url(hmac_sha256(claims part, secret))
+// Claims: { sub, name, admin, artists: [artist ids], iat, exp }
+
+define('BP_AUTH_HEADER', 'HTTP_X_BP_TOKEN');
+define('BP_AUTH_TTL', 15 * 60);
+define('BP_HOST_API', 'https://open.beatpass.ca/api/v1');
+define('BP_HOST_TIMEOUT', 5);
+
+function bp_auth_secret() {
+    $secret = getenv('BP_AUTH_SECRET');
+    return is_string($secret) && strlen($secret) >= 32 ? $secret : null;
+}
+
+function bp_base64url_encode($data) {
+    return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+}
+
+function bp_base64url_decode($data) {
+    return base64_decode(strtr($data, '-_', '+/'));
+}
+
+// Ends the request with the same { status, message } shape the handlers use.
+// $code is 'unauthorized' (no or expired token) or 'forbidden' (not allowed for this user).
+function bp_auth_fail($http_status, $code, $message) {
+    http_response_code($http_status);
+    header('Content-Type: application/json');
+    echo json_encode(['status' => 'error', 'code' => $code, 'message' => $message]);
+    exit;
+}
+
+// ---------------------------
+// Host session
+// ---------------------------
+
+// GET against the host API. With $forward_session the visitor's cookies are passed on,
+// so the host answers as the logged-in user.
+function bp_host_get($path, $forward_session = false) {
+    $headers = ['Accept: application/json'];
+    if ($forward_session) {
+        if (empty($_SERVER['HTTP_COOKIE'])) return null;
+        $headers[] = 'Cookie: ' . $_SERVER['HTTP_COOKIE'];
+        // Cookie-authenticated API calls are only accepted from the host's own pages
+        $headers[] = 'Referer: ' . preg_replace('#/api/v1$#', '/', BP_HOST_API);
+    }
+
+    $ch = curl_init(BP_HOST_API . $path);
+    curl_setopt_array($ch, [
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_HTTPHEADER => $headers,
+        CURLOPT_TIMEOUT => BP_HOST_TIMEOUT,
+        CURLOPT_FOLLOWLOCATION => false
+    ]);
+    $body = curl_exec($ch);
+    $status = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    curl_close($ch);
+
+    if ($body === false || $status !== 200) return null;
+    $data = json_decode($body, true);
+    return is_array($data) ? $data : null;
+}
+
+// The logged-in host user as token claims, or null for guests
+function bp_auth_session_claims() {
+    $data = bp_host_get('/users/me?with=artists,roles', true);
+    $user = $data['user'] ?? null;
+    if (!is_array($user) || empty($user['id'])) return null;
+
+    $roles = array_map(function($role) {
+        return is_array($role) ? ($role['name'] ?? '') : (string)$role;
+    }, $user['roles'] ?? []);
+    $permissions = $user['permissions'] ?? [];
+    $is_admin = in_array('admin', $roles, true) ||
+                !empty($permissions['admin']) || in_array('admin', (array)$permissions, true);
+
+    $artists = array_values(array_filter(array_map(function($artist) {
+        return isset($artist['id']) ? (string)$artist['id'] : null;
+    }, $user['artists'] ?? [])));
+
+    return [
+        'sub' => (string)$user['id'],
+        'name' => (string)($user['display_name'] ?? $user['name'] ?? ''),
+        'admin' => $is_admin,
+        'artists' => $artists
+    ];
+}
+
+// ---------------------------
+// Tokens
+// ---------------------------
+
+function bp_auth_issue($claims) {
+    $secret = bp_auth_secret();
+    if (!$secret) return null;
+
+    $now = time();
+    $claims['iat'] = $now;
+    $claims['exp'] = $now + BP_AUTH_TTL;
+    $payload = bp_base64url_encode(json_encode($claims));
+    $signature = bp_base64url_encode(hash_hmac('sha256', $payload, $secret, true));
+    return ['token' => $payload . '.' . $signature, 'claims' => $claims];
+}
+
+function bp_auth_verify($token) {
+    $secret = bp_auth_secret();
+    if (!$secret || !is_string($token) || substr_count($token, '.') !== 1) return null;
+
+    list($payload, $signature) = explode('.', $token);
+    $expected = bp_base64url_encode(hash_hmac('sha256', $payload, $secret, true));
+    if (!hash_equals($expected, $signature)) return null;
+
+    $claims = json_decode(bp_base64url_decode($payload), true);
+    if (!is_array($claims) || empty($claims['sub']) || ($claims['exp'] ?? 0) < time()) return null;
+    return $claims;
+}
+
+// Claims of the token sent with this request, or null
+function bp_auth_claims() {
+    return bp_auth_verify($_SERVER[BP_AUTH_HEADER] ?? '');
+}
+
+function bp_auth_require() {
+    $claims = bp_auth_claims();
+    if (!$claims) bp_auth_fail(401, 'unauthorized', 'Sign in to make changes');
+    return $claims;
+}
+
+// ---------------------------
+// Ownership
+// ---------------------------
+
+function bp_auth_is_admin($claims) {
+    return !empty($claims['admin']);
+}
+
+function bp_auth_owns_artist($claims, $artist_id) {
+    return bp_auth_is_admin($claims) ||
+           in_array((string)$artist_id, $claims['artists'] ?? [], true);
+}
+
+// A track belongs to the users behind any of its artists. The lookup goes out with the
+// visitor's session: private, unlisted and still-processing tracks are only visible to their owner.
+function bp_auth_owns_track($claims, $track_id) {
+    if (bp_auth_is_admin($claims)) return true;
+    if (empty($track_id) || empty($claims['artists'])) return false;
+
+    $data = bp_host_get('/tracks/' . rawurlencode($track_id), true);
+    $artists = $data['track']['artists'] ?? [];
+    foreach ($artists as $artist) {
+        if (isset($artist['id']) && bp_auth_owns_artist($claims, $artist['id'])) return true;
+    }
+    return false;
+}
+
+function bp_auth_require_admin() {
+    $claims = bp_auth_require();
+    if (!bp_auth_is_admin($claims)) bp_auth_fail(403, 'forbidden', 'Only admins can do this');
+    return $claims;
+}
+
+function bp_auth_require_artist($artist_id) {
+    $claims = bp_auth_require();
+    if (!bp_auth_owns_artist($claims, $artist_id)) {
+        bp_auth_fail(403, 'forbidden', 'You can only change your own profile');
+    }
+    return $claims;
+}
+
+// Writes by track name cannot be checked against the host, so they are admin-only
+function bp_auth_require_track($track_id) {
+    $claims = bp_auth_require();
+    if (empty($track_id) && !bp_auth_is_admin($claims)) {
+        bp_auth_fail(403, 'forbidden', 'A track id is required to save changes');
+    }
+    if (!bp_auth_owns_track($claims, $track_id)) {
+        bp_auth_fail(403, 'forbidden', 'You can only edit your own tracks');
+    }
+    return $claims;
+}
+?>
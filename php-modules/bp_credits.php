@@ -0,0 +1,87 @@
+<?php
+// Producer credits, mirroring BP.credits in beatpass-core.js.
+// Stored in track_key_bpm.credits as a JSON array of
+// {"artist_id": "123"|null, "name": "...", "role": "producer", "split": 50}; splits total 100.
+// The free-text producers column is kept as it is for older clients.
+
+define('BP_CREDITS_MAX', 10);
+define('BP_CREDITS_MAX_NAME_LENGTH', 100);
+define('BP_CREDITS_SPLIT_TOTAL', 100);
+define('BP_CREDITS_SPLIT_TOLERANCE', 0.01);
+
+define('BP_CREDITS_ROLES', ['producer', 'co-producer', 'composer', 'songwriter']);
+define('BP_CREDITS_ROLE_WORDS', [
+    'prod' => 'producer', 'produced by' => 'producer',
+    'coproducer' => 'co-producer', 'coprod' => 'co-producer',
+    'writer' => 'songwriter'
+]);
+
+// Unknown roles are 'producer'
+function bp_credits_normalize_role($value) {
+    $text = strtolower(trim((string)$value));
+    if (in_array($text, BP_CREDITS_ROLES, true)) return $text;
+    return BP_CREDITS_ROLE_WORDS[$text] ?? BP_CREDITS_ROLE_WORDS[preg_replace('/[\s\-_.]+/', '', $text)] ?? 'producer';
+}
+
+// "123" or an artist profile link (/artist/123/name) -> "123"; anything else -> null
+function bp_credits_parse_artist_id($value) {
+    $text = trim((string)$value);
+    if (ctype_digit($text)) return $text;
+    return preg_match('#/artist/(\d+)#', $text, $match) ? $match[1] : null;
+}
+
+// Two decimals; whole numbers encode as 50 rather than 50.0
+function bp_credits_round_split($value) {
+    $text = str_replace('%', '', trim((string)$value));
+    $split = is_numeric($text) ? round((float)$text, 2) : 0;
+    return floor($split) == $split ? (int)$split : $split;
+}
+
+function bp_credits_normalize_credit($credit) {
+    $credit = is_array($credit) ? $credit : [];
+    $name = trim(preg_replace('/\s+/u', ' ', (string)($credit['name'] ?? '')));
+    return [
+        'artist_id' => bp_credits_parse_artist_id($credit['artist_id'] ?? ''),
+        'name' => mb_substr($name, 0, BP_CREDITS_MAX_NAME_LENGTH, 'UTF-8'),
+        'role' => bp_credits_normalize_role($credit['role'] ?? ''),
+        'split' => bp_credits_round_split($credit['split'] ?? 0)
+    ];
+}
+
+// Validates credits as sent by the client (a JSON array, or '' to clear them).
+// Returns ['value' => JSON to store or '' for none, 'error' => null] or ['value' => null, 'error' => message].
+function bp_credits_validate($value) {
+    $value = trim((string)$value);
+    if ($value === '') return ['value' => '', 'error' => null];
+
+    $list = json_decode($value, true);
+    if (!is_array($list) || array_values($list) !== $list) {
+        return ['value' => null, 'error' => 'Credits must be a list'];
+    }
+    if (empty($list)) return ['value' => '', 'error' => null];
+
+    $credits = array_map('bp_credits_normalize_credit', $list);
+    if (count($credits) > BP_CREDITS_MAX) {
+        return ['value' => null, 'error' => 'At most ' . BP_CREDITS_MAX . ' people can be credited'];
+    }
+
+    $seen = [];
+    $total = 0;
+    foreach ($credits as $credit) {
+        if ($credit['name'] === '') return ['value' => null, 'error' => 'Every credit needs a name'];
+        if ($credit['split'] <= 0 || $credit['split'] > BP_CREDITS_SPLIT_TOTAL) {
+            return ['value' => null, 'error' => 'Each split must be more than 0% and at most 100%'];
+        }
+        $key = $credit['artist_id'] !== null ? 'id:' . $credit['artist_id'] : 'name:' . mb_strtolower($credit['name'], 'UTF-8');
+        if (isset($seen[$key])) return ['value' => null, 'error' => $credit['name'] . ' is credited twice'];
+        $seen[$key] = true;
+        $total += $credit['split'];
+    }
+
+    $total = round($total, 2);
+    if (abs($total - BP_CREDITS_SPLIT_TOTAL) > BP_CREDITS_SPLIT_TOLERANCE) {
+        return ['value' => null, 'error' => "Splits add up to {$total}% - they must total 100%"];
+    }
+    return ['value' => json_encode($credits, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES), 'error' => null];
+}
+?>
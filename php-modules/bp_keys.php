@@ -0,0 +1,70 @@
+<?php
+// Canonical musical keys, mirroring BP.keys in beatpass-core.js.
+// Any common spelling ("C#m", "Db minor", "C# / D♭" + "Minor", "d flat") is read as a pitch class
+// and a mode and stored as one of the Key dropdown options plus "Major" or "Minor".
+// Values that cannot be read are kept as they are.
+
+define('BP_KEY_NAMES', ['C', 'C# / D♭', 'D', 'D# / E♭', 'E', 'F', 'F# / G♭', 'G', 'G# / A♭', 'A', 'A# / B♭', 'B']);
+define('BP_SCALE_NAMES', ['major' => 'Major', 'minor' => 'Minor']);
+define('BP_KEY_NATURALS', ['c' => 0, 'd' => 2, 'e' => 4, 'f' => 5, 'g' => 7, 'a' => 9, 'b' => 11]);
+define('BP_MODE_WORDS', [
+    'maj' => 'major', 'major' => 'major', 'ionian' => 'major',
+    'min' => 'minor', 'minor' => 'minor', 'aeolian' => 'minor',
+    'natural minor' => 'minor', 'harmonic minor' => 'minor', 'melodic minor' => 'minor'
+]);
+
+// Folds ♯/♭ and spelled-out accidentals to # and b
+function bp_key_clean($value) {
+    $text = str_replace(['♯', '＃', '♭'], ['#', '#', 'b'], (string)$value);
+    $text = preg_replace('/\s*-?\s*sharp\b/i', '#', $text);
+    $text = preg_replace('/\s*-?\s*flat\b/i', 'b', $text);
+    return trim(preg_replace('/\s+/', ' ', $text));
+}
+
+// 'major', 'minor' or null. A lone "M" is major, a lone "m" or "-" minor.
+function bp_key_parse_mode($value) {
+    $text = bp_key_clean($value);
+    if ($text === '') return null;
+    if ($text === 'M') return 'major';
+
+    $lower = strtolower($text);
+    if ($lower === 'm' || $lower === '-') return 'minor';
+    return BP_MODE_WORDS[$lower] ?? null;
+}
+
+// ['pitch_class' => 0-11, 'mode' => 'major'|'minor'|null] from a key name alone, or null
+function bp_key_parse_name($value) {
+    $text = bp_key_clean($value);
+    if ($text === '') return null;
+
+    $pitch_class = null;
+    $mode = null;
+    foreach (array_map('trim', explode('/', $text)) as $part) {
+        if (!preg_match('/^([A-Ga-g])\s*([#b])?/', $part, $match)) return null;
+
+        $offset = ($match[2] ?? '') === '#' ? 1 : (($match[2] ?? '') === 'b' ? -1 : 0);
+        $pc = (BP_KEY_NATURALS[strtolower($match[1])] + $offset + 12) % 12;
+        // "C# / D♭" must name the same pitch twice
+        if ($pitch_class !== null && $pc !== $pitch_class) return null;
+        $pitch_class = $pc;
+
+        $rest = trim(substr($part, strlen($match[0])));
+        if ($rest !== '') {
+            $part_mode = bp_key_parse_mode($rest);
+            if (!$part_mode || ($mode && $part_mode !== $mode)) return null;
+            $mode = $part_mode;
+        }
+    }
+
+    return ['pitch_class' => $pitch_class, 'mode' => $mode];
+}
+
+// Canonical [key_name, scale]; the scale field wins over a mode written into the key name
+function bp_key_normalize($key_name, $scale) {
+    $key = bp_key_parse_name($key_name);
+    if (!$key) return [(string)$key_name, (string)$scale];
+
+    $mode = bp_key_parse_mode($scale) ?: $key['mode'];
+    return [BP_KEY_NAMES[$key['pitch_class']], $mode ? BP_SCALE_NAMES[$mode] : (string)$scale];
+}
+?>
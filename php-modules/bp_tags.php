@@ -0,0 +1,109 @@
+<?php
+// Tag taxonomy, mirroring BP.tags in beatpass-core.js.
+// Tags are stored lowercase and single-spaced as "dark, trap, 808", without duplicates, with
+// synonyms from tag_synonyms.json merged into their canonical tag and at most BP_TAGS_MAX per track.
+
+define('BP_TAGS_MAX', 10);
+define('BP_TAGS_MAX_LENGTH', 32);
+// Deployed next to the handlers, like verifiedProducers.json
+define('BP_TAGS_SYNONYMS_FILE', __DIR__ . '/tag_synonyms.json');
+// Popular tags are counted over the whole catalog, so the counts are cached: rebuilt when older
+// than BP_TAGS_POPULAR_TTL, after a save that changes tags, or by migrate_tags.php
+define('BP_TAGS_POPULAR_FILE', sys_get_temp_dir() . '/bp_popular_tags.json');
+define('BP_TAGS_POPULAR_TTL', 15 * 60);
+define('BP_TAGS_POPULAR_MAX', 100);
+
+// "  #Dark   Trap " -> "dark trap"
+function bp_tags_clean($tag) {
+    $tag = trim(preg_replace('/[,\s]+/u', ' ', (string)$tag));
+    $tag = trim(ltrim($tag, '#'));
+    return trim(mb_substr(mb_strtolower($tag, 'UTF-8'), 0, BP_TAGS_MAX_LENGTH, 'UTF-8'));
+}
+
+// "hip-hop", "hip hop" and "hiphop" are one spelling
+function bp_tags_compact($tag) {
+    return preg_replace("/[\\s\\-_.']+/u", '', $tag);
+}
+
+// Compact spelling => canonical tag, read once per request. Without the dictionary only
+// casing and spacing are normalized.
+function bp_tags_synonyms() {
+    static $index = null;
+    if ($index !== null) return $index;
+
+    $index = [];
+    $dictionary = is_readable(BP_TAGS_SYNONYMS_FILE) ? json_decode(file_get_contents(BP_TAGS_SYNONYMS_FILE), true) : null;
+    foreach (is_array($dictionary) ? $dictionary : [] as $tag => $variants) {
+        $canonical = bp_tags_clean($tag);
+        if ($canonical === '') continue;
+
+        foreach (array_merge([$canonical], is_array($variants) ? $variants : []) as $variant) {
+            $key = bp_tags_compact(bp_tags_clean($variant));
+            if ($key !== '') $index[$key] = $canonical;
+        }
+    }
+    return $index;
+}
+
+// Canonical form of one tag, or '' when nothing is left of it
+function bp_tags_normalize($tag) {
+    $clean = bp_tags_clean($tag);
+    if ($clean === '') return '';
+    return bp_tags_synonyms()[bp_tags_compact($clean)] ?? $clean;
+}
+
+// "Dark, drk ,Trap" -> ['dark', 'trap']
+function bp_tags_parse($value) {
+    $tags = [];
+    foreach (explode(',', (string)$value) as $tag) {
+        $tag = bp_tags_normalize($tag);
+        if ($tag !== '' && !in_array($tag, $tags, true)) $tags[] = $tag;
+        if (count($tags) >= BP_TAGS_MAX) break;
+    }
+    return $tags;
+}
+
+// "Dark, drk ,Trap" -> "dark, trap"
+function bp_tags_normalize_list($value) {
+    return implode(', ', bp_tags_parse($value));
+}
+
+// Counts every track's tags and caches the BP_TAGS_POPULAR_MAX most used:
+// [['tag' => 'dark', 'count' => 41], ...], most used first. Tags saved before this file
+// are normalized as they are counted.
+function bp_tags_refresh_popular($conn) {
+    $counts = [];
+    $rows = $conn->query("SELECT tags FROM track_key_bpm WHERE tags IS NOT NULL AND tags != ''");
+    while ($row = $rows->fetch_assoc()) {
+        foreach (bp_tags_parse($row['tags']) as $tag) {
+            $counts[$tag] = ($counts[$tag] ?? 0) + 1;
+        }
+    }
+    arsort($counts);
+
+    $popular = [];
+    foreach (array_slice($counts, 0, BP_TAGS_POPULAR_MAX, true) as $tag => $count) {
+        $popular[] = ['tag' => (string)$tag, 'count' => $count];
+    }
+
+    // Written aside and renamed, so readers never see a partial file
+    $temp = BP_TAGS_POPULAR_FILE . '.' . getmypid();
+    if (file_put_contents($temp, json_encode($popular)) !== false) {
+        rename($temp, BP_TAGS_POPULAR_FILE);
+    }
+    return $popular;
+}
+
+// The $limit most used tags, from the cache while it is fresh
+function bp_tags_popular($conn, $limit) {
+    $fresh = is_readable(BP_TAGS_POPULAR_FILE) && filemtime(BP_TAGS_POPULAR_FILE) > time() - BP_TAGS_POPULAR_TTL;
+    $popular = $fresh ? json_decode(file_get_contents(BP_TAGS_POPULAR_FILE), true) : null;
+    if (!is_array($popular)) $popular = bp_tags_refresh_popular($conn);
+    return array_slice($popular, 0, $limit);
+}
+
+// Called after saving tags: the next request counts again
+function bp_tags_forget_popular() {
+    if (file_exists(BP_TAGS_POPULAR_FILE)) @unlink(BP_TAGS_POPULAR_FILE);
+}
+?>
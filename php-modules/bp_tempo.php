@@ -0,0 +1,28 @@
+<?php
+// BPM feel, mirroring BP.tempo in beatpass-core.js.
+// bpm is stored as listed; bpm_feel says whether the beat grooves at that tempo ('normal'),
+// at half of it ('half') or at double it ('double'). Searches match either reading.
+
+define('BP_TEMPO_FEELS', [
+    'normal' => 'normal', 'straight' => 'normal',
+    'half' => 'half', 'half-time' => 'half', 'half time' => 'half', 'halftime' => 'half',
+    'double' => 'double', 'double-time' => 'double', 'double time' => 'double', 'doubletime' => 'double'
+]);
+
+// 'normal', 'half' or 'double'; empty and unknown values are 'normal'
+function bp_tempo_normalize_feel($value) {
+    return BP_TEMPO_FEELS[strtolower(trim((string)$value))] ?? 'normal';
+}
+
+// SQL condition (with 6 float placeholders, see bp_tempo_range_params) matching rows whose
+// listed BPM, or the tempo their feel implies, falls in a range
+function bp_tempo_range_condition() {
+    return "(bpm BETWEEN ? AND ?)"
+        . " OR (bpm_feel = 'half' AND bpm / 2 BETWEEN ? AND ?)"
+        . " OR (bpm_feel = 'double' AND bpm * 2 BETWEEN ? AND ?)";
+}
+
+function bp_tempo_range_params($min, $max) {
+    return [$min, $max, $min, $max, $min, $max];
+}
+?>
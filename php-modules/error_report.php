@@ -0,0 +1,132 @@
+<?php
+// Client error reports from the injected build.
+// POST /error_report.php with {"errors": [...], "userAgent": "..."} as sent by BP.errors.flush().
+// Every error becomes one JSON line in error_reports.log; the log is rotated to
+// error_reports.log.1 once it grows past MAX_LOG_BYTES, so disk use stays bounded.
+//
+// The log holds page URLs, stack traces and user agents, so it is kept outside the document
+// root: in BP_ERROR_LOG_DIR when set, otherwise in bp-logs/ next to the directory this file is
+// served from. Each client address may send RATE_LIMIT_BATCHES batches per RATE_LIMIT_WINDOW,
+// so one visitor cannot flood the log and rotate real reports out.
+
+define('ERROR_LOG_DIR', getenv('BP_ERROR_LOG_DIR') ?: dirname(__DIR__) . '/bp-logs');
+define('ERROR_LOG_FILE', ERROR_LOG_DIR . '/error_reports.log');
+define('RATE_LIMIT_FILE', ERROR_LOG_DIR . '/error_report_rate.json');
+define('MAX_LOG_BYTES', 5 * 1024 * 1024);
+define('MAX_BATCH_SIZE', 50);
+define('MAX_FIELD_LENGTH', 4000);
+define('RATE_LIMIT_BATCHES', 20);
+define('RATE_LIMIT_WINDOW', 10 * 60); // seconds
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Headers: Content-Type');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+
+function fail($code, $message) {
+    http_response_code($code);
+    echo json_encode(['status' => 'error', 'message' => $message]);
+    exit;
+}
+
+// Reports are untrusted input: keep only known fields, as bounded strings
+function clean_string($value) {
+    if (!is_scalar($value)) return null;
+    return mb_substr((string)$value, 0, MAX_FIELD_LENGTH);
+}
+
+function clean_error($error) {
+    if (!is_array($error)) return null;
+
+    $route = is_array($error['route'] ?? null) ? $error['route'] : [];
+    $build = is_array($error['build'] ?? null) ? $error['build'] : [];
+
+    return [
+        'module' => clean_string($error['module'] ?? 'unknown'),
+        'kind' => clean_string($error['kind'] ?? 'error'),
+        'operation' => clean_string($error['operation'] ?? null),
+        'name' => clean_string($error['name'] ?? null),
+        'message' => clean_string($error['message'] ?? ''),
+        'stack' => clean_string($error['stack'] ?? null),
+        'path' => clean_string($route['path'] ?? null),
+        'page_type' => clean_string($route['pageType'] ?? null),
+        'build' => clean_string($build['id'] ?? null),
+        'build_hash' => clean_string($build['hash'] ?? null),
+        'client_time' => clean_string($error['time'] ?? null)
+    ];
+}
+
+// Counts this batch against the client's address; false once it is over the limit.
+// Addresses are stored hashed and forgotten when their window has passed.
+function within_rate_limit() {
+    $client = hash('sha256', $_SERVER['REMOTE_ADDR'] ?? 'unknown');
+    $now = time();
+
+    $handle = fopen(RATE_LIMIT_FILE, 'c+');
+    if (!$handle) return true; // Never lose reports to a bookkeeping failure
+    flock($handle, LOCK_EX);
+
+    $counts = json_decode(stream_get_contents($handle), true);
+    $counts = array_filter(is_array($counts) ? $counts : [], function($entry) use ($now) {
+        return is_array($entry) && ($entry['since'] ?? 0) > $now - RATE_LIMIT_WINDOW;
+    });
+    $entry = $counts[$client] ?? ['since' => $now, 'batches' => 0];
+    $entry['batches']++;
+    $counts[$client] = $entry;
+
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($counts));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    return $entry['batches'] <= RATE_LIMIT_BATCHES;
+}
+
+function rotate_log() {
+    if (file_exists(ERROR_LOG_FILE) && filesize(ERROR_LOG_FILE) > MAX_LOG_BYTES) {
+        rename(ERROR_LOG_FILE, ERROR_LOG_FILE . '.1');
+    }
+}
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(204);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    fail(405, 'Only POST requests are allowed');
+}
+
+if (!is_dir(ERROR_LOG_DIR) && !mkdir(ERROR_LOG_DIR, 0750, true)) {
+    fail(500, 'Error log directory unavailable');
+}
+
+if (!within_rate_limit()) {
+    header('Retry-After: ' . RATE_LIMIT_WINDOW);
+    fail(429, 'Too many error reports');
+}
+
+$data = json_decode(file_get_contents('php://input'), true);
+if (!is_array($data) || !isset($data['errors']) || !is_array($data['errors'])) {
+    fail(400, 'Expected {"errors": [...]}');
+}
+
+$received = date('c');
+$userAgent = clean_string($data['userAgent'] ?? ($_SERVER['HTTP_USER_AGENT'] ?? null));
+$lines = '';
+foreach (array_slice($data['errors'], 0, MAX_BATCH_SIZE) as $error) {
+    $entry = clean_error($error);
+    if (!$entry) continue;
+    $entry['received_at'] = $received;
+    $entry['user_agent'] = $userAgent;
+    $lines .= json_encode($entry, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+}
+
+if ($lines !== '') {
+    rotate_log();
+    file_put_contents(ERROR_LOG_FILE, $lines, FILE_APPEND | LOCK_EX);
+}
+
+echo json_encode(['status' => 'success', 'stored' => substr_count($lines, "\n")]);
+?>
@@ -1,4 +1,10 @@
 <?php
+require_once __DIR__ . '/bp_auth.php';
+require_once __DIR__ . '/bp_keys.php';
+require_once __DIR__ . '/bp_tempo.php';
+require_once __DIR__ . '/bp_tags.php';
+require_once __DIR__ . '/bp_credits.php';
+
 // Database credentials
 $host = 'localhost';
 $db = 'database-name';
@@ -67,18 +73,73 @@ function checkDuplicateFingerprints($conn, $fingerprint, $fingerprint_hash, $cur
     return $results;
 }
 
+// Batch metadata lookup for track tables, queues and previews.
+// Returns the display fields of every known track, keyed by track id and by track name;
+// unknown tracks are simply missing from the maps.
+function fetchTrackMetadataBatch($conn, $track_ids, $track_names) {
+    $max_batch = 100;
+    $fields = "track_id, track_name, key_name, scale, bpm, bpm_feel, licensing_type, exclusive_price, exclusive_currency, exclusive_status, credits";
+
+    $track_ids = array_slice(array_values(array_unique(array_filter(array_map('trim', $track_ids), 'ctype_digit'))), 0, $max_batch);
+    $track_names = array_slice(array_values(array_unique(array_filter(array_map('trim', $track_names), 'strlen'))), 0, $max_batch);
+
+    $by_id = [];
+    $by_name = [];
+    foreach (['track_id' => $track_ids, 'track_name' => $track_names] as $column => $values) {
+        if (empty($values)) continue;
+
+        $placeholders = implode(', ', array_fill(0, count($values), '?'));
+        $stmt = $conn->prepare("SELECT $fields FROM track_key_bpm WHERE $column IN ($placeholders) ORDER BY track_id ASC");
+        $stmt->bind_param(str_repeat('s', count($values)), ...$values);
+        $stmt->execute();
+
+        foreach ($stmt->get_result()->fetch_all(MYSQLI_ASSOC) as $row) {
+            if ($column === 'track_id') {
+                $by_id[$row['track_id']] = $row;
+            } elseif (!isset($by_name[$row['track_name']])) {
+                // Names are not unique; keep the oldest track with that name
+                $by_name[$row['track_name']] = $row;
+            }
+        }
+    }
+
+    // Empty maps must encode as {} rather than []
+    return ['by_id' => (object)$by_id, 'by_name' => (object)$by_name];
+}
+
+// Tempo search for filters: tracks whose BPM, or the tempo their half/double feel implies,
+// falls between $min and $max. Returns up to 200 rows of display fields, lowest track id first.
+function findTracksByTempo($conn, $min, $max) {
+    $max_results = 200;
+    $fields = "track_id, track_name, key_name, scale, bpm, bpm_feel, licensing_type, exclusive_price, exclusive_currency, exclusive_status";
+
+    $stmt = $conn->prepare("SELECT $fields FROM track_key_bpm WHERE " . bp_tempo_range_condition() . " ORDER BY track_id ASC LIMIT $max_results");
+    $params = bp_tempo_range_params($min, $max);
+    $stmt->bind_param("dddddd", ...$params);
+    $stmt->execute();
+
+    return $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+}
+
 // Handle POST request (Insert or Update)
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     $track_id = $_POST['track_id'] ?? '';
     $track_name = $_POST['track_name'] ?? '';
     $key_name = $_POST['key_name'] ?? '';
     $scale = $_POST['scale'] ?? '';
+    if ($key_name !== '') {
+        // Stored as the canonical "C# / D♭" + "Minor" whatever spelling was sent
+        list($key_name, $scale) = bp_key_normalize($key_name, $scale);
+    }
     $bpm = isset($_POST['bpm']) ? $_POST['bpm'] : null; // Don't cast yet
+    // Only written when sent: builds without the feel field must not reset a stored half/double feel
+    $bpm_feel_sent = isset($_POST['bpm_feel']) && $_POST['bpm_feel'] !== '';
+    $bpm_feel = bp_tempo_normalize_feel($_POST['bpm_feel'] ?? '');
     $duration_ms = isset($_POST['duration_ms']) ? $_POST['duration_ms'] : null; // Duration field
     $playback_url = $_POST['playback_url'] ?? '';
     $fingerprint = $_POST['fingerprint'] ?? '';
     $producers = $_POST['producers'] ?? ''; // NEW: Producers field
-    $tags = $_POST['tags'] ?? ''; // NEW: Tags field
+    $tags = bp_tags_normalize_list($_POST['tags'] ?? ''); // Stored as "dark, trap", see bp_tags.php
     $fingerprint_hash = !empty($fingerprint) ? md5(substr($fingerprint, 0, 1000)) : ''; // Generate hash from first 1000 chars
 
     // NEW: Exclusive licensing fields
@@ -88,6 +149,21 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     $licensing_type = $_POST['licensing_type'] ?? 'non_exclusive_only';
     $exclusive_buyer_info = $_POST['exclusive_buyer_info'] ?? '';
 
+    // Only the track's producers (or an admin) may change its metadata or fingerprint
+    bp_auth_require_track($track_id);
+
+    // Credits are only touched when sent; '' clears them. Invalid credits reject the whole save.
+    $credits_sent = isset($_POST['credits']);
+    $credits = null;
+    if ($credits_sent) {
+        $credits_check = bp_credits_validate($_POST['credits']);
+        if ($credits_check['error'] !== null) {
+            echo json_encode(['status' => 'error', 'message' => $credits_check['error']]);
+            exit;
+        }
+        $credits = $credits_check['value'] === '' ? null : $credits_check['value'];
+    }
+
     // Debug: Log all POST values for troubleshooting
     file_put_contents(__DIR__ . '/playback_debug.log', date('c') . ' ' . json_encode($_POST) . PHP_EOL, FILE_APPEND);
 
@@ -124,6 +200,24 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         (is_string($exclusive_price) && trim($exclusive_price) === '')
     );
 
+    // Remove a stored fingerprint (e.g. when the user replaces the audio)
+    if (!empty($_POST['delete_fingerprint']) && (!empty($track_id) || !empty($track_name))) {
+        if (!empty($track_id)) {
+            $stmt = $conn->prepare("UPDATE track_key_bpm SET fingerprint = NULL, fingerprint_hash = NULL WHERE track_id = ?");
+            $stmt->bind_param("s", $track_id);
+        } else {
+            $stmt = $conn->prepare("UPDATE track_key_bpm SET fingerprint = NULL, fingerprint_hash = NULL WHERE track_name = ?");
+            $stmt->bind_param("s", $track_name);
+        }
+        $stmt->execute();
+        if ($stmt->affected_rows > 0) {
+            echo json_encode(['status' => 'success', 'message' => 'Fingerprint deleted']);
+        } else {
+            echo json_encode(['status' => 'error', 'message' => 'No fingerprint to delete']);
+        }
+        exit;
+    }
+
     // If only updating playback_url
     if (
         !empty($playback_url) &&
@@ -228,6 +322,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         }
         $stmt->execute();
         if ($stmt->affected_rows > 0) {
+            bp_tags_forget_popular();
             echo json_encode(['status' => 'success', 'message' => 'Tags updated']);
         } else {
             echo json_encode(['status' => 'error', 'message' => 'No changes made or error occurred']);
@@ -235,6 +330,36 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         exit;
     }
 
+    // If only updating producer credits (sent with licensing data they go through the branch below)
+    if (
+        $credits_sent &&
+        !isset($_POST['licensing_type']) &&
+        (!empty($track_id) || !empty($track_name)) &&
+        empty($key_name) &&
+        empty($scale) &&
+        $emptyBpm &&
+        $emptyDuration &&
+        empty($playback_url) &&
+        empty($fingerprint) &&
+        empty($producers) &&
+        empty($tags)
+    ) {
+        if (!empty($track_id)) {
+            $stmt = $conn->prepare("UPDATE track_key_bpm SET credits = ? WHERE track_id = ?");
+            $stmt->bind_param("ss", $credits, $track_id);
+        } else {
+            $stmt = $conn->prepare("UPDATE track_key_bpm SET credits = ? WHERE track_name = ?");
+            $stmt->bind_param("ss", $credits, $track_name);
+        }
+        $stmt->execute();
+        if ($stmt->affected_rows > 0) {
+            echo json_encode(['status' => 'success', 'message' => 'Credits updated']);
+        } else {
+            echo json_encode(['status' => 'error', 'message' => 'No changes made or error occurred']);
+        }
+        exit;
+    }
+
     // NEW: If only updating exclusive licensing data
     if (
         (!$emptyExclusivePrice || !empty($exclusive_currency) || !empty($exclusive_status) || !empty($licensing_type)) &&
@@ -282,6 +407,12 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             $types .= 's';
         }
         
+        if ($credits_sent) {
+            $update_fields[] = "credits = ?";
+            $params[] = $credits;
+            $types .= 's';
+        }
+        
         // Auto-set sold date if status is changed to 'sold'
         if ($exclusive_status === 'sold') {
             $update_fields[] = "exclusive_sold_date = NOW()";
@@ -356,7 +487,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         $stmt->execute();
         
         if ($stmt->affected_rows > 0) {
-            $response = ['status' => 'success', 'message' => 'Fingerprint updated'];
+            $response = ['status' => 'success', 'message' => 'Fingerprint updated', 'fingerprint_hash' => $fingerprint_hash];
             
             // Add duplicate information if any found
             if (!empty($duplicate_results)) {
@@ -428,6 +559,20 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     ];
     $types = "sssissssdssss";
 
+    // New tracks without a feel get the column default, 'normal'
+    if ($bpm_feel_sent) {
+        $columns[] = "bpm_feel";
+        $params[] = $bpm_feel;
+        $types .= "s";
+    }
+
+    // Credits sent with the rest of the metadata; left as stored otherwise
+    if ($credits_sent) {
+        $columns[] = "credits";
+        $params[] = $credits;
+        $types .= "s";
+    }
+
     // Only include fingerprint fields if they have actual data
     if (!empty($fingerprint)) {
         $columns[] = "fingerprint";
@@ -485,6 +630,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
 
     // Consider it a success even if no rows were affected (data was already up to date)
     if ($stmt->affected_rows >= 0) {
+        // The upsert always writes tags, so any changed row may have changed them
+        if ($stmt->affected_rows > 0) bp_tags_forget_popular();
         $response = ['status' => 'success', 'message' => 'Data saved successfully'];
         
         // Add duplicate information if any found
@@ -554,13 +701,42 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
         exit;
     }
 
+    // Tempo search: ?bpm_min=65&bpm_max=75 also finds 140 BPM tracks with a half-time feel
+    if (isset($_GET['bpm_min']) || isset($_GET['bpm_max'])) {
+        $bpm_min = (float)($_GET['bpm_min'] ?? 0);
+        $bpm_max = (float)($_GET['bpm_max'] ?? 0);
+        if ($bpm_min <= 0 || $bpm_max < $bpm_min) {
+            echo json_encode(['status' => 'error', 'message' => 'A BPM range is required']);
+            exit;
+        }
+
+        echo json_encode(['status' => 'success', 'data' => findTracksByTempo($conn, $bpm_min, $bpm_max)]);
+        exit;
+    }
+
+    // Tag suggestions: ?popular_tags=50 (at most BP_TAGS_POPULAR_MAX), counted from the cache in bp_tags.php
+    if (isset($_GET['popular_tags'])) {
+        $limit = max(1, min(BP_TAGS_POPULAR_MAX, (int)$_GET['popular_tags']));
+        echo json_encode(['status' => 'success', 'data' => bp_tags_popular($conn, $limit)]);
+        exit;
+    }
+
+    // Batch lookup: ?track_ids=1,2,3 and/or ?track_names[]=A&track_names[]=B
+    if (isset($_GET['track_ids']) || isset($_GET['track_names'])) {
+        $track_ids = is_string($_GET['track_ids'] ?? null) ? explode(',', $_GET['track_ids']) : [];
+        $track_names = is_array($_GET['track_names'] ?? null) ? array_filter($_GET['track_names'], 'is_string') : [];
+
+        echo json_encode(['status' => 'success', 'data' => fetchTrackMetadataBatch($conn, $track_ids, $track_names)]);
+        exit;
+    }
+
     if (!empty($track_id)) {
         // UPDATED: Include exclusive licensing fields in the SELECT query
-        $stmt = $conn->prepare("SELECT key_name, scale, bpm, duration_ms, Playback, fingerprint, fingerprint_hash, producers, tags, exclusive_price, exclusive_currency, exclusive_status, licensing_type, exclusive_buyer_info, exclusive_sold_date FROM track_key_bpm WHERE track_id = ?");
+        $stmt = $conn->prepare("SELECT key_name, scale, bpm, bpm_feel, duration_ms, Playback, fingerprint, fingerprint_hash, producers, credits, tags, exclusive_price, exclusive_currency, exclusive_status, licensing_type, exclusive_buyer_info, exclusive_sold_date FROM track_key_bpm WHERE track_id = ?");
         $stmt->bind_param("s", $track_id);
     } elseif (!empty($track_name)) {
         // UPDATED: Include exclusive licensing fields in the SELECT query
-        $stmt = $conn->prepare("SELECT key_name, scale, bpm, duration_ms, Playback, fingerprint, fingerprint_hash, producers, tags, exclusive_price, exclusive_currency, exclusive_status, licensing_type, exclusive_buyer_info, exclusive_sold_date FROM track_key_bpm WHERE track_name = ?");
+        $stmt = $conn->prepare("SELECT key_name, scale, bpm, bpm_feel, duration_ms, Playback, fingerprint, fingerprint_hash, producers, credits, tags, exclusive_price, exclusive_currency, exclusive_status, licensing_type, exclusive_buyer_info, exclusive_sold_date FROM track_key_bpm WHERE track_name = ?");
         $stmt->bind_param("s", $track_name);
     } else {
         echo json_encode(['status' => 'error', 'message' => 'Track ID or Track Name required']);
@@ -0,0 +1,45 @@
+<?php
+// One-off migration adding track_key_bpm.bpm_feel (see bp_tempo.php).
+// Run from the command line: php migrate_bpm_feel.php [--dry-run]
+// Existing tracks get 'normal', which is how their BPM has always been read.
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+$dry_run = in_array('--dry-run', $argv, true);
+
+// Database credentials (same as key_bpm_handler.php)
+$host = 'localhost';
+$db = 'database-name';
+$user = 'user-name';
+$password = 'password';
+
+$conn = new mysqli($host, $user, $password, $db);
+if ($conn->connect_error) {
+    fwrite(STDERR, "Database connection failed\n");
+    exit(1);
+}
+$conn->set_charset('utf8mb4');
+
+$statements = [];
+if (!$conn->query("SHOW COLUMNS FROM track_key_bpm LIKE 'bpm_feel'")->num_rows) {
+    $statements[] = "ALTER TABLE track_key_bpm ADD COLUMN bpm_feel ENUM('normal', 'half', 'double') NOT NULL DEFAULT 'normal' AFTER bpm";
+}
+// Tempo searches filter on bpm and bpm_feel together
+if (!$conn->query("SHOW INDEX FROM track_key_bpm WHERE Key_name = 'idx_bpm_feel'")->num_rows) {
+    $statements[] = "ALTER TABLE track_key_bpm ADD INDEX idx_bpm_feel (bpm, bpm_feel)";
+}
+
+foreach ($statements as $sql) {
+    echo "$sql\n";
+    if (!$dry_run && !$conn->query($sql)) {
+        fwrite(STDERR, "Failed: {$conn->error}\n");
+        exit(1);
+    }
+}
+echo empty($statements) ? "Nothing to do\n" : (($dry_run ? "Would run " : "Ran ") . count($statements) . " statements\n");
+
+$conn->close();
+?>
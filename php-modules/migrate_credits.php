@@ -0,0 +1,41 @@
+<?php
+// One-off migration adding track_key_bpm.credits (see bp_credits.php).
+// Run from the command line: php migrate_credits.php [--dry-run]
+// Existing tracks start without structured credits; their producers text is left as it is.
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+$dry_run = in_array('--dry-run', $argv, true);
+
+// Database credentials (same as key_bpm_handler.php)
+$host = 'localhost';
+$db = 'database-name';
+$user = 'user-name';
+$password = 'password';
+
+$conn = new mysqli($host, $user, $password, $db);
+if ($conn->connect_error) {
+    fwrite(STDERR, "Database connection failed\n");
+    exit(1);
+}
+$conn->set_charset('utf8mb4');
+
+$statements = [];
+if (!$conn->query("SHOW COLUMNS FROM track_key_bpm LIKE 'credits'")->num_rows) {
+    $statements[] = "ALTER TABLE track_key_bpm ADD COLUMN credits TEXT NULL AFTER producers";
+}
+
+foreach ($statements as $sql) {
+    echo "$sql\n";
+    if (!$dry_run && !$conn->query($sql)) {
+        fwrite(STDERR, "Failed: {$conn->error}\n");
+        exit(1);
+    }
+}
+echo empty($statements) ? "Nothing to do\n" : (($dry_run ? "Would run " : "Ran ") . count($statements) . " statements\n");
+
+$conn->close();
+?>
@@ -0,0 +1,56 @@
+<?php
+// One-off migration of stored keys to the canonical form in bp_keys.php.
+// Run from the command line: php migrate_keys.php [--dry-run]
+// Rows whose key cannot be read are listed and left unchanged.
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require_once __DIR__ . '/bp_keys.php';
+
+$dry_run = in_array('--dry-run', $argv, true);
+
+// Database credentials (same as key_bpm_handler.php)
+$host = 'localhost';
+$db = 'database-name';
+$user = 'user-name';
+$password = 'password';
+
+$conn = new mysqli($host, $user, $password, $db);
+if ($conn->connect_error) {
+    fwrite(STDERR, "Database connection failed\n");
+    exit(1);
+}
+$conn->set_charset('utf8mb4');
+
+$rows = $conn->query("SELECT track_id, key_name, scale FROM track_key_bpm WHERE key_name IS NOT NULL AND key_name != ''");
+$update = $conn->prepare("UPDATE track_key_bpm SET key_name = ?, scale = ? WHERE track_id = ?");
+
+$changed = 0;
+$unreadable = [];
+while ($row = $rows->fetch_assoc()) {
+    if (!bp_key_parse_name($row['key_name'])) {
+        $unreadable[] = $row;
+        continue;
+    }
+
+    list($key_name, $scale) = bp_key_normalize($row['key_name'], $row['scale']);
+    if ($key_name === $row['key_name'] && $scale === (string)$row['scale']) continue;
+
+    echo "{$row['track_id']}: \"{$row['key_name']}\" / \"{$row['scale']}\" -> \"$key_name\" / \"$scale\"\n";
+    $changed++;
+    if (!$dry_run) {
+        $update->bind_param("sss", $key_name, $scale, $row['track_id']);
+        $update->execute();
+    }
+}
+
+foreach ($unreadable as $row) {
+    echo "{$row['track_id']}: unreadable key \"{$row['key_name']}\" / \"{$row['scale']}\" left as is\n";
+}
+echo ($dry_run ? "Would update" : "Updated") . " $changed rows, " . count($unreadable) . " unreadable\n";
+
+$conn->close();
+?>
@@ -0,0 +1,52 @@
+<?php
+// One-off migration of stored tags to the normalized form in bp_tags.php.
+// Run from the command line: php migrate_tags.php [--dry-run]
+// Casing, spacing and duplicates are cleaned up, synonyms merged and lists cut to BP_TAGS_MAX.
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require_once __DIR__ . '/bp_tags.php';
+
+$dry_run = in_array('--dry-run', $argv, true);
+
+// Database credentials (same as key_bpm_handler.php)
+$host = 'localhost';
+$db = 'database-name';
+$user = 'user-name';
+$password = 'password';
+
+$conn = new mysqli($host, $user, $password, $db);
+if ($conn->connect_error) {
+    fwrite(STDERR, "Database connection failed\n");
+    exit(1);
+}
+$conn->set_charset('utf8mb4');
+
+$rows = $conn->query("SELECT track_id, tags FROM track_key_bpm WHERE tags IS NOT NULL AND tags != ''");
+$update = $conn->prepare("UPDATE track_key_bpm SET tags = ? WHERE track_id = ?");
+
+$changed = 0;
+while ($row = $rows->fetch_assoc()) {
+    $tags = bp_tags_normalize_list($row['tags']);
+    if ($tags === $row['tags']) continue;
+
+    echo "{$row['track_id']}: \"{$row['tags']}\" -> \"$tags\"\n";
+    $changed++;
+    if (!$dry_run) {
+        $update->bind_param("ss", $tags, $row['track_id']);
+        $update->execute();
+    }
+}
+
+echo ($dry_run ? "Would update" : "Updated") . " $changed rows\n";
+
+// Popular tag counts are cached by bp_tags.php; recount them from the migrated tags
+if (!$dry_run) {
+    echo "Cached " . count(bp_tags_refresh_popular($conn)) . " popular tags\n";
+}
+
+$conn->close();
+?>
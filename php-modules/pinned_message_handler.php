@@ -1,4 +1,6 @@
 <?php
+require_once __DIR__ . '/bp_auth.php';
+
 header('Content-Type: application/json');
 
 define('PINNED_MESSAGES_FILE', 'pinned_messages.json');
@@ -16,12 +18,10 @@ function save_data($data) {
     file_put_contents(PINNED_MESSAGES_FILE, json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE));
 }
 
+// Viewers are identified by their session token; a client-supplied name is never trusted
 function get_viewer() {
-    // If you have a session, use it here. Otherwise, use ?viewer=username or default to 'anonymous'
-    if (isset($_GET['viewer'])) return $_GET['viewer'];
-    if (isset($_POST['viewer'])) return $_POST['viewer'];
-    // You can add session logic here if needed
-    return 'anonymous';
+    $claims = bp_auth_claims();
+    return $claims ? $claims['sub'] : 'anonymous';
 }
 
 function now_ms() {
@@ -48,7 +48,7 @@ $data = load_data();
 $method = $_SERVER['REQUEST_METHOD'];
 
 if ($method === 'GET') {
-    // GET: /?artist_id=123[&viewer=username]
+    // GET: /?artist_id=123 (with X-BP-Token to be counted as a viewer)
     $artist_id = isset($_GET['artist_id']) ? $_GET['artist_id'] : null;
     if (!$artist_id) {
         echo json_encode(['status' => 'error', 'message' => 'Missing artist_id']);
@@ -109,7 +109,6 @@ if ($method === 'POST') {
     $artist_id = isset($input['artist_id']) ? $input['artist_id'] : null;
     $message = isset($input['message']) ? trim($input['message']) : null;
     $gradient = isset($input['gradient']) ? $input['gradient'] : null;
-    $viewer = isset($input['viewer']) ? $input['viewer'] : null;
     $actions = isset($input['actions']) ? $input['actions'] : [];
     $reactions = isset($input['reactions']) ? $input['reactions'] : [];
 
@@ -118,6 +117,10 @@ if ($method === 'POST') {
         exit;
     }
 
+    // Any signed-in user may react; everything else is for the artist's owner (or an admin)
+    $is_reaction = isset($input['reaction']) && isset($input['note_id']);
+    $claims = $is_reaction ? bp_auth_require() : bp_auth_require_artist($artist_id);
+
     // Initialize artist data if doesn't exist
     if (!isset($data[$artist_id])) {
         $data[$artist_id] = ['notes' => []];
@@ -169,9 +172,9 @@ if ($method === 'POST') {
     }
 
     // Handle reactions
-    if (isset($input['reaction']) && isset($input['user']) && isset($input['note_id'])) {
+    if ($is_reaction) {
         $reaction = $input['reaction'];
-        $user = $input['user'];
+        $user = $claims['sub'];
         $note_id = $input['note_id'];
         
         $notes = &$data[$artist_id]['notes'];
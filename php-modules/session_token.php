@@ -0,0 +1,31 @@
+<?php
+// Session tokens for the injected build (see bp_auth.php).
+// GET /session_token.php with the host's session cookie returns
+// {"status": "success", "token": "...", "claims": {...}} for logged-in users and a 401 for guests.
+// BP.auth in beatpass-core.js requests one token per page session and renews it before it expires.
+
+require_once __DIR__ . '/bp_auth.php';
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['status' => 'error', 'message' => 'Only GET requests are allowed']);
+    exit;
+}
+
+$claims = bp_auth_session_claims();
+if (!$claims) {
+    bp_auth_fail(401, 'unauthorized', 'Not signed in');
+}
+
+$issued = bp_auth_issue($claims);
+if (!$issued) {
+    http_response_code(503);
+    echo json_encode(['status' => 'error', 'message' => 'Session tokens are not configured']);
+    exit;
+}
+
+echo json_encode(['status' => 'success', 'token' => $issued['token'], 'claims' => $issued['claims']]);
+?>
@@ -1,9 +1,13 @@
 <?php
-// Only allow GET requests for this endpoint
-if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+require_once __DIR__ . '/bp_auth.php';
+
+// Only allow POST requests from admins for this endpoint
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    bp_auth_require_admin();
+
     // Extract the producer name and verification status from the request
-    $producerName = $_GET['producerName'] ?? null;
-    $verifiedStatus = filter_var($_GET['verifiedStatus'] ?? false, FILTER_VALIDATE_BOOLEAN);
+    $producerName = $_POST['producerName'] ?? null;
+    $verifiedStatus = filter_var($_POST['verifiedStatus'] ?? false, FILTER_VALIDATE_BOOLEAN);
 
     // Ensure the required data is provided
     if (!$producerName) {
@@ -39,6 +43,6 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
     }
 } else {
     http_response_code(405); // Method Not Allowed
-    echo "Only GET requests are allowed.";
+    echo "Only POST requests are allowed.";
 }
 ?>
@@ -0,0 +1,132 @@
+<?php
+// Content-hashed version map for an injected build folder.
+// GET /version_map.php?build=Build%20V14.7.25 returns the build's module manifest with a
+// content hash per module plus a build hash, so the loader can request
+// "UI-helpers.js?h=<hash>" and let browsers cache every file until it actually changes.
+//
+// The map is generated into js-modules/<build>/version-map.json and regenerated whenever
+// a module file or the manifest is newer than it. It can also be generated at deploy time:
+//   php version_map.php "Build V14.7.25"
+
+define('JS_MODULES_DIR', __DIR__ . '/js-modules');
+define('MANIFEST_FILE', 'module-manifest.json');
+define('VERSION_MAP_FILE', 'version-map.json');
+define('HASH_LENGTH', 12);
+
+function fail($code, $message) {
+    http_response_code($code);
+    echo json_encode(['status' => 'error', 'message' => $message]);
+    exit;
+}
+
+// Only plain build folder names are accepted, never paths
+function resolve_build_dir($build) {
+    if (!is_string($build) || !preg_match('/^(Build V[0-9.]+|legacy)$/', $build)) {
+        return null;
+    }
+    $dir = JS_MODULES_DIR . '/' . $build;
+    return is_dir($dir) ? $dir : null;
+}
+
+function map_is_stale($dir, $manifest) {
+    $mapFile = $dir . '/' . VERSION_MAP_FILE;
+    if (!file_exists($mapFile)) return true;
+
+    $mapTime = filemtime($mapFile);
+    if (filemtime($dir . '/' . MANIFEST_FILE) > $mapTime) return true;
+
+    foreach ($manifest['modules'] as $module) {
+        $file = $dir . '/' . $module['path'];
+        if (file_exists($file) && filemtime($file) > $mapTime) return true;
+    }
+    return false;
+}
+
+function generate_version_map($build, $dir) {
+    if (!file_exists($dir . '/' . MANIFEST_FILE)) return null;
+
+    $manifest = json_decode(file_get_contents($dir . '/' . MANIFEST_FILE), true);
+    if (!is_array($manifest) || !isset($manifest['modules']) || !is_array($manifest['modules'])) {
+        return null;
+    }
+
+    if (!map_is_stale($dir, $manifest)) {
+        $existing = json_decode(file_get_contents($dir . '/' . VERSION_MAP_FILE), true);
+        if (is_array($existing)) return $existing;
+    }
+
+    $modules = [];
+    // Manifest changes (dependencies, page scopes) also produce a new build hash
+    $fileHashes = [MANIFEST_FILE . ':' . hash_file('sha256', $dir . '/' . MANIFEST_FILE)];
+    foreach ($manifest['modules'] as $module) {
+        $file = $dir . '/' . $module['path'];
+        // Missing files keep an empty hash; the loader still tries them and reports the failure
+        $hash = file_exists($file) ? substr(hash_file('sha256', $file), 0, HASH_LENGTH) : '';
+        $module['hash'] = $hash;
+        $modules[] = $module;
+        $fileHashes[] = $module['path'] . ':' . $hash;
+    }
+
+    $map = [
+        'status' => 'success',
+        'build' => $build,
+        'base_path' => '/js-modules/' . rawurlencode($build) . '/',
+        'hash' => substr(hash('sha256', implode("\n", $fileHashes)), 0, HASH_LENGTH),
+        'generated_at' => date('c'),
+        'modules' => $modules
+    ];
+
+    // Write atomically so concurrent requests never read a half-written map
+    $tmpFile = $dir . '/' . VERSION_MAP_FILE . '.' . getmypid() . '.tmp';
+    if (file_put_contents($tmpFile, json_encode($map, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES)) !== false) {
+        rename($tmpFile, $dir . '/' . VERSION_MAP_FILE);
+    }
+
+    return $map;
+}
+
+if (PHP_SAPI === 'cli') {
+    $build = $argv[1] ?? '';
+    $dir = resolve_build_dir($build);
+    if (!$dir) {
+        fwrite(STDERR, "Unknown build folder: $build\n");
+        exit(1);
+    }
+    $map = generate_version_map($build, $dir);
+    if (!$map) {
+        fwrite(STDERR, "Invalid or missing " . MANIFEST_FILE . " in $build\n");
+        exit(1);
+    }
+    echo "Generated " . VERSION_MAP_FILE . " for $build (hash {$map['hash']}, " . count($map['modules']) . " modules)\n";
+    exit(0);
+}
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+// The map itself must always be revalidated; the files it points to can be cached forever
+header('Cache-Control: no-cache');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    fail(405, 'Only GET requests are allowed');
+}
+
+$build = $_GET['build'] ?? '';
+$dir = resolve_build_dir($build);
+if (!$dir) {
+    fail(404, 'Unknown build');
+}
+
+$map = generate_version_map($build, $dir);
+if (!$map) {
+    fail(500, 'Build manifest is missing or invalid');
+}
+
+$etag = '"' . $map['hash'] . '"';
+header('ETag: ' . $etag);
+if (($_SERVER['HTTP_IF_NONE_MATCH'] ?? '') === $etag) {
+    http_response_code(304);
+    exit;
+}
+
+echo json_encode($map);
+?>